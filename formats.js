@@ -0,0 +1,1288 @@
+/**
+ * ============================================
+ * HOME DEFECT INSPECTION REPORT GENERATOR
+ * Other Report Formats (Word, HTML, CSV, Excel)
+ * ============================================
+ *
+ * This script handles:
+ * 1. The report as an editable Word document (.docx) with headings, tables
+ *    and the photos embedded
+ * 2. The report as a single HTML file that opens in any browser, photos
+ *    and styles included
+ * 3. The defect register (one row per defect) as CSV and as an Excel
+ *    workbook (.xlsx)
+ *
+ * Every format is built from the report model (buildReportModel in
+ * report.js), so it holds the same text, in the same language, as the PDF.
+ * Like the PDF renderer, nothing here touches the page: each renderer takes
+ * the model and returns a Blob.
+ */
+
+// ============================================
+// FORMATS
+// ============================================
+
+// Formats the report can be generated in (the format select lists them too)
+const REPORT_FORMATS = {
+    pdf: { label: 'PDF', extension: 'pdf', mimeType: 'application/pdf' },
+    docx: {
+        label: 'Word document (.docx)',
+        extension: 'docx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+    },
+    html: { label: 'Web page (.html)', extension: 'html', mimeType: 'text/html' },
+    csv: { label: 'Defect register (.csv)', extension: 'csv', mimeType: 'text/csv' },
+    xlsx: {
+        label: 'Defect register (.xlsx)',
+        extension: 'xlsx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    }
+};
+
+const DEFAULT_REPORT_FORMAT = 'pdf';
+
+// Gap (mm) between photos side by side, as in the PDF
+const PHOTO_GAP = 6;
+
+// What the PDF's built-in fonts are called in Word and in CSS
+const FONT_FAMILIES = {
+    helvetica: { office: 'Arial', css: 'Helvetica, Arial, sans-serif' },
+    times: { office: 'Times New Roman', css: '"Times New Roman", Times, serif' },
+    courier: { office: 'Courier New', css: '"Courier New", Courier, monospace' }
+};
+
+/**
+ * Renders the report in any of the formats
+ * @param {Object} model - Report model from buildReportModel
+ * @param {string} format - Key of REPORT_FORMATS
+ * @param {Object} options - Options for the renderer (see renderReportPdf; only the PDF needs jsPDF and fonts)
+ * @returns {Promise<Blob>} The report file
+ */
+async function renderReport(model, format, options) {
+    switch (format) {
+        case 'docx':
+            return renderReportDocx(model, options);
+        case 'html':
+            return renderReportHtml(model, options);
+        case 'csv':
+            return renderDefectRegisterCsv(model);
+        case 'xlsx':
+            return renderDefectRegisterXlsx(model);
+        default:
+            return renderReportPdf(model, options);
+    }
+}
+
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+/**
+ * Escapes text for XML and HTML, dropping control characters XML can't hold
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(text) {
+    return String(text)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Writes an RGB colour as hex digits
+ * @param {number[]} color - [r, g, b]
+ * @returns {string} e.g. "2C5282"
+ */
+function formatHexColor(color) {
+    return color.map(value => Math.round(value).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+/**
+ * Decodes a base64 data URL
+ * @param {string} dataUrl - Data URL
+ * @returns {Uint8Array} The file's bytes
+ */
+function dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Reads a JPEG or PNG image and its size from its header, for renderers
+ * without a browser to convert other formats (like readImageForPdf)
+ * @param {string} dataUrl - Image data URL
+ * @returns {Object} { data, format, width, height } in image pixels
+ * @throws {Error} If the image is missing, not JPEG/PNG or unreadable
+ */
+function readImageData(dataUrl) {
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
+        throw new Error('the image data is missing');
+    }
+
+    const format = /^data:image\/(jpe?g|png)[;,]/i.exec(dataUrl);
+    if (!format) {
+        throw new Error(`${dataUrl.slice(5, dataUrl.search(/[;,]/)) || 'this image type'} is not supported`);
+    }
+
+    const bytes = dataUrlToBytes(dataUrl);
+    const readUint16 = offset => (bytes[offset] << 8) | bytes[offset + 1];
+    const readUint32 = offset => ((readUint16(offset) << 16) | readUint16(offset + 2)) >>> 0;
+
+    // PNG: the size is the start of the IHDR chunk
+    if (/png/i.test(format[1])) {
+        if (bytes.length < 24) {
+            throw new Error('the image data is damaged');
+        }
+        return { data: dataUrl, format: 'PNG', width: readUint32(16), height: readUint32(20) };
+    }
+
+    // JPEG: walk the segments to the frame header (SOF0-SOF15, except the
+    // DHT, JPG and DAC markers that share the range)
+    let offset = 2;
+    while (offset + 9 < bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { data: dataUrl, format: 'JPEG', width: readUint16(offset + 7), height: readUint16(offset + 5) };
+        }
+        offset += 2 + readUint16(offset + 2);
+    }
+    throw new Error('the image data is damaged');
+}
+
+/**
+ * Lays the defect register out as rows: one per defect, every field that
+ * defect has in the report
+ * @param {Object} model - Report model from buildReportModel
+ * @returns {Object} { title, columns: [{ title, width }], rows } with widths in
+ *   characters and numbers left as numbers
+ */
+function buildDefectRegister(model) {
+    const t = (text, params) => translate(model.language, text, params);
+
+    const columns = [
+        { title: t('No.'), width: 6, value: (defect, index) => index + 1 },
+        { title: t('Type'), width: 24, value: defect => t(defect.defectType) },
+        { title: t('Category'), width: 24, value: defect => t(defect.category) },
+        { title: t('Severity'), width: 14, value: defect => t(defect.severity || 'Not rated') },
+        { title: t('Status'), width: 16, value: defect => t(`status|${defect.status}`) },
+        { title: t('Location (Room/Area)'), width: 20, value: defect => defect.locationArea },
+        { title: t('Floor/Level'), width: 12, value: defect => defect.locationFloor },
+        { title: t('Elevation'), width: 12, value: defect => (defect.locationElevation ? t(defect.locationElevation) : '') },
+        { title: t('Description'), width: 50, value: defect => defect.description },
+        { title: t('Recommended Action'), width: 40, value: defect => defect.recommendedAction },
+        { title: t('Responsible Trade'), width: 18, value: defect => (defect.responsibleTrade ? t(defect.responsibleTrade) : '') },
+        { title: t('Images'), width: 8, value: defect => defect.images.length },
+        { title: t('After Photos'), width: 10, value: defect => defect.afterImages.length }
+    ];
+
+    return {
+        title: t('Defect Register'),
+        columns: columns.map(column => ({ title: column.title, width: column.width })),
+        rows: model.defects.map((defect, index) => columns.map(column => column.value(defect, index)))
+    };
+}
+
+// ============================================
+// REPORT CONTENT (Word and HTML)
+// ============================================
+
+/**
+ * How Word and HTML Reports Are Built:
+ * - buildReportContent walks the model in the same order as the PDF and
+ *   produces a list of blocks (headings, paragraphs, tables, charts, photo
+ *   grids, page breaks). The Word and HTML renderers only draw blocks.
+ * - Text in blocks is already translated and formatted
+ * - Photos are read once, up front, through options.prepareImage (the same
+ *   converter the PDF uses), so both formats get JPEG or PNG data with its
+ *   size, and photos that can't be read are reported the way the PDF does
+ * - Widths and photo sizes come from the page setup's text width, so a
+ *   landscape or Letter report is laid out for that page as the PDF is
+ *
+ * Block types:
+ * - { type: 'heading', level (1-3), text }
+ * - { type: 'paragraph', runs: [{ text, bold, italic, color }], style } with
+ *   style '', 'company', 'title', 'subtitle', 'small' or 'muted'
+ * - { type: 'details', rows: [[label, value]] }
+ * - { type: 'table', columns: [{ title, width }], rows: [[{ text, color }]] }
+ * - { type: 'chart', rows: [{ label, count, color }] }
+ * - { type: 'image', image, width, height, align } (sizes in mm)
+ * - { type: 'photos', columns, height, cells: [{ label, image, caption, note, failed }] }
+ * - { type: 'pageBreak' }
+ */
+
+/**
+ * Builds the blocks of a Word or HTML report
+ * @param {Object} model - Report model from buildReportModel
+ * @param {Object} [options] - How images are read
+ * @param {Function} [options.prepareImage] - (dataUrl) => { data, format, width, height },
+ *   or a Promise of it; readImageData (JPEG and PNG only) if omitted
+ * @param {string[]} [options.imageErrors] - Receives a line per image that couldn't be added
+ * @returns {Promise<Object>} { title, page, blocks, header, footer, generated } with page
+ *   from getPageDimensions and header/footer the running text ('' if none)
+ */
+async function buildReportContent(model, options = {}) {
+    const t = (text, params) => translate(model.language, text, params);
+    const formatDate = value => formatReportDate(value, model.dateLocale);
+    const prepareImage = options.prepareImage || readImageData;
+    const imageErrors = options.imageErrors || [];
+    const branding = model.branding;
+    const page = getPageDimensions(model.pageSetup);
+    const blocks = [];
+
+    /**
+     * Reads an image, recording why when it can't be used
+     * @param {string} dataUrl - Image data URL
+     * @param {Function} describe - (error) => line for imageErrors
+     * @returns {Promise<Object|null>} Prepared image, or null
+     */
+    async function loadImage(dataUrl, describe) {
+        try {
+            return await prepareImage(dataUrl);
+        } catch (imageError) {
+            console.error('Error adding image:', imageError);
+            imageErrors.push(describe(imageError));
+            return null;
+        }
+    }
+
+    const heading = (level, text) => blocks.push({ type: 'heading', level, text });
+    const paragraph = (runs, style = '') => blocks.push({ type: 'paragraph', runs, style });
+    const text = (value, format = {}) => ({ text: value, ...format });
+
+    const reportTitle = model.title || t('Home Defect Inspection Report');
+    const logo = branding.logo
+        ? await loadImage(branding.logo, error => t('Logo: {error}', { error: error.message }))
+        : null;
+
+    // ----------------------------------------
+    // COVER PAGE (optional)
+    // ----------------------------------------
+
+    if (branding.coverPage) {
+        if (logo) {
+            blocks.push({ type: 'image', image: logo, width: 80, height: 35, align: 'center' });
+        }
+        paragraph([text(reportTitle)], 'title');
+        if (model.client.address) {
+            paragraph([text(model.client.address)], 'subtitle');
+        }
+
+        if (model.coverPhoto) {
+            const coverPhoto = await loadImage(model.coverPhoto.data, error => t('Cover photo: {error}', { error: error.message }));
+            if (coverPhoto) {
+                blocks.push({
+                    type: 'image', image: coverPhoto, width: page.contentWidth,
+                    height: Math.min(120, (page.height - page.margin * 2) / 2), align: 'center'
+                });
+            }
+        }
+
+        blocks.push({
+            type: 'details',
+            rows: [
+                [t('Report Number'), model.reportNumber],
+                [t('Prepared for'), model.client.name],
+                [t('Inspection Date'), model.inspection.date ? formatDate(model.inspection.date) : ''],
+                [t('Inspector'), model.inspection.inspectorName],
+                [t('Credentials'), model.inspection.inspectorCredentials],
+                [t('Company'), model.company.name],
+                [t('Contact'), [model.company.phone, model.company.email].filter(Boolean).join(' | ')]
+            ].filter(([, value]) => value)
+        });
+        blocks.push({ type: 'pageBreak' });
+    }
+
+    // ----------------------------------------
+    // DOCUMENT HEADER
+    // ----------------------------------------
+
+    if (logo) {
+        blocks.push({ type: 'image', image: logo, width: 50, height: 20, align: 'center' });
+    }
+    paragraph([text(model.company.name || t('Inspection Company'))], 'company');
+    const contactInfo = [model.company.phone, model.company.email].filter(Boolean);
+    if (contactInfo.length > 0) {
+        paragraph([text(contactInfo.join(' | '))], 'subtitle');
+    }
+    paragraph([text(reportTitle)], 'title');
+    if (model.reportNumber) {
+        paragraph([text(t('Report No. {number}', { number: model.reportNumber }))], 'subtitle');
+    }
+
+    // ----------------------------------------
+    // CLIENT & PROPERTY DETAILS
+    // ----------------------------------------
+
+    heading(1, t('Property & Client Details'));
+    blocks.push({
+        type: 'details',
+        rows: [
+            [t('Client Name:'), model.client.name],
+            [t('Property Address:'), model.client.address],
+            [t('Inspection Date:'), model.inspection.date ? formatDate(model.inspection.date) : ''],
+            [t('Inspector:'), model.inspection.inspectorName],
+            [t('Credentials:'), model.inspection.inspectorCredentials]
+        ].filter(([, value]) => value)
+    });
+
+    // ----------------------------------------
+    // INSPECTION DETAILS
+    // ----------------------------------------
+
+    heading(1, t('Inspection Details'));
+    const { attendance, occupancy, buildingType, weatherCondition } = model.inspection;
+    blocks.push({
+        type: 'details',
+        rows: [
+            [t('Attendance'), t(attendance || 'N/A')],
+            [t('Occupancy'), t(occupancy || 'N/A')],
+            [t('Type of Building'), t(buildingType || 'N/A')],
+            [t('Weather Condition'), t(weatherCondition || 'N/A')]
+        ]
+    });
+
+    // ----------------------------------------
+    // EXECUTIVE SUMMARY
+    // ----------------------------------------
+
+    const severityCell = defect => text(t(defect.severity || 'Not rated'),
+        { color: SEVERITY_LEVELS[defect.severity] && SEVERITY_LEVELS[defect.severity].color });
+    const locationCell = defect => text(formatDefectLocation(defect, model.language) || '-');
+
+    if (model.defects.length > 0) {
+        blocks.push({ type: 'pageBreak' });
+        heading(1, t('Executive Summary'));
+
+        const summary = model.summary;
+        const safetyCritical = summary.bySeverity.find(row => row.label === 'Safety Critical');
+
+        paragraph([text(t(summary.total === 1 ? 'This inspection identified {count} defect' : 'This inspection identified {count} defects',
+            { count: summary.total }) + ' ' +
+            t(summary.byCategory.length === 1 ? 'across {count} category.' : 'across {count} categories.',
+                { count: summary.byCategory.length }))]);
+        if (safetyCritical && safetyCritical.count > 0) {
+            paragraph([text(t(safetyCritical.count === 1
+                ? '{count} defect is rated Safety Critical and should be attended to immediately.'
+                : '{count} defects are rated Safety Critical and should be attended to immediately.',
+            { count: safetyCritical.count }), { bold: true, color: safetyCritical.color })]);
+        }
+
+        const chartRows = rows => rows.map(row => ({ label: t(row.label), count: row.count, color: row.color || branding.primaryColor }));
+        heading(3, t('Defects by Category'));
+        blocks.push({ type: 'chart', rows: chartRows(summary.byCategory) });
+        heading(3, t('Defects by Severity'));
+        blocks.push({ type: 'chart', rows: chartRows(summary.bySeverity) });
+
+        heading(3, t('Defect Register'));
+        blocks.push({
+            type: 'table',
+            columns: [
+                { title: t('No.'), width: 12 },
+                { title: t('Type'), width: 50 },
+                { title: t('Category'), width: 38 },
+                { title: t('Severity'), width: 27 },
+                { title: t('Location'), width: page.contentWidth - 127 }
+            ],
+            rows: model.defects.map((defect, index) => [
+                text(String(index + 1)),
+                text(t(defect.defectType)),
+                text(t(defect.category)),
+                severityCell(defect),
+                locationCell(defect)
+            ])
+        });
+
+        // On follow-ups: what has been fixed, and what is still to do
+        if (model.trackRectification) {
+            heading(2, t('Rectification Status'));
+            heading(3, t('Defects by Status'));
+            blocks.push({
+                type: 'chart',
+                rows: Object.keys(DEFECT_STATUSES).map(status => ({
+                    label: t(`status|${status}`),
+                    count: model.defects.filter(defect => defect.status === status).length,
+                    color: DEFECT_STATUSES[status].color
+                }))
+            });
+
+            if (model.followUp !== null) {
+                paragraph([text(model.followUp.inspectionDate
+                    ? t('Follow-up of the inspection "{name}" carried out on {date}.',
+                        { name: model.followUp.reportName, date: formatDate(model.followUp.inspectionDate) })
+                    : t('Follow-up of the inspection "{name}".', { name: model.followUp.reportName }))]);
+            }
+
+            const outstanding = model.defects.map((defect, index) => ({ defect, index }))
+                .filter(entry => isDefectOutstanding(entry.defect));
+            if (outstanding.length === 0) {
+                paragraph([text(t('All defects have been rectified.'), { bold: true, color: DEFECT_STATUSES.Rectified.color })]);
+            } else {
+                paragraph([text(t(outstanding.length === 1 ? '{outstanding} of {total} defects is still outstanding.' : '{outstanding} of {total} defects are still outstanding.',
+                    { outstanding: outstanding.length, total: model.defects.length }), { bold: true })]);
+                heading(3, t('Outstanding Items'));
+                blocks.push({
+                    type: 'table',
+                    columns: [
+                        { title: t('No.'), width: 12 },
+                        { title: t('Type'), width: 50 },
+                        { title: t('Status'), width: 35 },
+                        { title: t('Severity'), width: 27 },
+                        { title: t('Location'), width: page.contentWidth - 124 }
+                    ],
+                    rows: outstanding.map(({ defect, index }) => [
+                        text(String(index + 1)),
+                        text(t(defect.defectType)),
+                        text(t(`status|${defect.status}`), { color: DEFECT_STATUSES[defect.status].color }),
+                        severityCell(defect),
+                        locationCell(defect)
+                    ])
+                });
+            }
+        }
+
+        blocks.push({ type: 'pageBreak' });
+    }
+
+    // ----------------------------------------
+    // DISCLAIMER SECTION
+    // ----------------------------------------
+
+    heading(1, t('General Disclaimer'));
+    if (model.disclaimer) {
+        paragraph([text(model.disclaimer)], 'small');
+    }
+
+    // ----------------------------------------
+    // DEFECTS SECTION
+    // ----------------------------------------
+
+    if (model.defects.length > 0) {
+        blocks.push({ type: 'pageBreak' });
+        heading(1, t('Identified Defects ({count} Total)', { count: model.defects.length }));
+
+        for (let i = 0; i < model.defects.length; i++) {
+            const defect = model.defects[i];
+            const imageCount = defect.images.length;
+            heading(2, t(imageCount > 1 ? 'Defect #{number}: {type} ({count} images)' : 'Defect #{number}: {type} ({count} image)',
+                { number: i + 1, type: t(defect.defectType), count: imageCount }));
+
+            // Severity and status, with the location beside them
+            const labels = [];
+            if (SEVERITY_LEVELS[defect.severity]) {
+                labels.push(text(t(defect.severity).toUpperCase(), { bold: true, color: SEVERITY_LEVELS[defect.severity].color }));
+            }
+            if (model.trackRectification) {
+                labels.push(text(t(`status|${defect.status}`).toUpperCase(), { bold: true, color: DEFECT_STATUSES[defect.status].color }));
+            }
+            const location = formatDefectLocation(defect, model.language);
+            if (location) {
+                labels.push(text(t('Location:') + ' ', { bold: true }), text(location));
+            }
+            if (labels.length > 0) {
+                paragraph(labels.flatMap((run, index) => (index > 0 && !labels[index - 1].text.endsWith(' ') ? [text(' · '), run] : [run])));
+            }
+
+            // Photos, read once so both formats get the same list of problems
+            const photos = listDefectPhotos(defect, model.language);
+            if (photos.length > 0) {
+                const layout = getDefectPhotoLayout(defect, model.photoLayout);
+                const cellWidth = (page.contentWidth - PHOTO_GAP * (layout.columns - 1)) / layout.columns;
+                let height = photos.length > 1 ? 70 : 80;
+                if (layout.fullPage) {
+                    // The page, less room for the defect's heading and description
+                    height = page.height - page.margin * 2 - 60;
+                } else if (layout.cellAspect) {
+                    height = cellWidth * layout.cellAspect;
+                }
+
+                const cells = [];
+                for (const photo of photos) {
+                    if (!photo.image) {
+                        cells.push({ label: photo.label, note: t('No photo') });
+                        continue;
+                    }
+                    const imageName = photo.image.name ? ` (${photo.image.name})` : '';
+                    const prepared = await loadImage(photo.image.data, error =>
+                        `${t('Defect #{number}', { number: i + 1 })}, ${photo.name}${imageName}: ${error.message}`);
+                    if (prepared) {
+                        cells.push({ label: photo.label, image: prepared, caption: photo.image.caption });
+                    } else {
+                        const photoName = photo.name.charAt(0).toUpperCase() + photo.name.slice(1);
+                        cells.push({ label: photo.label, note: t('[{name} could not be loaded]', { name: photoName }), failed: true });
+                    }
+                }
+                blocks.push({ type: 'photos', columns: layout.columns, height, cells });
+            }
+
+            if (defect.description) {
+                paragraph([text(defect.description)]);
+            }
+            if (defect.recommendedAction) {
+                paragraph([text(t('Recommended Action:'), { bold: true })]);
+                paragraph([text(defect.recommendedAction)]);
+            }
+            if (defect.responsibleTrade) {
+                paragraph([text(t('Responsible Trade:') + ' ', { bold: true }), text(t(defect.responsibleTrade))]);
+            }
+        }
+    }
+
+    // ----------------------------------------
+    // SIGN-OFF
+    // ----------------------------------------
+
+    blocks.push({ type: 'pageBreak' });
+    heading(1, t('Sign-Off'));
+
+    // Unsigned blocks keep an empty line so the page can be signed by hand
+    for (const signOff of model.signOffs) {
+        heading(2, t(signOff.role));
+        paragraph([text(t(signOff.statement))], 'small');
+
+        const signature = signOff.image
+            ? await loadImage(signOff.image, error => t('{role} signature: {error}', { role: t(signOff.role), error: error.message }))
+            : null;
+        if (signature) {
+            blocks.push({ type: 'image', image: signature, width: 90, height: 30, align: 'left' });
+        } else {
+            paragraph([text('_'.repeat(40))], 'muted');
+        }
+        paragraph([text(t('Signature'))], 'muted');
+
+        const blank = '_'.repeat(24);
+        blocks.push({
+            type: 'details',
+            rows: [
+                [`${t('Name')}:`, signOff.name || blank],
+                [`${t('Date')}:`, signOff.date ? formatDate(signOff.date) : blank]
+            ]
+        });
+    }
+
+    return {
+        title: reportTitle,
+        page: page,
+        blocks: blocks,
+        header: listRunningText(model, 'header').join('  |  '),
+        footer: listRunningText(model, 'footer').join('  |  '),
+        generated: t('Report generated: {timestamp}', { timestamp: new Date(model.generatedAt).toLocaleString(model.dateLocale) })
+    };
+}
+
+// ============================================
+// WORD DOCUMENT (.docx)
+// ============================================
+
+/**
+ * How the Word Document Is Put Together:
+ * - A .docx file is a ZIP of XML parts: the document body, its styles, a
+ *   footer (and a header when the page setup has one), and the photos as
+ *   separate files referenced by relationship IDs
+ * - Sizes: the page and table widths are in twentieths of a point
+ *   (twips), text in half-points, pictures in EMUs (36,000 per mm)
+ * - Each photo is stored once, however often it is shown
+ */
+
+const WORD_NAMESPACES = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" ' +
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" ' +
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"';
+
+const TWIPS_PER_MM = 1440 / 25.4;
+const EMU_PER_MM = 36000;
+
+/**
+ * Renders the report as a Word document
+ * @param {Object} model - Report model from buildReportModel
+ * @param {Object} [options] - See buildReportContent
+ * @returns {Promise<Blob>} The .docx file
+ */
+async function renderReportDocx(model, options = {}) {
+    const content = await buildReportContent(model, options);
+    const { primaryColor, accentColor, accentTint, headingFont, bodyFont } = model.branding;
+    const primaryHex = formatHexColor(primaryColor);
+    const page = content.page;
+    const contentWidth = Math.round(page.contentWidth * TWIPS_PER_MM);
+    const margin = Math.round(page.margin * TWIPS_PER_MM);
+
+    // Photos: word/media/imageN, by data URL
+    const media = new Map();
+    let drawingCount = 0;
+
+    /**
+     * Writes a run of text
+     * @param {Object} run - { text, bold, italic, color }
+     * @param {string} [size] - Font size in half-points
+     * @returns {string} w:r elements (line breaks in the text become w:br)
+     */
+    function wordRun(run, size) {
+        const properties = [
+            run.bold ? '<w:b/>' : '',
+            run.italic ? '<w:i/>' : '',
+            run.color ? `<w:color w:val="${formatHexColor(run.color)}"/>` : '',
+            size ? `<w:sz w:val="${size}"/>` : ''
+        ].join('');
+        const textXml = String(run.text).split('\n')
+            .map(line => `<w:t xml:space="preserve">${escapeMarkup(line)}</w:t>`)
+            .join('<w:br/>');
+        return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${textXml}</w:r>`;
+    }
+
+    /**
+     * Writes a paragraph
+     * @param {string} inner - Runs
+     * @param {string} [properties] - w:pPr content
+     * @returns {string} w:p element
+     */
+    function wordParagraph(inner, properties = '') {
+        return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${inner}</w:p>`;
+    }
+
+    /**
+     * Writes a picture, scaled to fit a box
+     * @param {Object} image - Prepared image: { data, format, width, height }
+     * @param {number} maxWidth - Box width in mm
+     * @param {number} maxHeight - Box height in mm
+     * @returns {string} w:r element holding the picture
+     */
+    function wordPicture(image, maxWidth, maxHeight) {
+        if (!media.has(image.data)) {
+            const extension = image.format === 'PNG' ? 'png' : 'jpeg';
+            media.set(image.data, { id: `rIdImage${media.size + 1}`, file: `image${media.size + 1}.${extension}`, image });
+        }
+        const { id, file } = media.get(image.data);
+
+        const ratio = Math.min(maxWidth / image.width, maxHeight / image.height);
+        const width = Math.max(1, Math.round(image.width * ratio * EMU_PER_MM));
+        const height = Math.max(1, Math.round(image.height * ratio * EMU_PER_MM));
+        drawingCount++;
+
+        return '<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">' +
+            `<wp:extent cx="${width}" cy="${height}"/><wp:docPr id="${drawingCount}" name="${file}"/>` +
+            '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+            `<pic:nvPicPr><pic:cNvPr id="${drawingCount}" name="${file}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+            `<pic:blipFill><a:blip r:embed="${id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+            `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${width}" cy="${height}"/></a:xfrm>` +
+            '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>' +
+            '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+    }
+
+    /**
+     * Writes a table
+     * @param {number[]} widths - Column widths (any unit; scaled to the page)
+     * @param {string[][]} rows - w:p content per cell, per row
+     * @param {Object} [format] - { header: first row is a repeating header,
+     *   shade: fill per row index (or ''), borders: draw cell borders }
+     * @returns {string} w:tbl element, followed by an empty paragraph so
+     *   tables never run together
+     */
+    function wordTable(widths, rows, format = {}) {
+        const total = widths.reduce((sum, width) => sum + width, 0);
+        const columnWidths = widths.map(width => Math.floor(contentWidth * width / total));
+        const border = format.borders === false ? 'none' : 'single';
+        const borders = ['top', 'left', 'bottom', 'right', 'insideH', 'insideV']
+            .map(side => `<w:${side} w:val="${border}" w:sz="4" w:space="0" w:color="DDDDDD"/>`).join('');
+
+        const rowXml = rows.map((cells, rowIndex) => {
+            const shade = format.shade ? format.shade(rowIndex) : '';
+            const header = format.header && rowIndex === 0 ? '<w:trPr><w:tblHeader/><w:cantSplit/></w:trPr>' : '<w:trPr><w:cantSplit/></w:trPr>';
+            const cellXml = cells.map((cell, column) =>
+                `<w:tc><w:tcPr><w:tcW w:w="${columnWidths[column]}" w:type="dxa"/>` +
+                (shade ? `<w:shd w:val="clear" w:color="auto" w:fill="${shade}"/>` : '') +
+                `</w:tcPr>${cell || '<w:p/>'}</w:tc>`).join('');
+            return `<w:tr>${header}${cellXml}</w:tr>`;
+        }).join('');
+
+        return `<w:tbl><w:tblPr><w:tblW w:w="${contentWidth}" w:type="dxa"/><w:tblBorders>${borders}</w:tblBorders>` +
+            '<w:tblLayout w:type="fixed"/><w:tblCellMar><w:left w:w="80" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar></w:tblPr>' +
+            `<w:tblGrid>${columnWidths.map(width => `<w:gridCol w:w="${width}"/>`).join('')}</w:tblGrid>${rowXml}</w:tbl>` +
+            wordParagraph('');
+    }
+
+    // Paragraph styles used for the block styles
+    const PARAGRAPH_FORMATS = {
+        company: { style: 'Company' },
+        title: { style: 'Title' },
+        subtitle: { style: 'Subtitle' },
+        small: { size: 18 },
+        muted: { size: 18, color: [120, 120, 120] }
+    };
+
+    const body = content.blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                return wordParagraph(wordRun({ text: block.text }), `<w:pStyle w:val="Heading${block.level}"/>`);
+
+            case 'paragraph': {
+                const format = PARAGRAPH_FORMATS[block.style] || {};
+                const runs = block.runs.map(run => wordRun({ ...run, color: run.color || format.color }, format.size)).join('');
+                return wordParagraph(runs, format.style ? `<w:pStyle w:val="${format.style}"/>` : '');
+            }
+
+            case 'details':
+                return block.rows.length === 0 ? '' : wordTable([1, 2], block.rows.map(([label, value]) => [
+                    wordParagraph(wordRun({ text: label, bold: true })),
+                    wordParagraph(wordRun({ text: value }))
+                ]), { borders: false, shade: rowIndex => (rowIndex % 2 === 0 ? 'F8F8F8' : '') });
+
+            case 'table':
+                return wordTable(block.columns.map(column => column.width), [
+                    block.columns.map(column => wordParagraph(wordRun({ text: column.title, bold: true, color: [255, 255, 255] }, 18))),
+                    ...block.rows.map(cells => cells.map(cell => wordParagraph(wordRun({ ...cell, bold: Boolean(cell.color) }, 17))))
+                ], { header: true, shade: rowIndex => (rowIndex === 0 ? primaryHex : (rowIndex % 2 === 0 ? 'F8F8F8' : '')) });
+
+            case 'chart':
+                // Word has no simple bars, so the counts are listed in the bars' colours
+                return wordTable([3, 1], block.rows.map(row => [
+                    wordParagraph(wordRun({ text: row.label }, 18)),
+                    wordParagraph(wordRun({ text: String(row.count), bold: true, color: row.color }, 18))
+                ]), { borders: false, shade: rowIndex => (rowIndex % 2 === 0 ? 'F8F8F8' : '') });
+
+            case 'image':
+                return wordParagraph(wordPicture(block.image, block.width, block.height),
+                    block.align === 'center' ? '<w:jc w:val="center"/>' : '');
+
+            case 'photos': {
+                const cellWidth = (page.contentWidth - PHOTO_GAP * (block.columns - 1)) / block.columns;
+                const rows = [];
+                for (let start = 0; start < block.cells.length; start += block.columns) {
+                    const row = block.cells.slice(start, start + block.columns).map(cell => [
+                        cell.label ? wordParagraph(wordRun({ text: cell.label, italic: true, color: [100, 100, 100] }, 18)) : '',
+                        cell.image
+                            ? wordParagraph(wordPicture(cell.image, cellWidth - 3, block.height), block.columns > 1 ? '<w:jc w:val="center"/>' : '')
+                            : wordParagraph(wordRun({ text: cell.note, color: cell.failed ? [150, 0, 0] : [150, 150, 150] }, 18)),
+                        cell.caption ? wordParagraph(wordRun({ text: cell.caption, color: [60, 60, 60] }, 18)) : ''
+                    ].join(''));
+                    while (row.length < block.columns) {
+                        row.push('');
+                    }
+                    rows.push(row);
+                }
+                return wordTable(Array(block.columns).fill(1), rows, { borders: false });
+            }
+
+            case 'pageBreak':
+                return wordParagraph('<w:r><w:br w:type="page"/></w:r>');
+
+            default:
+                return '';
+        }
+    }).join('');
+
+    const officeFont = font => (FONT_FAMILIES[font] || FONT_FAMILIES.helvetica).office;
+    const fontXml = font => `<w:rFonts w:ascii="${officeFont(font)}" w:hAnsi="${officeFont(font)}" w:cs="${officeFont(font)}"/>`;
+    const headingStyle = (level, size, extra = '') =>
+        `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>` +
+        `<w:pPr><w:keepNext/>${extra}<w:spacing w:before="${level === 1 ? 360 : 240}" w:after="120"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>` +
+        `<w:rPr>${fontXml(headingFont)}<w:b/>${level === 2 ? `<w:color w:val="${primaryHex}"/>` : ''}<w:sz w:val="${size}"/></w:rPr></w:style>`;
+
+    const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<w:styles ${WORD_NAMESPACES}>` +
+        `<w:docDefaults><w:rPrDefault><w:rPr>${fontXml(bodyFont)}<w:sz w:val="20"/><w:lang w:val="${escapeMarkup(model.language)}"/></w:rPr></w:rPrDefault>` +
+        '<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+        '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+        `<w:style w:type="paragraph" w:styleId="Company"><w:name w:val="Company"/><w:basedOn w:val="Normal"/><w:pPr><w:jc w:val="center"/></w:pPr><w:rPr>${fontXml(headingFont)}<w:b/><w:color w:val="${primaryHex}"/><w:sz w:val="40"/></w:rPr></w:style>` +
+        `<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:before="120" w:after="240"/><w:jc w:val="center"/></w:pPr><w:rPr>${fontXml(headingFont)}<w:b/><w:sz w:val="32"/></w:rPr></w:style>` +
+        '<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:qFormat/><w:pPr><w:jc w:val="center"/></w:pPr><w:rPr><w:color w:val="505050"/></w:rPr></w:style>' +
+        headingStyle(1, 24, `<w:pBdr><w:left w:val="single" w:sz="24" w:space="4" w:color="${formatHexColor(accentColor)}"/></w:pBdr>` +
+            `<w:shd w:val="clear" w:color="auto" w:fill="${formatHexColor(accentTint)}"/>`) +
+        headingStyle(2, 22) +
+        headingStyle(3, 20) +
+        '</w:styles>';
+
+    // Page numbers are fields, filled in by Word as it lays the pages out
+    const pageNumberXml = translate(model.language, 'Page {page} of {total}').split(/(\{page\}|\{total\})/)
+        .filter(Boolean)
+        .map(part => {
+            if (part === '{page}' || part === '{total}') {
+                return `<w:fldSimple w:instr=" ${part === '{page}' ? 'PAGE' : 'NUMPAGES'} ">${wordRun({ text: '1' }, 16)}</w:fldSimple>`;
+            }
+            return wordRun({ text: part }, 16);
+        }).join('');
+    const runningXml = text => wordParagraph(wordRun({ text, color: [150, 150, 150] }, 16), '<w:spacing w:after="0"/><w:jc w:val="center"/>');
+    const footer = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<w:ftr ${WORD_NAMESPACES}>` +
+        (content.footer ? runningXml(content.footer) : '') +
+        wordParagraph(pageNumberXml, '<w:spacing w:after="0"/><w:jc w:val="center"/>') +
+        wordParagraph(wordRun({ text: content.generated, color: [150, 150, 150] }, 16), '<w:jc w:val="center"/>') +
+        '</w:ftr>';
+
+    // The running header is ruled off from the page, as in the PDF
+    const header = content.header && '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<w:hdr ${WORD_NAMESPACES}>` +
+        wordParagraph(wordRun({ text: content.header, color: [150, 150, 150] }, 16),
+            '<w:pBdr><w:bottom w:val="single" w:sz="4" w:space="4" w:color="C8C8C8"/></w:pBdr><w:jc w:val="center"/>') +
+        '</w:hdr>';
+
+    const landscape = model.pageSetup.orientation === 'landscape';
+    const documentXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        `<w:document ${WORD_NAMESPACES}><w:body>${body}` +
+        `<w:sectPr>${header ? '<w:headerReference w:type="default" r:id="rIdHeader"/>' : ''}<w:footerReference w:type="default" r:id="rIdFooter"/>` +
+        `<w:pgSz w:w="${Math.round(page.width * TWIPS_PER_MM)}" w:h="${Math.round(page.height * TWIPS_PER_MM)}"${landscape ? ' w:orient="landscape"' : ''}/>` +
+        `<w:pgMar w:top="${margin}" w:right="${margin}" w:bottom="${margin}" w:left="${margin}" w:header="567" w:footer="567" w:gutter="0"/>` +
+        '</w:sectPr></w:body></w:document>';
+
+    const mediaList = Array.from(media.values());
+    const relationships = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '<Relationship Id="rIdFooter" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>' +
+        (header ? '<Relationship Id="rIdHeader" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/header" Target="header1.xml"/>' : '') +
+        mediaList.map(entry => `<Relationship Id="${entry.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/${entry.file}"/>`).join('') +
+        '</Relationships>';
+
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Default Extension="jpeg" ContentType="image/jpeg"/>' +
+        '<Default Extension="png" ContentType="image/png"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+        '<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>' +
+        (header ? '<Override PartName="/word/header1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.header+xml"/>' : '') +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        '</Types>';
+
+    const zip = createZip([
+        { name: '[Content_Types].xml', data: contentTypes },
+        { name: '_rels/.rels', data: packageRelationships('word/document.xml', 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument') },
+        { name: 'docProps/core.xml', data: coreProperties(content.title, model) },
+        { name: 'word/document.xml', data: documentXml },
+        { name: 'word/styles.xml', data: styles },
+        { name: 'word/footer1.xml', data: footer },
+        ...(header ? [{ name: 'word/header1.xml', data: header }] : []),
+        { name: 'word/_rels/document.xml.rels', data: relationships },
+        ...mediaList.map(entry => ({ name: `word/media/${entry.file}`, data: dataUrlToBytes(entry.image.data) }))
+    ], model.generatedAt);
+
+    return new Blob([zip], { type: REPORT_FORMATS.docx.mimeType });
+}
+
+/**
+ * Writes the package relationships of a Word or Excel file
+ * @param {string} target - Main part, e.g. "word/document.xml"
+ * @param {string} type - Relationship type of the main part
+ * @returns {string} _rels/.rels content
+ */
+function packageRelationships(target, type) {
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${type}" Target="${target}"/>` +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>' +
+        '</Relationships>';
+}
+
+/**
+ * Writes the document properties (title, author, date) of a Word or Excel file
+ * @param {string} title - Document title
+ * @param {Object} model - Report model from buildReportModel
+ * @returns {string} docProps/core.xml content
+ */
+function coreProperties(title, model) {
+    const created = new Date(model.generatedAt).toISOString().replace(/\.\d+Z$/, 'Z');
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+        'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+        'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+        `<dc:title>${escapeMarkup(title)}</dc:title>` +
+        `<dc:creator>${escapeMarkup(model.inspection.inspectorName || model.company.name)}</dc:creator>` +
+        `<dc:language>${escapeMarkup(model.language)}</dc:language>` +
+        `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>` +
+        '</cp:coreProperties>';
+}
+
+// ============================================
+// HTML REPORT
+// ============================================
+
+/**
+ * Renders the report as one HTML file: styles inline and photos embedded as
+ * data URLs, so it can be emailed or archived on its own
+ * @param {Object} model - Report model from buildReportModel
+ * @param {Object} [options] - See buildReportContent
+ * @returns {Promise<Blob>} The .html file
+ */
+async function renderReportHtml(model, options = {}) {
+    const content = await buildReportContent(model, options);
+    const { primaryColor, accentColor, accentTint, headingFont, bodyFont } = model.branding;
+    const cssFont = font => (FONT_FAMILIES[font] || FONT_FAMILIES.helvetica).css;
+    const cssColor = color => `#${formatHexColor(color)}`;
+    const { width: pageWidth, margin } = content.page;
+
+    /**
+     * Writes runs of text as HTML
+     * @param {Object[]} runs - { text, bold, italic, color } per run
+     * @returns {string} HTML
+     */
+    function htmlRuns(runs) {
+        return runs.map(run => {
+            let html = escapeMarkup(run.text).replace(/\n/g, '<br>');
+            if (run.color) {
+                html = `<span style="color: ${cssColor(run.color)}">${html}</span>`;
+            }
+            if (run.italic) {
+                html = `<em>${html}</em>`;
+            }
+            return run.bold ? `<strong>${html}</strong>` : html;
+        }).join('');
+    }
+
+    /**
+     * Writes an image, scaled down to fit a box
+     * @param {Object} image - Prepared image: { data }
+     * @param {number} maxWidth - Box width in mm
+     * @param {number} maxHeight - Box height in mm
+     * @returns {string} img element
+     */
+    const htmlImage = (image, maxWidth, maxHeight) =>
+        `<img src="${escapeMarkup(image.data)}" alt="" style="max-width: min(100%, ${maxWidth}mm); max-height: ${Math.round(maxHeight)}mm">`;
+
+    const body = content.blocks.map(block => {
+        switch (block.type) {
+            case 'heading': {
+                const tag = `h${block.level + 1}`;
+                return `<${tag}>${escapeMarkup(block.text)}</${tag}>`;
+            }
+
+            case 'paragraph':
+                return `<p${block.style ? ` class="${block.style}"` : ''}>${htmlRuns(block.runs)}</p>`;
+
+            case 'details':
+                return block.rows.length === 0 ? '' : '<table class="details"><tbody>' +
+                    block.rows.map(([label, value]) => `<tr><th scope="row">${escapeMarkup(label)}</th><td>${escapeMarkup(value).replace(/\n/g, '<br>')}</td></tr>`).join('') +
+                    '</tbody></table>';
+
+            case 'table':
+                return '<table class="register"><thead><tr>' +
+                    block.columns.map(column => `<th scope="col">${escapeMarkup(column.title)}</th>`).join('') +
+                    '</tr></thead><tbody>' +
+                    block.rows.map(cells => `<tr>${cells.map(cell => `<td>${htmlRuns([{ ...cell, bold: Boolean(cell.color) }])}</td>`).join('')}</tr>`).join('') +
+                    '</tbody></table>';
+
+            case 'chart': {
+                const maxCount = Math.max(1, ...block.rows.map(row => row.count));
+                return '<table class="chart"><tbody>' + block.rows.map(row =>
+                    `<tr><th scope="row">${escapeMarkup(row.label)}</th><td>` +
+                    `<span class="bar" style="width: ${Math.round(row.count / maxCount * 85)}%; background-color: ${cssColor(row.color)}"></span>` +
+                    `<strong>${row.count}</strong></td></tr>`).join('') + '</tbody></table>';
+            }
+
+            case 'image':
+                return `<p class="image ${block.align}">${htmlImage(block.image, block.width, block.height)}</p>`;
+
+            case 'photos':
+                return `<div class="photos" style="grid-template-columns: repeat(${block.columns}, 1fr)">` +
+                    block.cells.map(cell => '<figure>' +
+                        (cell.label ? `<figcaption class="label">${escapeMarkup(cell.label)}</figcaption>` : '') +
+                        (cell.image
+                            ? htmlImage(cell.image, content.page.contentWidth, block.height)
+                            : `<p class="${cell.failed ? 'failed' : 'muted'}">${escapeMarkup(cell.note)}</p>`) +
+                        (cell.caption ? `<figcaption>${escapeMarkup(cell.caption)}</figcaption>` : '') +
+                        '</figure>').join('') +
+                    '</div>';
+
+            case 'pageBreak':
+                return '<div class="page-break"></div>';
+
+            default:
+                return '';
+        }
+    }).join('\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="${escapeMarkup(model.language)}">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeMarkup(content.title)}</title>
+<style>
+body { margin: 0; background: #f0f0f0; color: #000; font: 10.5pt/1.45 ${cssFont(bodyFont)}; }
+main { max-width: ${pageWidth}mm; margin: 0 auto; padding: ${margin}mm; background: #fff; box-sizing: border-box; }
+h1, h2, h3, h4, .company, .title { font-family: ${cssFont(headingFont)}; }
+h2 { margin: 1.6em 0 0.6em; padding: 0.3em 0.5em; font-size: 12pt; background: ${cssColor(accentTint)}; border-left: 1.5mm solid ${cssColor(accentColor)}; }
+h3 { margin: 1.4em 0 0.4em; font-size: 11pt; color: ${cssColor(primaryColor)}; break-after: avoid; }
+h4 { margin: 1.2em 0 0.3em; font-size: 10.5pt; break-after: avoid; }
+p { margin: 0 0 0.5em; }
+.company { margin: 0; text-align: center; font-size: 20pt; font-weight: bold; color: ${cssColor(primaryColor)}; }
+.title { margin: 0.4em 0 1em; text-align: center; font-size: 16pt; font-weight: bold; }
+.subtitle { text-align: center; color: #505050; }
+.small { font-size: 9pt; color: #505050; white-space: pre-wrap; }
+.muted { font-size: 9pt; color: #787878; }
+.failed { font-size: 9pt; color: #960000; }
+.image.center { text-align: center; }
+table { width: 100%; border-collapse: collapse; margin: 0 0 1em; }
+th, td { padding: 0.3em 0.5em; text-align: left; vertical-align: top; }
+.details th { width: 33%; }
+.details tr:nth-child(odd) { background: #f8f8f8; }
+.register { font-size: 9pt; }
+.register thead th { background: ${cssColor(primaryColor)}; color: #fff; }
+.register tbody tr:nth-child(even) { background: #f8f8f8; }
+.register td { border-bottom: 1px solid #ddd; }
+.chart th { width: 35%; font-weight: normal; }
+.chart .bar { display: inline-block; height: 0.9em; margin-right: 0.4em; vertical-align: middle; }
+.photos { display: grid; gap: ${PHOTO_GAP}mm; margin: 0.5em 0 1em; }
+.photos figure { margin: 0; break-inside: avoid; }
+.photos img { display: block; margin: 0.2em auto; }
+.photos figcaption { font-size: 9pt; color: #3c3c3c; }
+.photos figcaption.label { font-style: italic; color: #646464; }
+header, footer { max-width: ${pageWidth}mm; margin: 0 auto; padding: 1em ${margin}mm; box-sizing: border-box; text-align: center; font-size: 8pt; color: #969696; }
+header { border-bottom: 1px solid #c8c8c8; background: #fff; }
+footer p { margin: 0; }
+@page { size: ${model.pageSetup.size} ${model.pageSetup.orientation}; margin: ${margin}mm; }
+@media print {
+    body { background: none; }
+    header, main, footer { max-width: none; padding: 0; }
+    header { margin-bottom: 1em; }
+    .page-break { break-after: page; }
+}
+</style>
+</head>
+<body>
+${content.header ? `<header>${escapeMarkup(content.header)}</header>\n` : ''}<main>
+${body}
+</main>
+<footer>${content.footer ? `<p>${escapeMarkup(content.footer)}</p>` : ''}<p>${escapeMarkup(content.generated)}</p></footer>
+</body>
+</html>
+`;
+
+    return new Blob([html], { type: `${REPORT_FORMATS.html.mimeType};charset=utf-8` });
+}
+
+// ============================================
+// DEFECT REGISTER (CSV & EXCEL)
+// ============================================
+
+/**
+ * Renders the defect register as CSV, as Excel opens it: UTF-8 with a byte
+ * order mark, commas and CRLF line endings
+ * @param {Object} model - Report model from buildReportModel
+ * @returns {Blob} The .csv file
+ */
+function renderDefectRegisterCsv(model) {
+    const register = buildDefectRegister(model);
+
+    /**
+     * Quotes a value when it holds a comma, quote or line break. Text that
+     * starts like a formula gets a leading apostrophe so spreadsheets show
+     * it instead of running it.
+     * @param {string|number} value - Cell value
+     * @returns {string} CSV field
+     */
+    const csvField = value => {
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [register.columns.map(column => column.title), ...register.rows]
+        .map(row => row.map(csvField).join(','));
+    return new Blob(['\uFEFF' + lines.join('\r\n') + '\r\n'], { type: `${REPORT_FORMATS.csv.mimeType};charset=utf-8` });
+}
+
+/**
+ * Renders the defect register as an Excel workbook with one sheet: a bold,
+ * frozen header row with filters, and wrapped text
+ * @param {Object} model - Report model from buildReportModel
+ * @returns {Blob} The .xlsx file
+ */
+function renderDefectRegisterXlsx(model) {
+    const register = buildDefectRegister(model);
+
+    // Column letters: A-Z, then AA...
+    const columnName = index => (index >= 26 ? columnName(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + index % 26);
+
+    // Styles (cellXfs below): 1 = header, 2 = wrapped text. Empty cells are left out.
+    const cellXml = (value, column, row, style) => {
+        const ref = `${columnName(column)}${row}`;
+        if (value === '') {
+            return '';
+        }
+        if (typeof value === 'number') {
+            return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+        }
+        return `<c r="${ref}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeMarkup(value)}</t></is></c>`;
+    };
+
+    const rows = [register.columns.map(column => column.title), ...register.rows];
+    const lastCell = `${columnName(register.columns.length - 1)}${rows.length}`;
+    const sheetData = rows.map((cells, index) =>
+        `<row r="${index + 1}">${cells.map((value, column) => cellXml(value, column, index + 1, index === 0 ? 1 : 2)).join('')}</row>`).join('');
+
+    const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        `<cols>${register.columns.map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width}" customWidth="1"/>`).join('')}</cols>` +
+        `<sheetData>${sheetData}</sheetData>` +
+        `<autoFilter ref="A1:${lastCell}"/>` +
+        '</worksheet>';
+
+    // Sheet names: at most 31 characters, none of : \ / ? * [ ]
+    const sheetName = register.title.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31);
+    const workbook = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeMarkup(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${escapeMarkup(sheetName.replace(/'/g, '\'\''))}'!$A$1:$${columnName(register.columns.length - 1)}$${rows.length}</definedName></definedNames>` +
+        '</workbook>';
+
+    const styles = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1"><alignment vertical="top" wrapText="1"/></xf></cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>';
+
+    const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>' +
+        '</Types>';
+
+    const workbookRelationships = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        '</Relationships>';
+
+    const zip = createZip([
+        { name: '[Content_Types].xml', data: contentTypes },
+        { name: '_rels/.rels', data: packageRelationships('xl/workbook.xml', 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument') },
+        { name: 'docProps/core.xml', data: coreProperties(register.title, model) },
+        { name: 'xl/workbook.xml', data: workbook },
+        { name: 'xl/_rels/workbook.xml.rels', data: workbookRelationships },
+        { name: 'xl/styles.xml', data: styles },
+        { name: 'xl/worksheets/sheet1.xml', data: sheet }
+    ], model.generatedAt);
+
+    return new Blob([zip], { type: REPORT_FORMATS.xlsx.mimeType });
+}
+
+// ============================================
+// ZIP PACKAGING
+// ============================================
+
+/**
+ * How the ZIP Files Are Written:
+ * - Word and Excel files are ZIP archives. Entries are stored without
+ *   compression: the photos are JPEG or PNG already, and the XML is small,
+ *   so compressing would save little for a lot of code.
+ * - Each entry is a local header plus its data; a central directory listing
+ *   every entry, and an end record pointing at it, follow the last one
+ */
+
+// CRC-32 (as used by ZIP) of every byte value
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum ZIP entries carry
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Checksum
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed ZIP archive
+ * @param {Object[]} files - { name, data } per file, data as text (written as UTF-8) or bytes
+ * @param {Date} [modified] - Modification time recorded for every file (now if omitted)
+ * @returns {Uint8Array} The archive
+ */
+function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const date = new Date(modified);
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const entries = files.map(file => {
+        const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+        return { name: encoder.encode(file.name), data, crc: crc32(data) };
+    });
+
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+
+    /**
+     * Writes the fields local and central headers share
+     * @param {number} offset - Where the fields start
+     * @param {Object} entry - Entry being written
+     */
+    const writeEntryFields = (offset, entry) => {
+        view.setUint16(offset, 20, true);                  // version needed to extract (2.0)
+        view.setUint16(offset + 2, 0x0800, true);          // flags: names are UTF-8
+        view.setUint16(offset + 4, 0, true);               // stored (no compression)
+        view.setUint16(offset + 6, dosTime, true);
+        view.setUint16(offset + 8, dosDate, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.data.length, true); // compressed size
+        view.setUint32(offset + 18, entry.data.length, true); // uncompressed size
+        view.setUint16(offset + 22, entry.name.length, true);
+        view.setUint16(offset + 24, 0, true);              // extra field length
+    };
+
+    let offset = 0;
+    entries.forEach(entry => {
+        entry.offset = offset;
+        view.setUint32(offset, 0x04034B50, true);
+        writeEntryFields(offset + 4, entry);
+        bytes.set(entry.name, offset + 30);
+        bytes.set(entry.data, offset + 30 + entry.name.length);
+        offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    const centralStart = offset;
+    entries.forEach(entry => {
+        view.setUint32(offset, 0x02014B50, true);
+        view.setUint16(offset + 4, 20, true);              // version made by
+        writeEntryFields(offset + 6, entry);
+        // Comment length, disk number and attributes stay zero
+        view.setUint32(offset + 42, entry.offset, true);
+        bytes.set(entry.name, offset + 46);
+        offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054B50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralStart, true);
+    view.setUint32(offset + 16, centralStart, true);
+
+    return bytes;
+}
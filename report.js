@@ -0,0 +1,2178 @@
+/**
+ * ============================================
+ * HOME DEFECT INSPECTION REPORT GENERATOR
+ * Report Model & PDF Renderer
+ * ============================================
+ *
+ * This script handles:
+ * 1. Building the report model: the inspection (form fields, defects,
+ *    signatures) turned into plain data with defaults, the executive
+ *    summary and the photo layout already worked out
+ * 2. Rendering the model as a PDF with jsPDF, returned as a Blob
+ * 3. Constants and helpers shared with the interface (severities,
+ *    statuses, photo layouts, page setup, translation, Unicode fonts)
+ *
+ * Nothing here touches the page or the app's state: script.js collects the
+ * inspection and passes it in. That keeps the layout testable under Node
+ * (see test/) and lets the report be generated without a click.
+ */
+
+// ============================================
+// TRANSLATION & DATES
+// ============================================
+
+/**
+ * Translates a text into a language (see "How Translation Works" in script.js)
+ * @param {string} language - Language code
+ * @param {string} text - English text
+ * @param {Object} params - Values for the {name} placeholders in the text
+ * @returns {string} Translated text
+ */
+function translate(language, text, params = {}) {
+    // Own keys only: user text such as "constructor" isn't a translation
+    const table = Object.hasOwn(TRANSLATIONS, language) ? TRANSLATIONS[language] : {};
+    const lookup = key => (Object.hasOwn(table, key) ? table[key] : '');
+    const plainText = text.slice(text.indexOf('|') + 1);
+    const translated = lookup(text) || lookup(plainText) || plainText;
+    return translated.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Formats a date field for the report ("March 5, 2024", or "5 March 2024"
+ * in en-GB)
+ * @param {string} value - Date in YYYY-MM-DD form
+ * @param {string} locale - BCP 47 locale
+ * @returns {string} Formatted date
+ */
+function formatReportDate(value, locale) {
+    // new Date('2024-03-05') would be midnight UTC, which is the day before
+    // west of Greenwich, so the parts are read as a local date
+    const parts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const dateObj = parts ? new Date(Number(parts[1]), Number(parts[2]) - 1, Number(parts[3])) : new Date(value);
+    return dateObj.toLocaleDateString(locale, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+}
+
+// ============================================
+// DEFECT DATA
+// ============================================
+
+// Severity ratings, least to most serious, with the colours used on cards and in the PDF
+const SEVERITY_LEVELS = {
+    'Minor': { className: 'minor', color: [56, 142, 60] },
+    'Moderate': { className: 'moderate', color: [214, 158, 46] },
+    'Major': { className: 'major', color: [221, 107, 32] },
+    'Safety Critical': { className: 'safety-critical', color: [197, 48, 48] }
+};
+
+// Rectification statuses, with the colours used on cards and in the PDF
+const DEFECT_STATUSES = {
+    'Open': { className: 'open', color: [197, 48, 48] },
+    'Partially Rectified': { className: 'partially-rectified', color: [214, 158, 46] },
+    'Rectified': { className: 'rectified', color: [56, 142, 60] },
+    'Not Accessible': { className: 'not-accessible', color: [113, 128, 150] }
+};
+
+// Defects saved before statuses existed are open
+const DEFAULT_DEFECT_STATUS = 'Open';
+
+// How a defect's photos are arranged in the PDF: photos per row, and for
+// grids the height of each photo's box relative to its width. The report
+// picks one (photoLayout field); a defect can override it.
+const PHOTO_LAYOUTS = {
+    single: { label: '1 per row', columns: 1 },
+    grid2: { label: '2 x 2 grid', columns: 2, cellAspect: 0.75 },
+    grid3: { label: '3 x 3 contact sheet', columns: 3, cellAspect: 0.75 },
+    fullPage: { label: 'Full page', columns: 1, fullPage: true }
+};
+
+const DEFAULT_PHOTO_LAYOUT = 'single';
+
+// Role printed for the client signature, by Attendance value
+const ATTENDEE_ROLES = {
+    'Owner Present': 'Owner',
+    'Tenant Present': 'Tenant',
+    'Agent Present': 'Agent',
+    'Builder Present': 'Builder'
+};
+
+// Branding used when none is given (the branding panel's defaults)
+const DEFAULT_BRANDING = {
+    logo: '',
+    primaryColor: [44, 82, 130],
+    accentColor: [128, 128, 128],
+    accentTint: [240, 240, 240],
+    headingFont: 'helvetica',
+    bodyFont: 'helvetica',
+    coverPage: false
+};
+
+// Photos, logos and signatures are kept as base64 data URLs in these formats.
+// Anything else (such as a quote followed by markup) is refused on import.
+const IMAGE_DATA_URL = /^data:image\/(jpeg|png|webp|gif|bmp|heic|heif|avif);base64,[A-Za-z0-9+/]+=*$/;
+
+/**
+ * Checks that a value is an image data URL
+ * @param {*} value - Value to check
+ * @returns {boolean} True for base64 data URLs of a known image format
+ */
+function isImageDataUrl(value) {
+    return typeof value === 'string' && IMAGE_DATA_URL.test(value);
+}
+
+/**
+ * Gets a defect's rectification status
+ * @param {Object} defect - Defect object
+ * @returns {string} Key of DEFECT_STATUSES
+ */
+function getDefectStatus(defect) {
+    return Object.hasOwn(DEFECT_STATUSES, defect.status) ? defect.status : DEFAULT_DEFECT_STATUS;
+}
+
+/**
+ * Checks whether a defect still needs work (anything but Rectified)
+ * @param {Object} defect - Defect object
+ * @returns {boolean} True if outstanding
+ */
+function isDefectOutstanding(defect) {
+    return getDefectStatus(defect) !== 'Rectified';
+}
+
+/**
+ * Checks whether statuses are worth showing: on follow-ups, or once any
+ * defect has moved on from Open
+ * @param {Object[]} defectList - Defects in report order
+ * @param {Object|null} followUpOf - The inspection this one follows up, if any
+ * @returns {boolean} True if statuses should be shown
+ */
+function tracksRectification(defectList, followUpOf) {
+    return Boolean(followUpOf) || defectList.some(defect => getDefectStatus(defect) !== DEFAULT_DEFECT_STATUS);
+}
+
+/**
+ * Combines a defect's room/area, floor and elevation into one line
+ * @param {Object} defect - Defect object
+ * @param {string} language - Language code the elevation is written in
+ * @returns {string} e.g. "Master Bedroom, Level 1, North elevation" (empty if none set)
+ */
+function formatDefectLocation(defect, language) {
+    const parts = [defect.locationArea, defect.locationFloor];
+    if (defect.locationElevation) {
+        parts.push(translate(language, '{side} elevation', { side: translate(language, defect.locationElevation) }));
+    }
+    return parts.filter(Boolean).join(', ');
+}
+
+/**
+ * Upgrades a stored defect to the current shape. Older versions kept a single
+ * image in imageData/imageName instead of the images array.
+ * @param {Object} defect - Defect as stored or imported
+ * @returns {Object} Defect with an images array
+ */
+function normalizeDefect(defect) {
+    if (Array.isArray(defect.images)) {
+        return defect;
+    }
+
+    const normalized = { ...defect, images: [] };
+    if (defect.imageData) {
+        normalized.images.push({ data: defect.imageData, name: defect.imageName || 'image' });
+    }
+    delete normalized.imageData;
+    delete normalized.imageName;
+    return normalized;
+}
+
+/**
+ * Finds the category of a defect type
+ * @param {string} defectType - Defect type
+ * @param {Object[]} categories - { name, types } per category
+ * @returns {string} Category name, or "Other" for custom types
+ */
+function findDefectCategory(defectType, categories) {
+    const category = categories.find(entry => entry.types.includes(defectType));
+    return category ? category.name : 'Other';
+}
+
+/**
+ * Lists the photos shown for a defect. With after photos, each before photo
+ * is paired with the after photo at the same position.
+ * @param {Object} defect - Defect from the report model
+ * @param {string} language - Language code the labels are written in
+ * @returns {Object[]} { image, label, name } per photo: the image (null for an
+ *   empty "after" or "before" slot), the label shown above it and how errors refer to it
+ */
+function listDefectPhotos(defect, language) {
+    const t = (text, params) => translate(language, text, params);
+    const images = defect.images;
+    const afterImages = defect.afterImages;
+
+    const photos = [];
+    if (afterImages.length > 0) {
+        for (let k = 0; k < Math.max(images.length, afterImages.length); k++) {
+            photos.push({
+                image: images[k] || null,
+                label: images[k] ? t('Before {number} of {total}', { number: k + 1, total: images.length }) : t('Before'),
+                name: t('image {number}', { number: k + 1 })
+            });
+            photos.push({
+                image: afterImages[k] || null,
+                label: afterImages[k] ? t('After {number} of {total}', { number: k + 1, total: afterImages.length }) : t('After'),
+                name: t('after photo {number}', { number: k + 1 })
+            });
+        }
+    } else {
+        images.forEach((image, k) => {
+            photos.push({
+                image,
+                label: images.length > 1 ? t('Image {number} of {total}', { number: k + 1, total: images.length }) : '',
+                name: t('image {number}', { number: k + 1 })
+            });
+        });
+    }
+    return photos;
+}
+
+/**
+ * Gets how a defect's photos are arranged: its own layout, else the
+ * report's. Before/after pairs always sit side by side.
+ * @param {Object} defect - Defect from the report model
+ * @param {string} reportLayout - The report's photo layout (key of PHOTO_LAYOUTS)
+ * @returns {Object} Entry of PHOTO_LAYOUTS
+ */
+function getDefectPhotoLayout(defect, reportLayout) {
+    if (defect.afterImages.length > 0) {
+        return PHOTO_LAYOUTS.grid2;
+    }
+    return PHOTO_LAYOUTS[defect.photoLayout] || PHOTO_LAYOUTS[reportLayout] || PHOTO_LAYOUTS[DEFAULT_PHOTO_LAYOUT];
+}
+
+/**
+ * Finds the image chosen as the cover photo
+ * @param {Object[]} defectList - Defects in report order
+ * @returns {Object|null} Image object, or null if none is chosen
+ */
+function findCoverPhoto(defectList) {
+    for (const defect of defectList) {
+        const img = (defect.images || []).find(image => image.cover);
+        if (img) {
+            return img;
+        }
+    }
+    return null;
+}
+
+/**
+ * Counts defects per category and per severity for the executive summary
+ * @param {Object[]} defectList - Defects in report order, with their category
+ * @param {Object[]} categories - { name, types } per category, in display order
+ * @returns {Object} { total, byCategory: [{label, count}], bySeverity: [{label, count, color}] }
+ */
+function summarizeDefects(defectList, categories) {
+    const categoryOrder = categories.map(category => category.name);
+    categoryOrder.push('Other');
+
+    const categoryCounts = {};
+    const severityCounts = {};
+    defectList.forEach(defect => {
+        categoryCounts[defect.category] = (categoryCounts[defect.category] || 0) + 1;
+
+        const severity = SEVERITY_LEVELS[defect.severity] ? defect.severity : 'Not rated';
+        severityCounts[severity] = (severityCounts[severity] || 0) + 1;
+    });
+
+    const byCategory = categoryOrder
+        .filter(label => categoryCounts[label])
+        .map(label => ({ label: label, count: categoryCounts[label] }));
+
+    // All ratings are listed (even at zero) so readers see the full scale
+    const bySeverity = Object.keys(SEVERITY_LEVELS).map(label => ({
+        label: label,
+        count: severityCounts[label] || 0,
+        color: SEVERITY_LEVELS[label].color
+    }));
+    if (severityCounts['Not rated']) {
+        bySeverity.push({ label: 'Not rated', count: severityCounts['Not rated'], color: [160, 160, 160] });
+    }
+
+    return {
+        total: defectList.length,
+        byCategory: byCategory,
+        bySeverity: bySeverity
+    };
+}
+
+// ============================================
+// PAGE SETUP
+// ============================================
+
+// Paper sizes in mm, portrait (keys are also jsPDF format names)
+const PAGE_SIZES = {
+    a4: { width: 210, height: 297 },
+    letter: { width: 215.9, height: 279.4 },
+    legal: { width: 215.9, height: 355.6 }
+};
+
+// Margin around the text on every side, in mm
+const PAGE_MARGINS = {
+    narrow: 12.7,
+    normal: 20,
+    wide: 25.4
+};
+
+// What can run along the top or bottom of every page, in the order printed
+const RUNNING_ITEMS = ['companyName', 'reportNumber', 'address', 'confidentiality'];
+
+// Page setup used when none is given: A4 portrait, nothing but page
+// numbers and the generation time in the footer
+const DEFAULT_PAGE_SETUP = {
+    size: 'a4',
+    orientation: 'portrait',
+    margins: 'normal',
+    header: [],
+    footer: [],
+    confidentialityNote: ''
+};
+
+/**
+ * Works out the page size and the width left for text
+ * @param {Object} pageSetup - Page setup from the report model
+ * @returns {Object} { width, height, margin, contentWidth } in mm
+ */
+function getPageDimensions(pageSetup) {
+    const size = PAGE_SIZES[pageSetup.size];
+    const landscape = pageSetup.orientation === 'landscape';
+    const width = landscape ? size.height : size.width;
+    const margin = PAGE_MARGINS[pageSetup.margins];
+    return {
+        width: width,
+        height: landscape ? size.width : size.height,
+        margin: margin,
+        contentWidth: width - margin * 2
+    };
+}
+
+/**
+ * Lists the text that runs along the top or bottom of every page
+ * @param {Object} model - Report model
+ * @param {string} position - 'header' or 'footer'
+ * @returns {string[]} Text per item, in RUNNING_ITEMS order; items with nothing to print are left out
+ */
+function listRunningText(model, position) {
+    const t = (text, params) => translate(model.language, text, params);
+    const values = {
+        companyName: model.company.name,
+        reportNumber: model.reportNumber ? t('Report No. {number}', { number: model.reportNumber }) : '',
+        address: model.client.address.split(/\s*\n\s*/).filter(Boolean).join(', '),
+        confidentiality: model.pageSetup.confidentialityNote || t('Confidential')
+    };
+    return model.pageSetup[position].map(item => values[item]).filter(Boolean);
+}
+
+// ============================================
+// REPORT NUMBERS & FILE NAMES
+// ============================================
+
+/**
+ * How Report Numbers and File Names Work:
+ * - A report number is written from a format such as "{prefix}{year}-{number}":
+ *   {number} is the report's place in the sequence, padded with zeros, and
+ *   {year}, {month} and {day} are the date the number was given
+ * - A file name is written from a pattern such as "{reportNumber}_{client}_{date}".
+ *   A token with nothing to fill in is dropped along with the separator
+ *   before it, so a report without a client doesn't end up as "RPT-0001__2024-03-05"
+ * - Characters Windows, macOS or Linux reject are replaced, and the name
+ *   never starts or ends with a dot or a space
+ */
+
+// Report number format used when none is given, e.g. "RPT-2024-0007"
+const DEFAULT_REPORT_NUMBER_FORMAT = '{prefix}{year}-{number}';
+
+// File name pattern used when none is given (the extension is added after)
+const DEFAULT_FILENAME_PATTERN = 'Inspection_Report_{reportNumber}_{client}_{date}';
+
+// Used when a pattern leaves nothing to name the file with
+const FALLBACK_FILENAME = 'Inspection_Report';
+
+// Longest file name, in characters, before the extension
+const MAX_FILENAME_LENGTH = 120;
+
+// Characters file systems reject in names (including control characters),
+// with the spaces around them
+const UNSAFE_FILENAME_CHARACTERS = /(?:\s*[<>:"/\\|?*\x00-\x1f\x7f])+\s*/g;
+
+// Device names Windows reserves, with or without an extension
+const RESERVED_FILENAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+/**
+ * Writes a date in YYYY-MM-DD form (local time)
+ * @param {Date} date - Date
+ * @returns {string} e.g. "2024-03-05"
+ */
+function formatIsoDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Writes a report number from a numbering format
+ * @param {string} format - Tokens {prefix}, {year}, {month}, {day} and {number}
+ *   (DEFAULT_REPORT_NUMBER_FORMAT if empty); {number} is added at the end if missing
+ * @param {Object} numbering - { prefix, sequence, digits, date }: the number in
+ *   the sequence, the digits it is padded to and the date it is given on
+ * @returns {string} Report number, e.g. "RPT-2024-0007"
+ */
+function formatReportNumber(format, numbering) {
+    const [year, month, day] = formatIsoDate(numbering.date).split('-');
+    const tokens = {
+        prefix: numbering.prefix || '',
+        year: year,
+        month: month,
+        day: day,
+        number: String(numbering.sequence).padStart(numbering.digits || 1, '0')
+    };
+
+    // Without {number} every report would be given the same number
+    let pattern = format || DEFAULT_REPORT_NUMBER_FORMAT;
+    if (!pattern.includes('{number}')) {
+        pattern += '{number}';
+    }
+    return pattern.replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match));
+}
+
+/**
+ * Makes text safe to use in a file name: characters file systems reject
+ * become hyphens, and separators are trimmed from the ends
+ * @param {string} text - Text
+ * @returns {string} Cleaned text ('' if nothing usable is left)
+ */
+function cleanFilename(text) {
+    return text
+        .replace(UNSAFE_FILENAME_CHARACTERS, '-')
+        .replace(/\s+/g, ' ')
+        .replace(/^[\s._-]+|[\s._-]+$/g, '');
+}
+
+/**
+ * Names a report file from a file name pattern
+ * @param {string} pattern - Tokens {reportNumber}, {client}, {address}, {company} and
+ *   {date} (DEFAULT_FILENAME_PATTERN if empty); other text is kept as written
+ * @param {Object} model - Report model
+ * @returns {string} File name without the extension, safe to save on any system
+ */
+function buildReportFilename(pattern, model) {
+    const tokens = {
+        reportNumber: model.reportNumber,
+        client: model.client.name,
+        address: model.client.address.split(/\s*\n\s*/).filter(Boolean).join(', '),
+        company: model.company.name,
+        // The inspection date, or the day the report is made if there is none
+        date: model.inspection.date || formatIsoDate(new Date(model.generatedAt))
+    };
+
+    const filled = (pattern || DEFAULT_FILENAME_PATTERN).replace(/([\s_.-]*)\{(\w+)\}/g, (match, separator, token) => {
+        if (!(token in tokens)) return match;
+        const value = cleanFilename(tokens[token]);
+        return value ? separator + value : '';
+    });
+
+    // Cut at whole characters, so an emoji isn't split in half
+    const name = cleanFilename(Array.from(cleanFilename(filled)).slice(0, MAX_FILENAME_LENGTH).join(''));
+
+    if (!name) return FALLBACK_FILENAME;
+    return RESERVED_FILENAMES.test(name) ? `${FALLBACK_FILENAME}_${name}` : name;
+}
+
+// ============================================
+// REPORT MODEL
+// ============================================
+
+/**
+ * How the Report Model Works:
+ * - Input is the inspection as saved (collectReportState in script.js, or
+ *   a project file's report), so drafts and imports from any version work
+ * - Text is trimmed and anything missing becomes '' (never undefined), so
+ *   the renderer only has to decide what an empty value prints as
+ * - Stored values (defect types, severities, statuses, roles) stay in
+ *   English; the renderer translates them into model.language
+ */
+
+/**
+ * Reads a text value, treating anything that isn't text as empty
+ * @param {*} value - Stored value
+ * @returns {string} Trimmed text ('' if missing)
+ */
+function readText(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Copies a list of stored images, keeping what the report prints
+ * @param {*} images - Images as stored
+ * @returns {Object[]} { data, name, caption } per image
+ */
+function readImages(images) {
+    return (Array.isArray(images) ? images : [])
+        .filter(image => image && typeof image === 'object')
+        .map(image => ({ data: image.data, name: readText(image.name), caption: readText(image.caption) }));
+}
+
+/**
+ * Reads a page setup, replacing anything unknown with the default
+ * @param {*} pageSetup - Page setup as given (getPageSetup in script.js)
+ * @returns {Object} Page setup; an item is never in both the header and the footer
+ */
+function readPageSetup(pageSetup) {
+    const setup = pageSetup && typeof pageSetup === 'object' ? pageSetup : {};
+    const readItems = items => RUNNING_ITEMS.filter(item => Array.isArray(items) && items.includes(item));
+    const header = readItems(setup.header);
+    return {
+        size: PAGE_SIZES[setup.size] ? setup.size : DEFAULT_PAGE_SETUP.size,
+        orientation: setup.orientation === 'landscape' ? 'landscape' : 'portrait',
+        margins: PAGE_MARGINS[setup.margins] ? setup.margins : DEFAULT_PAGE_SETUP.margins,
+        header: header,
+        footer: readItems(setup.footer).filter(item => !header.includes(item)),
+        confidentialityNote: readText(setup.confidentialityNote)
+    };
+}
+
+/**
+ * Builds the report model: everything the PDF prints, as plain data
+ * @param {Object} state - Inspection: { fields, defects, signatures, followUp }
+ * @param {Object} [settings] - How the report is presented
+ * @param {Object} [settings.branding] - As returned by getBranding (DEFAULT_BRANDING if omitted)
+ * @param {Object} [settings.pageSetup] - Paper, margins and running header/footer (DEFAULT_PAGE_SETUP if omitted)
+ * @param {Object[]} [settings.categories] - { name, types } per defect category, in display order
+ * @param {string} [settings.language] - Language code the report is written in
+ * @param {string} [settings.dateLocale] - Locale dates are written in (the language if omitted)
+ * @param {Date} [settings.generatedAt] - Time printed in the footer (now if omitted)
+ * @returns {Object} Report model for renderReportPdf
+ */
+function buildReportModel(state, settings = {}) {
+    const fields = state.fields || {};
+    const field = id => readText(fields[id]);
+    const language = settings.language || 'en';
+    const categories = settings.categories || [];
+    const storedDefects = (Array.isArray(state.defects) ? state.defects : []).map(normalizeDefect);
+
+    const defectList = storedDefects.map(defect => ({
+        defectType: readText(defect.defectType),
+        category: findDefectCategory(defect.defectType, categories),
+        severity: SEVERITY_LEVELS[defect.severity] ? defect.severity : '',
+        status: getDefectStatus(defect),
+        locationArea: readText(defect.locationArea),
+        locationFloor: readText(defect.locationFloor),
+        locationElevation: readText(defect.locationElevation),
+        description: readText(defect.description),
+        recommendedAction: readText(defect.recommendedAction),
+        responsibleTrade: readText(defect.responsibleTrade),
+        photoLayout: PHOTO_LAYOUTS[defect.photoLayout] ? defect.photoLayout : '',
+        images: readImages(defect.images),
+        afterImages: readImages(defect.afterImages)
+    }));
+
+    const coverPhoto = findCoverPhoto(storedDefects);
+    const followUpOf = state.followUp
+        ? { reportName: readText(state.followUp.reportName), inspectionDate: readText(state.followUp.inspectionDate) }
+        : null;
+
+    // The inspector always signs; the client block is optional
+    const signatures = state.signatures || {};
+    const inspectorSignature = signatures.inspector || {};
+    const clientSignature = signatures.client || {};
+    const signOffs = [{
+        role: 'Inspector',
+        statement: 'I confirm that I carried out this inspection and that this report records my findings.',
+        image: readText(inspectorSignature.image),
+        name: readText(inspectorSignature.name) || field('inspectorName'),
+        date: readText(inspectorSignature.date)
+    }];
+    if (clientSignature.enabled) {
+        signOffs.push({
+            role: ATTENDEE_ROLES[field('attendance')] || 'Client',
+            statement: 'I acknowledge that I have received this report.',
+            image: readText(clientSignature.image),
+            name: readText(clientSignature.name) || field('clientName'),
+            date: readText(clientSignature.date)
+        });
+    }
+
+    return {
+        language: language,
+        dateLocale: settings.dateLocale || language,
+        generatedAt: settings.generatedAt || new Date(),
+        branding: settings.branding || DEFAULT_BRANDING,
+        pageSetup: readPageSetup(settings.pageSetup),
+        title: field('reportTitle'),
+        reportNumber: field('reportNumber'),
+        company: {
+            name: field('companyName'),
+            phone: field('companyPhone'),
+            email: field('companyEmail')
+        },
+        client: {
+            name: field('clientName'),
+            address: field('clientAddress')
+        },
+        inspection: {
+            date: field('inspectionDate'),
+            inspectorName: field('inspectorName'),
+            inspectorCredentials: field('inspectorCredentials'),
+            attendance: field('attendance'),
+            occupancy: field('occupancy'),
+            buildingType: field('buildingType'),
+            weatherCondition: field('weatherCondition')
+        },
+        disclaimer: field('disclaimer'),
+        photoLayout: PHOTO_LAYOUTS[field('photoLayout')] ? field('photoLayout') : DEFAULT_PHOTO_LAYOUT,
+        coverPhoto: coverPhoto ? { data: coverPhoto.data, name: readText(coverPhoto.name) } : null,
+        defects: defectList,
+        summary: summarizeDefects(defectList, categories),
+        trackRectification: tracksRectification(defectList, followUpOf),
+        followUp: followUpOf,
+        signOffs: signOffs
+    };
+}
+
+// ============================================
+// UNICODE FONTS (PDF)
+// ============================================
+// jsPDF's built-in fonts only cover Latin-1: smart quotes, Malay or
+// Vietnamese accents, Chinese, Tamil, Arabic and emoji print as garbage.
+//
+// How Unicode text is printed:
+// 1. Fonts bundled in fonts/ are fetched from the app's own folder (never
+//    the network), and only when the report contains characters for them
+// 2. The loaded fonts form a fallback chain behind the branding font: each
+//    character is drawn in the first font that has it, in runs
+// 3. doc.text, doc.getTextWidth and doc.splitTextToSize are wrapped on the
+//    document, so every text path (header, details, disclaimer, defects,
+//    tables, sign-off) measures, wraps and draws through the chain
+// 4. Latin-1 text goes straight to jsPDF, so it prints exactly as before
+
+// Fallback chain, in order. chars: text the font is fetched for;
+// bold: file used for bold text (the regular file otherwise);
+// symbols: only used for its own characters, never the spaces and
+// punctuation around them (its spaces are as wide as an emoji)
+const UNICODE_FONTS = [
+    {
+        name: 'NotoSans',
+        chars: /[^\u0000-\u00ff]/,
+        regular: 'fonts/NotoSans-Regular.ttf',
+        bold: 'fonts/NotoSans-Bold.ttf'
+    },
+    {
+        name: 'NotoSansArabic',
+        chars: /[\u0600-\u06ff\u0750-\u077f\ufb50-\ufdff\ufe70-\ufeff]/,
+        regular: 'fonts/NotoSansArabic-Regular.ttf',
+        bold: 'fonts/NotoSansArabic-Bold.ttf'
+    },
+    {
+        name: 'NotoSansTamil',
+        chars: /[\u0b80-\u0bff]/,
+        regular: 'fonts/NotoSansTamil-Regular.ttf',
+        bold: 'fonts/NotoSansTamil-Bold.ttf'
+    },
+    {
+        name: 'NotoSansSC',
+        chars: /[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]/,
+        regular: 'fonts/NotoSansSC-Regular.ttf'
+    },
+    {
+        name: 'NotoEmoji',
+        chars: /[\u2190-\u2bff]|[\ud83c-\ud83e][\udc00-\udfff]/,
+        regular: 'fonts/NotoEmoji-Regular.ttf',
+        symbols: true
+    }
+];
+
+// jsPDF only reads a font's BMP character map, so the bundled emoji font
+// also lists U+1F000-U+1FFFF at U+E000-U+EFFF (see fonts/README.md)
+const EMOJI_PLANE_START = 0x1F000;
+const EMOJI_PLANE_END = 0x1FFFF;
+const EMOJI_PRIVATE_USE_START = 0xE000;
+
+// Emoji presentation selectors, joiners and skin tones: nothing to draw
+const INVISIBLE_CHARACTERS = /[\ufe0e\ufe0f\u200d]|\ud83c[\udffb-\udfff]/g;
+
+// Whitespace and punctuation stay in the font of the text around them,
+// which keeps an Arabic sentence (and its word order) in one run
+const NEUTRAL_CHARACTER = /[\s\p{P}\p{S}]/u;
+
+// Wrapping units: whitespace, single CJK characters (lines may break
+// between any two) and runs of anything else (words)
+const WRAP_TOKENS = /\s+|[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]|[^\s\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]+/g;
+
+// Font files already fetched, as base64, by URL
+const unicodeFontFiles = {};
+
+/**
+ * Fetches a bundled font file as base64 (once per page load)
+ * @param {string} url - Font file, relative to the page
+ * @returns {Promise<string>} Base64 font data
+ */
+function fetchFontFile(url) {
+    if (!unicodeFontFiles[url]) {
+        unicodeFontFiles[url] = fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+                return response.arrayBuffer();
+            })
+            .then(buffer => {
+                const bytes = new Uint8Array(buffer);
+                let binary = '';
+                for (let i = 0; i < bytes.length; i += 0x8000) {
+                    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+                }
+                return btoa(binary);
+            })
+            .catch(error => {
+                // Let the next report try again
+                delete unicodeFontFiles[url];
+                throw error;
+            });
+    }
+    return unicodeFontFiles[url];
+}
+
+/**
+ * Adds the bundled fonts the report's text needs to the document
+ * @param {jsPDF} doc - PDF document
+ * @param {string} text - All text the report may print
+ * @param {string} language - Language code errors are written in
+ * @param {Function} [loadFont] - (url) => Promise of the font file as base64
+ * @returns {Promise<Object>} { fonts: [{ name, codeMap }] in fallback order, errors: string[] }
+ */
+async function loadUnicodeFonts(doc, text, language, loadFont = fetchFontFile) {
+    const needed = UNICODE_FONTS.filter(font => font.chars.test(text));
+    const fonts = [];
+    const errors = [];
+
+    // Fetched together, but kept in fallback order
+    const results = await Promise.all(needed.map(font => Promise.all([
+        loadFont(font.regular),
+        font.bold ? loadFont(font.bold) : null
+    ]).then(files => ({ files }), error => ({ error }))));
+
+    needed.forEach((font, index) => {
+        const { files, error } = results[index];
+        if (error) {
+            console.error('Font Error:', error);
+            errors.push(translate(language, 'Font {font} could not be loaded: {error}', { font: font.name, error: error.message }));
+            return;
+        }
+
+        const [regular, bold] = files;
+        doc.addFileToVFS(`${font.name}-Regular.ttf`, regular);
+        doc.addFont(`${font.name}-Regular.ttf`, font.name, 'normal');
+        doc.addFont(`${font.name}-Regular.ttf`, font.name, 'italic');
+        if (bold) {
+            doc.addFileToVFS(`${font.name}-Bold.ttf`, bold);
+        }
+        const boldFile = bold ? `${font.name}-Bold.ttf` : `${font.name}-Regular.ttf`;
+        doc.addFont(boldFile, font.name, 'bold');
+        doc.addFont(boldFile, font.name, 'bolditalic');
+
+        fonts.push({
+            name: font.name,
+            codeMap: doc.getFont(font.name, 'normal').metadata.cmap.unicode.codeMap,
+            symbols: Boolean(font.symbols)
+        });
+    });
+
+    return { fonts: fonts, errors: errors };
+}
+
+/**
+ * Rewrites text into the form the bundled fonts can draw without shaping:
+ * invisible emoji modifiers are dropped, and Tamil vowel signs written
+ * before their consonant are split and moved in front of it
+ * @param {string} text - Text as typed
+ * @returns {string} Text in drawing order
+ */
+function prepareUnicodeText(text) {
+    return text
+        .replace(INVISIBLE_CHARACTERS, '')
+        .replace(/\u0bca/g, '\u0bc6\u0bbe')
+        .replace(/\u0bcb/g, '\u0bc7\u0bbe')
+        .replace(/\u0bcc/g, '\u0bc6\u0bd7')
+        .replace(/([\u0b95-\u0bb9](?:\u0bcd[\u0b95-\u0bb9])?)([\u0bc6-\u0bc8])/g, '$2$1');
+}
+
+/**
+ * Installs the fallback chain on a document: text that isn't plain Latin-1
+ * is split into runs, each drawn and measured in a font that has it
+ * @param {jsPDF} doc - PDF document
+ * @param {Object[]} fonts - Loaded fonts from loadUnicodeFonts
+ * @returns {Object} { missing: Set of characters no font could draw }
+ */
+function installUnicodeText(doc, fonts) {
+    const missing = new Set();
+    const drawText = doc.text.bind(doc);
+    const measureText = doc.getTextWidth.bind(doc);
+    const splitText = doc.splitTextToSize.bind(doc);
+
+    const isLatin1 = text => !/[^\u0000-\u00ff]/.test(text);
+
+    const isSymbolFont = fontName => fonts.some(font => font.name === fontName && font.symbols);
+
+    /**
+     * Finds how a font would draw a character
+     * @param {string|null} fontName - Font to try (null = the current built-in font)
+     * @param {number} code - Code point
+     * @returns {string|null} Text to draw in that font, or null if it hasn't the character
+     */
+    function drawnAs(fontName, code) {
+        if (fontName === null) {
+            return code <= 0xff ? String.fromCodePoint(code) : null;
+        }
+        const font = fonts.find(entry => entry.name === fontName);
+        if (font.codeMap[code]) {
+            return String.fromCodePoint(code);
+        }
+        if (code >= EMOJI_PLANE_START && code <= EMOJI_PLANE_END) {
+            const privateUse = EMOJI_PRIVATE_USE_START + code - EMOJI_PLANE_START;
+            return font.codeMap[privateUse] ? String.fromCharCode(privateUse) : null;
+        }
+        return null;
+    }
+
+    /**
+     * Splits text into runs that each have a single font
+     * @param {string} text - Text to draw
+     * @returns {Object[]} [{ font (null = current built-in font), text }]
+     */
+    function splitRuns(text) {
+        const chain = [null, ...fonts.map(font => font.name)];
+        const runs = [];
+
+        Array.from(prepareUnicodeText(text)).forEach(character => {
+            const code = character.codePointAt(0);
+            const previous = runs[runs.length - 1];
+            let font;
+            let drawn = null;
+
+            if (previous && NEUTRAL_CHARACTER.test(character) && !isSymbolFont(previous.font)) {
+                font = previous.font;
+                drawn = drawnAs(font, code);
+            }
+            for (let i = 0; drawn === null && i < chain.length; i++) {
+                font = chain[i];
+                drawn = drawnAs(font, code);
+            }
+            if (drawn === null) {
+                missing.add(character);
+                const replacement = fonts.find(entry => entry.codeMap[0xfffd]);
+                font = replacement ? replacement.name : null;
+                drawn = replacement ? '\ufffd' : '?';
+            }
+
+            if (previous && previous.font === font) {
+                previous.text += drawn;
+            } else {
+                runs.push({ font: font, text: drawn });
+            }
+        });
+
+        // Spaces between runs go with the next one, so a right-to-left run
+        // doesn't carry them over to its far side
+        runs.forEach((run, index) => {
+            const next = runs[index + 1];
+            const spaces = /\s+$/.exec(run.text);
+            if (next && spaces && spaces.index > 0 && !isSymbolFont(next.font) && drawnAs(next.font, 32) !== null) {
+                run.text = run.text.slice(0, spaces.index);
+                next.text = spaces[0] + next.text;
+            }
+        });
+
+        return runs;
+    }
+
+    /**
+     * Runs a callback with each run's font selected, then restores the font
+     * @param {Object[]} runs - Runs from splitRuns
+     * @param {Function} callback - Called with (run, width)
+     */
+    function eachRun(runs, callback) {
+        const { fontName, fontStyle } = doc.getFont();
+        runs.forEach(run => {
+            doc.setFont(run.font || fontName, fontStyle);
+            callback(run, measureText(run.text));
+        });
+        doc.setFont(fontName, fontStyle);
+    }
+
+    /**
+     * Measures text across its runs
+     * @param {string} text - Text to measure
+     * @returns {number} Width in document units
+     */
+    function textWidth(text) {
+        let width = 0;
+        eachRun(splitRuns(text), (run, runWidth) => {
+            width += runWidth;
+        });
+        return width;
+    }
+
+    /**
+     * Draws one line of text run by run
+     * @param {string} text - Line to draw
+     * @param {number} x - X position (left, centre or right edge per align)
+     * @param {number} y - Baseline
+     * @param {Object} options - jsPDF text options
+     */
+    function drawLine(text, x, y, options) {
+        const { align, ...runOptions } = options;
+        const runs = splitRuns(text);
+        let runX = x;
+        if (align === 'center' || align === 'right') {
+            let width = 0;
+            eachRun(runs, (run, runWidth) => {
+                width += runWidth;
+            });
+            runX -= align === 'center' ? width / 2 : width;
+        }
+        eachRun(runs, (run, runWidth) => {
+            drawText(run.text, runX, y, runOptions);
+            runX += runWidth;
+        });
+    }
+
+    doc.text = function (text, x, y, options = {}) {
+        const lines = Array.isArray(text) ? text.map(String) : [String(text)];
+        if (lines.every(isLatin1)) {
+            return drawText(text, x, y, options);
+        }
+        const lineSpacing = doc.getFontSize() * doc.getLineHeightFactor() / doc.internal.scaleFactor;
+        lines.forEach((line, index) => drawLine(line, x, y + index * lineSpacing, options));
+        return doc;
+    };
+
+    doc.getTextWidth = function (text) {
+        return isLatin1(String(text)) ? measureText(text) : textWidth(String(text));
+    };
+
+    doc.splitTextToSize = function (text, maxWidth, options) {
+        if (typeof text !== 'string' || isLatin1(text)) {
+            return splitText(text, maxWidth, options);
+        }
+
+        const lines = [];
+        text.split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            (paragraph.match(WRAP_TOKENS) || []).forEach(token => {
+                if (line.trim() && textWidth(line + token) > maxWidth) {
+                    lines.push(line.trimEnd());
+                    line = token.trimStart();
+                } else {
+                    line += token;
+                }
+
+                // A word wider than the line is broken between characters
+                while (textWidth(line) > maxWidth && Array.from(line).length > 1) {
+                    const characters = Array.from(line);
+                    let fit = 1;
+                    while (fit < characters.length - 1 && textWidth(characters.slice(0, fit + 1).join('')) <= maxWidth) {
+                        fit++;
+                    }
+                    lines.push(characters.slice(0, fit).join(''));
+                    line = characters.slice(fit).join('');
+                }
+            });
+            lines.push(line.trimEnd());
+        });
+        return lines;
+    };
+
+    // Bookmark titles are PDF text strings: UTF-16 with a byte order mark
+    const addBookmark = doc.outline.add.bind(doc.outline);
+    doc.outline.add = function (parent, title, options) {
+        if (!isLatin1(title)) {
+            title = '\u00fe\u00ff' + title.split('').map(character => {
+                const code = character.charCodeAt(0);
+                return String.fromCharCode(code >> 8, code & 0xff);
+            }).join('');
+        }
+        return addBookmark(parent, title, options);
+    };
+
+    return { missing: missing };
+}
+
+// ============================================
+// PDF RENDERING
+// ============================================
+
+/**
+ * Reads a JPEG or PNG image as it is, for renderers without a canvas
+ * to convert other formats
+ * @param {jsPDF} doc - PDF document
+ * @param {string} dataUrl - Image data URL
+ * @returns {Object} { data, format, width, height } in image pixels
+ * @throws {Error} If the image is missing or not JPEG/PNG
+ */
+function readImageForPdf(doc, dataUrl) {
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
+        throw new Error('the image data is missing');
+    }
+
+    const format = /^data:image\/(jpe?g|png)[;,]/i.exec(dataUrl);
+    if (!format) {
+        throw new Error(`${dataUrl.slice(5, dataUrl.search(/[;,]/)) || 'this image type'} is not supported`);
+    }
+
+    const properties = doc.getImageProperties(dataUrl);
+    return {
+        data: dataUrl,
+        format: /png/i.test(format[1]) ? 'PNG' : 'JPEG',
+        width: properties.width,
+        height: properties.height
+    };
+}
+
+/**
+ * Lays the report out and returns it as a PDF
+ *
+ * How PDF Rendering Works:
+ * 1. We use jsPDF library which creates PDF documents in JavaScript
+ * 2. We manually position text and images using x,y coordinates
+ * 3. Images are embedded as base64 data URLs
+ * 4. We track the Y position and add new pages when needed
+ * 5. Section starts are recorded during layout; once every page number is
+ *    known, table of contents pages are inserted after the first page and
+ *    filled in (back-patching), and the PDF outline (bookmarks) is built
+ * 6. The finished document is returned as a Blob; saving or showing it is
+ *    up to the caller
+ *
+ * @param {Object} model - Report model from buildReportModel
+ * @param {Object} options - What the renderer runs with
+ * @param {Function} options.jsPDF - jsPDF constructor
+ * @param {Function} [options.prepareImage] - (dataUrl) => { data, format, width, height },
+ *   or a Promise of it; readImageForPdf (JPEG and PNG only) if omitted
+ * @param {Function} [options.loadFont] - (url) => Promise of a bundled font file as base64;
+ *   fetchFontFile if omitted
+ * @param {string[]} [options.imageErrors] - Receives a line per image that couldn't be added
+ * @param {string[]} [options.fontErrors] - Receives a line per font or character that couldn't be printed
+ * @returns {Promise<Blob>} The PDF
+ */
+async function renderReportPdf(model, options) {
+    const { jsPDF } = options;
+    const imageErrors = options.imageErrors || [];
+    const fontErrors = options.fontErrors || [];
+
+    // Text in the report's language, dates in its locale
+    const t = (text, params) => translate(model.language, text, params);
+    const getStatusLabel = status => t(`status|${status}`);
+    const formatDate = value => formatReportDate(value, model.dateLocale);
+
+    // Create new PDF document in the paper size and orientation of the page setup
+    const pageSetup = model.pageSetup;
+    const doc = new jsPDF({
+        orientation: pageSetup.orientation,
+        unit: 'mm',
+        format: pageSetup.size
+    });
+
+    // PDF dimensions; everything below is laid out from these
+    const { width: pageWidth, height: pageHeight, margin, contentWidth } = getPageDimensions(pageSetup);
+
+    // Colours and fonts from the branding panel
+    const branding = model.branding;
+    const { primaryColor, accentColor, accentTint, headingFont, bodyFont } = branding;
+
+    // Bundled fonts for text the built-in fonts can't print; photos and
+    // signatures are left out of the text that decides which are needed
+    const reportText = JSON.stringify(model, (key, value) =>
+        typeof value === 'string' && value.startsWith('data:') ? '' : value);
+    const unicodeFonts = await loadUnicodeFonts(doc, reportText, model.language, options.loadFont);
+    fontErrors.push(...unicodeFonts.errors);
+    const unicodeText = installUnicodeText(doc, unicodeFonts.fonts);
+
+    // Running header and footer text, wrapped to the text width (8pt lines
+    // 4mm apart). The header starts 10mm from the top edge; the footer's
+    // own lines sit above the page number and generation time.
+    const runningLineHeight = 4;
+    doc.setFontSize(8);
+    doc.setFont(bodyFont, 'normal');
+    const wrapRunningText = items => (items.length > 0 ? doc.splitTextToSize(items.join('  |  '), contentWidth) : []);
+    const headerLines = wrapRunningText(listRunningText(model, 'header'));
+    const footerLines = wrapRunningText(listRunningText(model, 'footer'));
+    const headerRuleY = 10 + (headerLines.length - 1) * runningLineHeight + 2;
+
+    // Area pages are filled in: inside the margins, and clear of the
+    // running header and footer when the margins are too narrow for them
+    const contentTop = headerLines.length > 0 ? Math.max(margin, headerRuleY + 8) : margin;
+    const contentBottom = pageHeight - Math.max(margin, 16 + footerLines.length * runningLineHeight);
+
+    // Photos the browser can convert (WEBP, HEIC...) come through options.prepareImage
+    const prepareImage = options.prepareImage || (dataUrl => readImageForPdf(doc, dataUrl));
+
+    // Current Y position tracker
+    let yPos = contentTop;
+
+    // Sections recorded for the table of contents: { title, level, page, y }
+    const tocEntries = [];
+
+    // ----------------------------------------
+    // HELPER FUNCTIONS
+    // ----------------------------------------
+
+    /**
+     * Checks if we need a new page and adds one if necessary
+     * @param {number} requiredSpace - Space needed in mm
+     */
+    function checkNewPage(requiredSpace) {
+        if (yPos + requiredSpace > contentBottom) {
+            doc.addPage();
+            yPos = contentTop;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Starts a new page part-way through a defect and repeats its heading
+     * @param {number} index - Defect index in the report
+     * @param {Object} defect - Defect being drawn
+     */
+    function addDefectContinuationPage(index, defect) {
+        doc.addPage();
+        yPos = contentTop;
+
+        doc.setFontSize(11);
+        doc.setFont(headingFont, 'bold');
+        doc.setTextColor(...primaryColor);
+        doc.text(t('Defect #{number}: {type} (continued)', { number: index + 1, type: t(defect.defectType) }), margin, yPos);
+        doc.setTextColor(0, 0, 0);
+        yPos += 8;
+    }
+
+    /**
+     * Adds a horizontal line
+     */
+    function addLine() {
+        doc.setDrawColor(200, 200, 200);
+        doc.setLineWidth(0.5);
+        doc.line(margin, yPos, pageWidth - margin, yPos);
+        yPos += 5;
+    }
+
+    /**
+     * Adds wrapped text and returns the new Y position
+     * @param {string} text - Text to add
+     * @param {number} fontSize - Font size
+     * @param {boolean} isBold - Whether text is bold
+     */
+    function addText(text, fontSize = 10, isBold = false) {
+        doc.setFontSize(fontSize);
+        doc.setFont(bodyFont, isBold ? 'bold' : 'normal');
+
+        const lines = doc.splitTextToSize(text, contentWidth);
+        const lineHeight = fontSize * 0.5;
+
+        lines.forEach(line => {
+            checkNewPage(lineHeight + 2);
+            doc.text(line, margin, yPos);
+            yPos += lineHeight;
+        });
+
+        yPos += 2;
+    }
+
+    /**
+     * Records the current position as a table of contents entry
+     * @param {string} title - Entry title
+     * @param {number} level - 0 for sections, 1 for entries within a section
+     */
+    function addTocEntry(title, level) {
+        tocEntries.push({
+            title: title,
+            level: level,
+            page: doc.internal.getCurrentPageInfo().pageNumber,
+            y: yPos
+        });
+    }
+
+    /**
+     * Adds a section header
+     * @param {string} title - Header title
+     * @param {boolean} inToc - Whether the section is listed in the table of contents
+     */
+    function addSectionHeader(title, inToc = true) {
+        checkNewPage(20);
+        if (inToc) {
+            addTocEntry(title, 0);
+        }
+        yPos += 5;
+        doc.setFillColor(...accentTint);
+        doc.rect(margin, yPos - 5, contentWidth, 10, 'F');
+        doc.setFillColor(...accentColor);
+        doc.rect(margin, yPos - 5, 1.5, 10, 'F');
+        doc.setFontSize(12);
+        doc.setFont(headingFont, 'bold');
+        doc.setTextColor(30, 30, 30);
+        doc.text(title, margin + 4, yPos + 2);
+        yPos += 12;
+        doc.setTextColor(0, 0, 0);
+    }
+
+    /**
+     * Adds a horizontal bar chart built from rectangles
+     * @param {string} title - Chart title
+     * @param {Object[]} rows - { label, count, color? } per bar, labels in English (translated here)
+     */
+    function addBarChart(title, rows) {
+        const labelWidth = 55;
+        const barAreaWidth = contentWidth - labelWidth - 12;
+        const rowHeight = 7;
+        const maxCount = Math.max(1, ...rows.map(row => row.count));
+
+        checkNewPage(10 + rowHeight * Math.min(rows.length, 4));
+        doc.setFontSize(11);
+        doc.setFont(headingFont, 'bold');
+        doc.text(title, margin, yPos);
+        yPos += 5;
+
+        rows.forEach(row => {
+            checkNewPage(rowHeight);
+
+            doc.setFontSize(9);
+            doc.setFont(bodyFont, 'normal');
+            doc.text(doc.splitTextToSize(t(row.label), labelWidth - 3)[0], margin, yPos + 4);
+
+            const barWidth = barAreaWidth * row.count / maxCount;
+            if (barWidth > 0) {
+                doc.setFillColor(...(row.color || primaryColor));
+                doc.rect(margin + labelWidth, yPos, barWidth, 5, 'F');
+            }
+            doc.setFont(bodyFont, 'bold');
+            doc.text(String(row.count), margin + labelWidth + barWidth + 2, yPos + 4);
+
+            yPos += rowHeight;
+        });
+
+        yPos += 5;
+    }
+
+    /**
+     * Adds a compact table of defects, repeating the header row on new pages
+     * @param {string} title - Table title
+     * @param {Object[]} columns - { title, width, value(defect, index), color?(defect) } per column
+     * @param {Object[]} entries - { defect, index } per row, index being the defect's number - 1
+     */
+    function addDefectTable(title, columns, entries) {
+        const lineHeight = 4;
+
+        function drawHeaderRow() {
+            doc.setFillColor(...primaryColor);
+            doc.rect(margin, yPos, contentWidth, 7, 'F');
+            doc.setFontSize(9);
+            doc.setFont(bodyFont, 'bold');
+            doc.setTextColor(255, 255, 255);
+            let x = margin;
+            columns.forEach(col => {
+                doc.text(col.title, x + 1.5, yPos + 5);
+                x += col.width;
+            });
+            doc.setTextColor(0, 0, 0);
+            yPos += 7;
+        }
+
+        checkNewPage(20);
+        doc.setFontSize(11);
+        doc.setFont(headingFont, 'bold');
+        doc.text(title, margin, yPos);
+        yPos += 4;
+        drawHeaderRow();
+
+        doc.setFontSize(8.5);
+        entries.forEach(({ defect, index }, rowIndex) => {
+            doc.setFont(bodyFont, 'normal');
+            const cells = columns.map(col => doc.splitTextToSize(col.value(defect, index), col.width - 3));
+            const rowHeight = Math.max(...cells.map(lines => lines.length)) * lineHeight + 3;
+
+            if (yPos + rowHeight > contentBottom) {
+                doc.addPage();
+                yPos = contentTop;
+                drawHeaderRow();
+                doc.setFontSize(8.5);
+                doc.setFont(bodyFont, 'normal');
+            }
+
+            if (rowIndex % 2 === 1) {
+                doc.setFillColor(248, 248, 248);
+                doc.rect(margin, yPos, contentWidth, rowHeight, 'F');
+            }
+
+            let x = margin;
+            cells.forEach((lines, colIndex) => {
+                const color = columns[colIndex].color && columns[colIndex].color(defect);
+                if (color) {
+                    doc.setFont(bodyFont, 'bold');
+                    doc.setTextColor(...color);
+                }
+                doc.text(lines, x + 1.5, yPos + 4);
+                doc.setFont(bodyFont, 'normal');
+                doc.setTextColor(0, 0, 0);
+                x += columns[colIndex].width;
+            });
+
+            yPos += rowHeight;
+        });
+
+        doc.setDrawColor(220, 220, 220);
+        doc.setLineWidth(0.3);
+        doc.line(margin, yPos, pageWidth - margin, yPos);
+        yPos += 5;
+    }
+
+    /**
+     * Draws an image centred on the page, scaled to fit a box
+     * @param {Object} prepared - Image from prepareImageForPdf
+     * @param {number} top - Y position of the top edge
+     * @param {number} maxWidth - Box width in mm
+     * @param {number} maxHeight - Box height in mm
+     * @returns {number} Height used in mm
+     */
+    function addCentredImage(prepared, top, maxWidth, maxHeight) {
+        const ratio = Math.min(maxWidth / prepared.width, maxHeight / prepared.height);
+        const width = prepared.width * ratio;
+        const height = prepared.height * ratio;
+        doc.addImage(prepared.data, prepared.format, (pageWidth - width) / 2, top, width, height);
+        return height;
+    }
+
+    /**
+     * Adds the cover page: logo, report title, property address, cover
+     * photo and inspector details, then starts the first report page
+     */
+    async function addCoverPage() {
+        // Colour band across the top
+        doc.setFillColor(...primaryColor);
+        doc.rect(0, 0, pageWidth, 8, 'F');
+        doc.setFillColor(...accentColor);
+        doc.rect(0, 8, pageWidth, 1.5, 'F');
+        yPos = margin + 10;
+
+        if (branding.logo) {
+            try {
+                yPos += addCentredImage(await prepareImage(branding.logo), yPos, 80, 35) + 12;
+            } catch (logoError) {
+                console.error('Error adding logo:', logoError);
+                imageErrors.push(t('Logo: {error}', { error: logoError.message }));
+            }
+        }
+
+        doc.setFontSize(26);
+        doc.setFont(headingFont, 'bold');
+        doc.setTextColor(...primaryColor);
+        const titleLines = doc.splitTextToSize(model.title || t('Home Defect Inspection Report'), contentWidth);
+        doc.text(titleLines, pageWidth / 2, yPos + 8, { align: 'center' });
+        yPos += titleLines.length * 11 + 6;
+
+        const clientAddress = model.client.address;
+        if (clientAddress) {
+            doc.setFontSize(13);
+            doc.setFont(bodyFont, 'normal');
+            doc.setTextColor(80, 80, 80);
+            const addressLines = doc.splitTextToSize(clientAddress, contentWidth);
+            doc.text(addressLines, pageWidth / 2, yPos, { align: 'center' });
+            yPos += addressLines.length * 6 + 6;
+        }
+        doc.setTextColor(0, 0, 0);
+
+        // Inspector details are anchored to the bottom of the page
+        const details = [
+            [t('Report Number'), model.reportNumber],
+            [t('Prepared for'), model.client.name],
+            [t('Inspection Date'), model.inspection.date ? formatDate(model.inspection.date) : ''],
+            [t('Inspector'), model.inspection.inspectorName],
+            [t('Credentials'), model.inspection.inspectorCredentials],
+            [t('Company'), model.company.name],
+            [t('Contact'), [model.company.phone, model.company.email].filter(Boolean).join(' | ')]
+        ].filter(([, value]) => value);
+        const detailsTop = pageHeight - margin - 10 - details.length * 6;
+
+        const coverPhoto = model.coverPhoto;
+        if (coverPhoto) {
+            try {
+                addCentredImage(await prepareImage(coverPhoto.data), yPos, contentWidth, Math.max(30, detailsTop - yPos - 12));
+            } catch (photoError) {
+                console.error('Error adding cover photo:', photoError);
+                imageErrors.push(t('Cover photo: {error}', { error: photoError.message }));
+            }
+        }
+
+        if (details.length > 0) {
+            doc.setDrawColor(...accentColor);
+            doc.setLineWidth(0.8);
+            doc.line(margin, detailsTop - 6, pageWidth - margin, detailsTop - 6);
+
+            yPos = detailsTop;
+            doc.setFontSize(10);
+            details.forEach(([label, value]) => {
+                doc.setFont(bodyFont, 'bold');
+                doc.text(`${label}:`, margin, yPos);
+                doc.setFont(bodyFont, 'normal');
+                doc.text(doc.splitTextToSize(value, contentWidth - 40)[0], margin + 40, yPos);
+                yPos += 6;
+            });
+        }
+
+        doc.addPage();
+        yPos = contentTop;
+    }
+
+    // ----------------------------------------
+    // COVER PAGE (optional)
+    // ----------------------------------------
+
+    if (branding.coverPage) {
+        await addCoverPage();
+    }
+
+    // ----------------------------------------
+    // DOCUMENT HEADER
+    // ----------------------------------------
+
+    const companyName = model.company.name || t('Inspection Company');
+    const companyPhone = model.company.phone;
+    const companyEmail = model.company.email;
+    const reportTitle = model.title || t('Home Defect Inspection Report');
+
+    // Logo above the company name
+    if (branding.logo) {
+        try {
+            yPos += addCentredImage(await prepareImage(branding.logo), yPos - 5, 50, 20) + 5;
+        } catch (logoError) {
+            console.error('Error adding logo:', logoError);
+            if (!branding.coverPage) {
+                imageErrors.push(t('Logo: {error}', { error: logoError.message }));
+            }
+        }
+    }
+
+    // Company name (large, centered)
+    doc.setFontSize(20);
+    doc.setFont(headingFont, 'bold');
+    doc.setTextColor(...primaryColor);
+    doc.text(companyName, pageWidth / 2, yPos, { align: 'center' });
+    doc.setTextColor(0, 0, 0);
+    yPos += 10;
+
+    // Contact info (centered)
+    doc.setFontSize(10);
+    doc.setFont(bodyFont, 'normal');
+    let contactInfo = [];
+    if (companyPhone) contactInfo.push(companyPhone);
+    if (companyEmail) contactInfo.push(companyEmail);
+    if (contactInfo.length > 0) {
+        doc.text(contactInfo.join(' | '), pageWidth / 2, yPos, { align: 'center' });
+        yPos += 8;
+    }
+
+    // Report title
+    doc.setFontSize(16);
+    doc.setFont(headingFont, 'bold');
+    doc.text(reportTitle, pageWidth / 2, yPos + 5, { align: 'center' });
+    yPos += 15;
+
+    // Reference number under the title
+    if (model.reportNumber) {
+        doc.setFontSize(10);
+        doc.setFont(bodyFont, 'normal');
+        doc.text(t('Report No. {number}', { number: model.reportNumber }), pageWidth / 2, yPos - 3, { align: 'center' });
+        yPos += 5;
+    }
+
+    addLine();
+
+    // ----------------------------------------
+    // CLIENT & PROPERTY DETAILS
+    // ----------------------------------------
+
+    addSectionHeader(t('Property & Client Details'));
+
+    const clientName = model.client.name;
+    const clientAddress = model.client.address;
+    const inspectionDate = model.inspection.date;
+    const inspectorName = model.inspection.inspectorName;
+    const inspectorCredentials = model.inspection.inspectorCredentials;
+
+    // Values line up after the longest label (labels are longer in some languages)
+    doc.setFontSize(10);
+    doc.setFont(bodyFont, 'bold');
+    const detailLabelWidth = Math.max(...['Client Name:', 'Property Address:', 'Inspection Date:', 'Inspector:', 'Credentials:']
+        .map(label => doc.getTextWidth(t(label))));
+    const detailValueX = margin + Math.max(35, detailLabelWidth + 3);
+    const detailValueWidth = pageWidth - margin - detailValueX;
+
+    if (clientName) {
+        doc.setFont(bodyFont, 'bold');
+        doc.text(t('Client Name:'), margin, yPos);
+        doc.setFont(bodyFont, 'normal');
+        doc.text(clientName, detailValueX, yPos);
+        yPos += 6;
+    }
+
+    if (clientAddress) {
+        doc.setFont(bodyFont, 'bold');
+        doc.text(t('Property Address:'), margin, yPos);
+        doc.setFont(bodyFont, 'normal');
+        const addressLines = doc.splitTextToSize(clientAddress, detailValueWidth);
+        doc.text(addressLines, detailValueX, yPos);
+        yPos += addressLines.length * 5 + 2;
+    }
+
+    if (inspectionDate) {
+        doc.setFont(bodyFont, 'bold');
+        doc.text(t('Inspection Date:'), margin, yPos);
+        doc.setFont(bodyFont, 'normal');
+        // Format date nicely
+        doc.text(formatDate(inspectionDate), detailValueX, yPos);
+        yPos += 6;
+    }
+
+    if (inspectorName) {
+        doc.setFont(bodyFont, 'bold');
+        doc.text(t('Inspector:'), margin, yPos);
+        doc.setFont(bodyFont, 'normal');
+        doc.text(inspectorName, detailValueX, yPos);
+        yPos += 6;
+    }
+
+    if (inspectorCredentials) {
+        doc.setFont(bodyFont, 'bold');
+        doc.text(t('Credentials:'), margin, yPos);
+        doc.setFont(bodyFont, 'normal');
+        const credLines = doc.splitTextToSize(inspectorCredentials, detailValueWidth);
+        doc.text(credLines, detailValueX, yPos);
+        yPos += credLines.length * 5 + 2;
+    }
+
+    yPos += 5;
+
+    // ----------------------------------------
+    // INSPECTION DETAILS TABLE
+    // ----------------------------------------
+
+    addSectionHeader(t('Inspection Details'));
+
+    const { attendance, occupancy, buildingType, weatherCondition } = model.inspection;
+
+    // Create a simple table
+    const tableData = [
+        [t('Attendance'), t(attendance || 'N/A')],
+        [t('Occupancy'), t(occupancy || 'N/A')],
+        [t('Type of Building'), t(buildingType || 'N/A')],
+        [t('Weather Condition'), t(weatherCondition || 'N/A')]
+    ];
+
+    doc.setFontSize(10);
+    const colWidth = contentWidth / 2;
+
+    tableData.forEach((row, index) => {
+        checkNewPage(8);
+
+        // Alternate row background
+        if (index % 2 === 0) {
+            doc.setFillColor(248, 248, 248);
+            doc.rect(margin, yPos - 4, contentWidth, 8, 'F');
+        }
+
+        doc.setFont(bodyFont, 'bold');
+        doc.text(row[0], margin + 2, yPos);
+        doc.setFont(bodyFont, 'normal');
+        doc.text(row[1], margin + colWidth, yPos);
+        yPos += 8;
+    });
+
+    yPos += 5;
+
+    // ----------------------------------------
+    // EXECUTIVE SUMMARY
+    // ----------------------------------------
+
+    if (model.defects.length > 0) {
+        doc.addPage();
+        yPos = contentTop;
+
+        addSectionHeader(t('Executive Summary'));
+
+        const summary = model.summary;
+        const safetyCritical = summary.bySeverity.find(row => row.label === 'Safety Critical');
+
+        addText(t(summary.total === 1 ? 'This inspection identified {count} defect' : 'This inspection identified {count} defects',
+            { count: summary.total }) + ' ' +
+            t(summary.byCategory.length === 1 ? 'across {count} category.' : 'across {count} categories.',
+                { count: summary.byCategory.length }));
+        if (safetyCritical && safetyCritical.count > 0) {
+            doc.setTextColor(...safetyCritical.color);
+            addText(t(safetyCritical.count === 1
+                ? '{count} defect is rated Safety Critical and should be attended to immediately.'
+                : '{count} defects are rated Safety Critical and should be attended to immediately.',
+            { count: safetyCritical.count }), 10, true);
+            doc.setTextColor(0, 0, 0);
+        }
+        yPos += 4;
+
+        addBarChart(t('Defects by Category'), summary.byCategory);
+        addBarChart(t('Defects by Severity'), summary.bySeverity);
+
+        const numberColumn = { title: t('No.'), width: 12, value: (defect, index) => String(index + 1) };
+        const typeColumn = { title: t('Type'), width: 50, value: defect => t(defect.defectType) };
+        const severityColumn = {
+            title: t('Severity'), width: 27, value: defect => t(defect.severity || 'Not rated'),
+            color: defect => SEVERITY_LEVELS[defect.severity] && SEVERITY_LEVELS[defect.severity].color
+        };
+        addDefectTable(t('Defect Register'), [
+            numberColumn,
+            typeColumn,
+            { title: t('Category'), width: 38, value: defect => t(defect.category) },
+            severityColumn,
+            { title: t('Location'), width: contentWidth - 127, value: defect => formatDefectLocation(defect, model.language) || '-' }
+        ], model.defects.map((defect, index) => ({ defect, index })));
+
+        // On follow-ups: what has been fixed, and what is still to do
+        if (model.trackRectification) {
+            checkNewPage(60);
+            yPos += 5;
+            addTocEntry(t('Rectification Status'), 1);
+            addBarChart(t('Defects by Status'), Object.keys(DEFECT_STATUSES).map(status => ({
+                label: `status|${status}`,
+                count: model.defects.filter(defect => getDefectStatus(defect) === status).length,
+                color: DEFECT_STATUSES[status].color
+            })));
+
+            const outstanding = model.defects.map((defect, index) => ({ defect, index }))
+                .filter(entry => isDefectOutstanding(entry.defect));
+            if (model.followUp !== null) {
+                addText(model.followUp.inspectionDate
+                    ? t('Follow-up of the inspection "{name}" carried out on {date}.',
+                        { name: model.followUp.reportName, date: formatDate(model.followUp.inspectionDate) })
+                    : t('Follow-up of the inspection "{name}".', { name: model.followUp.reportName }));
+            }
+            if (outstanding.length === 0) {
+                doc.setTextColor(...DEFECT_STATUSES.Rectified.color);
+                addText(t('All defects have been rectified.'), 10, true);
+                doc.setTextColor(0, 0, 0);
+            } else {
+                addText(t(outstanding.length === 1 ? '{outstanding} of {total} defects is still outstanding.' : '{outstanding} of {total} defects are still outstanding.',
+                    { outstanding: outstanding.length, total: model.defects.length }), 10, true);
+                yPos += 2;
+                addDefectTable(t('Outstanding Items'), [
+                    numberColumn,
+                    typeColumn,
+                    {
+                        title: t('Status'), width: 35, value: defect => getStatusLabel(getDefectStatus(defect)),
+                        color: defect => DEFECT_STATUSES[getDefectStatus(defect)].color
+                    },
+                    severityColumn,
+                    { title: t('Location'), width: contentWidth - 124, value: defect => formatDefectLocation(defect, model.language) || '-' }
+                ], outstanding);
+            }
+        }
+
+        // The rest of the report continues on a fresh page
+        doc.addPage();
+        yPos = contentTop;
+    }
+
+    // ----------------------------------------
+    // DISCLAIMER SECTION
+    // ----------------------------------------
+
+    addSectionHeader(t('General Disclaimer'));
+
+    const disclaimer = model.disclaimer;
+    if (disclaimer) {
+        doc.setFontSize(9);
+        doc.setFont(bodyFont, 'normal');
+        doc.setTextColor(80, 80, 80);
+
+        const disclaimerLines = doc.splitTextToSize(disclaimer, contentWidth);
+        disclaimerLines.forEach(line => {
+            checkNewPage(5);
+            doc.text(line, margin, yPos);
+            yPos += 4.5;
+        });
+
+        doc.setTextColor(0, 0, 0);
+    }
+
+    yPos += 5;
+
+    // ----------------------------------------
+    // DEFECTS SECTION
+    // ----------------------------------------
+
+    if (model.defects.length > 0) {
+        // Start defects on a new page for cleaner layout
+        doc.addPage();
+        yPos = contentTop;
+
+        addSectionHeader(t('Identified Defects ({count} Total)', { count: model.defects.length }));
+
+        // Process each defect
+        for (let i = 0; i < model.defects.length; i++) {
+            const defect = model.defects[i];
+
+            // Check if we need a new page (need space for header + first image)
+            checkNewPage(100);
+
+            // Defect header with type
+            addTocEntry(t('Defect #{number}: {type}', { number: i + 1, type: t(defect.defectType) }), 1);
+            doc.setFontSize(11);
+            doc.setFont(headingFont, 'bold');
+            doc.setTextColor(...primaryColor);
+            const imageCount = defect.images.length;
+            doc.text(t(imageCount > 1 ? 'Defect #{number}: {type} ({count} images)' : 'Defect #{number}: {type} ({count} image)',
+                { number: i + 1, type: t(defect.defectType), count: imageCount }), margin, yPos);
+            doc.setTextColor(0, 0, 0);
+            yPos += 8;
+
+            // Severity badge, with the location beside it
+            let badgeWidth = 0;
+            const severityLevel = SEVERITY_LEVELS[defect.severity];
+            if (severityLevel) {
+                const severityLabel = t(defect.severity).toUpperCase();
+                doc.setFontSize(8);
+                doc.setFont(bodyFont, 'bold');
+                badgeWidth = doc.getTextWidth(severityLabel) + 6;
+                doc.setFillColor(...severityLevel.color);
+                doc.roundedRect(margin, yPos - 4, badgeWidth, 6, 1.5, 1.5, 'F');
+                doc.setTextColor(255, 255, 255);
+                doc.text(severityLabel, margin + 3, yPos);
+                doc.setTextColor(0, 0, 0);
+                badgeWidth += 4;
+            }
+
+            // Rectification status, outlined so it doesn't compete with the severity
+            const showStatus = model.trackRectification;
+            if (showStatus) {
+                const status = getDefectStatus(defect);
+                const statusLabel = getStatusLabel(status).toUpperCase();
+                doc.setFontSize(8);
+                doc.setFont(bodyFont, 'bold');
+                const statusWidth = doc.getTextWidth(statusLabel) + 6;
+                doc.setDrawColor(...DEFECT_STATUSES[status].color);
+                doc.setLineWidth(0.4);
+                doc.roundedRect(margin + badgeWidth, yPos - 4, statusWidth, 6, 1.5, 1.5, 'S');
+                doc.setTextColor(...DEFECT_STATUSES[status].color);
+                doc.text(statusLabel, margin + badgeWidth + 3, yPos);
+                doc.setTextColor(0, 0, 0);
+                badgeWidth += statusWidth + 4;
+            }
+
+            // A long location wraps under itself, beside the badges
+            const location = formatDefectLocation(defect, model.language);
+            const locationLineHeight = 4.5;
+            let locationLines = [];
+            if (location) {
+                doc.setFontSize(9);
+                doc.setFont(bodyFont, 'bold');
+                doc.text(t('Location:'), margin + badgeWidth, yPos);
+                const locationX = margin + badgeWidth + doc.getTextWidth(t('Location:')) + 2;
+                doc.setFont(bodyFont, 'normal');
+                locationLines = doc.splitTextToSize(location, pageWidth - margin - locationX);
+                locationLines.forEach((line, index) => {
+                    doc.text(line, locationX, yPos + index * locationLineHeight);
+                });
+            }
+
+            if (severityLevel || showStatus || location) {
+                yPos += 7 + Math.max(0, locationLines.length - 1) * locationLineHeight;
+            }
+
+            // Before photos, and after photos from follow-ups
+            const photos = listDefectPhotos(defect, model.language);
+
+            // Photos are laid out in rows of equal-width cells, each photo scaled to
+            // fit its cell's box without changing its aspect ratio
+            const layout = getDefectPhotoLayout(defect, model.photoLayout);
+            const cellGap = 6;
+            const cellWidth = (contentWidth - cellGap * (layout.columns - 1)) / layout.columns;
+            const captionHeight = photos.some(photo => photo.label) ? 5 : 0;
+
+            /**
+             * Records an image that couldn't be embedded
+             * @param {Object} photo - Cell from the photos list
+             * @param {Error} imgError - What went wrong
+             */
+            const recordImageError = (photo, imgError) => {
+                console.error('Error adding image:', imgError);
+                const imageName = photo.image.name ? ` (${photo.image.name})` : '';
+                imageErrors.push(`${t('Defect #{number}', { number: i + 1 })}, ${photo.name}${imageName}: ${imgError.message}`);
+            };
+
+            for (let rowStart = 0; rowStart < photos.length; rowStart += layout.columns) {
+                // Detect the formats and get original image dimensions for the whole row first,
+                // so its height is known before deciding whether it fits on the page
+                const row = [];
+                for (let imgIdx = rowStart; imgIdx < Math.min(rowStart + layout.columns, photos.length); imgIdx++) {
+                    const photo = photos[imgIdx];
+                    if (!photo.image) {
+                        row.push({ photo, prepared: null });
+                        continue;
+                    }
+                    try {
+                        row.push({ photo, prepared: await prepareImage(photo.image.data) });
+                    } catch (imgError) {
+                        recordImageError(photo, imgError);
+                        row.push({ photo, prepared: null });
+                    }
+                }
+
+                // Full-page photos get a page each; the first one may share the
+                // defect's page if the heading is near the top
+                if (layout.fullPage && (rowStart > 0 || yPos > contentTop + 40)) {
+                    addDefectContinuationPage(i, defect);
+                }
+
+                // Captions are printed under each photo, wrapped to the cell width
+                doc.setFontSize(9);
+                doc.setFont(bodyFont, 'normal');
+                row.forEach(cell => {
+                    const caption = cell.photo.image && cell.photo.image.caption;
+                    cell.captionLines = cell.prepared && caption ? doc.splitTextToSize(caption, cellWidth) : [];
+                    cell.captionHeight = cell.captionLines.length > 0 ? cell.captionLines.length * 4 + 1 : 0;
+                });
+                const rowCaptionHeight = Math.max(...row.map(cell => cell.captionHeight));
+
+                // Box each photo is fitted into (max height: 70mm for multiple, 80mm for single)
+                let maxImgHeight;
+                if (layout.fullPage) {
+                    maxImgHeight = contentBottom - yPos - captionHeight - rowCaptionHeight - 5;
+                } else if (layout.cellAspect) {
+                    maxImgHeight = cellWidth * layout.cellAspect;
+                } else {
+                    maxImgHeight = photos.length > 1 ? 70 : 80;
+                }
+
+                // Scale images to fit
+                row.forEach(cell => {
+                    if (cell.prepared) {
+                        const ratio = Math.min(cellWidth / cell.prepared.width, maxImgHeight / cell.prepared.height);
+                        cell.width = cell.prepared.width * ratio;
+                        cell.height = cell.prepared.height * ratio;
+                    } else {
+                        cell.height = 8;
+                    }
+                });
+                const rowHeight = Math.max(...row.map(cell => cell.height + cell.captionHeight));
+
+                // Check if the row fits on current page
+                if (!layout.fullPage && yPos + captionHeight + rowHeight + 15 > contentBottom) {
+                    addDefectContinuationPage(i, defect);
+                }
+
+                row.forEach((cell, column) => {
+                    const cellX = margin + column * (cellWidth + cellGap);
+                    let cellY = yPos;
+
+                    // Add image label if multiple images
+                    if (captionHeight) {
+                        doc.setFontSize(9);
+                        doc.setFont(bodyFont, 'italic');
+                        doc.setTextColor(100, 100, 100);
+                        doc.text(cell.photo.label, cellX, cellY);
+                        doc.setTextColor(0, 0, 0);
+                        cellY += captionHeight;
+                    }
+
+                    if (!cell.photo.image) {
+                        doc.setFontSize(9);
+                        doc.setFont(bodyFont, 'normal');
+                        doc.setTextColor(150, 150, 150);
+                        doc.text(t('No photo'), cellX, cellY + 4);
+                        doc.setTextColor(0, 0, 0);
+                        return;
+                    }
+
+                    if (cell.prepared) {
+                        // One-per-row photos stay on the left margin; the others are centred in their cell
+                        const imageX = layout.columns > 1 || layout.fullPage ? cellX + (cellWidth - cell.width) / 2 : cellX;
+                        try {
+                            doc.addImage(cell.prepared.data, cell.prepared.format, imageX, cellY, cell.width, cell.height);
+
+                            if (cell.captionLines.length > 0) {
+                                doc.setFontSize(9);
+                                doc.setFont(bodyFont, 'normal');
+                                doc.setTextColor(60, 60, 60);
+                                doc.text(cell.captionLines, cellX, cellY + cell.height + 4);
+                                doc.setTextColor(0, 0, 0);
+                            }
+                            return;
+                        } catch (imgError) {
+                            recordImageError(cell.photo, imgError);
+                        }
+                    }
+
+                    doc.setFontSize(layout.columns > 2 ? 8 : 10);
+                    doc.setFont(bodyFont, 'normal');
+                    doc.setTextColor(150, 0, 0);
+                    const photoName = cell.photo.name.charAt(0).toUpperCase() + cell.photo.name.slice(1);
+                    doc.text(doc.splitTextToSize(t('[{name} could not be loaded]', { name: photoName }), cellWidth), cellX, cellY + 4);
+                    doc.setTextColor(0, 0, 0);
+                });
+
+                yPos += captionHeight + rowHeight + 5;
+            }
+
+            // Add description
+            doc.setFontSize(10);
+            doc.setFont(bodyFont, 'normal');
+
+            const descLines = doc.splitTextToSize(defect.description, contentWidth);
+            descLines.forEach(line => {
+                checkNewPage(6);
+                doc.text(line, margin, yPos);
+                yPos += 5;
+            });
+
+            // Recommended action and who should carry it out
+            if (defect.recommendedAction) {
+                yPos += 2;
+                checkNewPage(12);
+                doc.setFont(bodyFont, 'bold');
+                doc.text(t('Recommended Action:'), margin, yPos);
+                yPos += 5;
+                doc.setFont(bodyFont, 'normal');
+                doc.splitTextToSize(defect.recommendedAction, contentWidth).forEach(line => {
+                    checkNewPage(6);
+                    doc.text(line, margin, yPos);
+                    yPos += 5;
+                });
+            }
+
+            if (defect.responsibleTrade) {
+                checkNewPage(6);
+                doc.setFont(bodyFont, 'bold');
+                doc.text(t('Responsible Trade:'), margin, yPos);
+                const tradeX = margin + doc.getTextWidth(t('Responsible Trade:')) + 2;
+                doc.setFont(bodyFont, 'normal');
+                doc.splitTextToSize(t(defect.responsibleTrade), pageWidth - margin - tradeX).forEach(line => {
+                    checkNewPage(6);
+                    doc.text(line, tradeX, yPos);
+                    yPos += 5;
+                });
+            }
+
+            yPos += 10;
+
+            // Add separator between defects (except for the last one)
+            if (i < model.defects.length - 1) {
+                checkNewPage(15);
+                doc.setDrawColor(220, 220, 220);
+                doc.setLineWidth(0.3);
+                doc.line(margin, yPos, pageWidth - margin, yPos);
+                yPos += 10;
+            }
+        }
+    }
+
+    // ----------------------------------------
+    // SIGN-OFF PAGE
+    // ----------------------------------------
+
+    doc.addPage();
+    yPos = contentTop;
+
+    addSectionHeader(t('Sign-Off'));
+
+    // Unsigned blocks keep an empty line so the page can be signed by hand
+    const signatureBoxWidth = 90;
+    const signatureBoxHeight = 30;
+    for (const signOff of model.signOffs) {
+        checkNewPage(70);
+
+        doc.setFontSize(11);
+        doc.setFont(headingFont, 'bold');
+        doc.setTextColor(...primaryColor);
+        doc.text(t(signOff.role), margin, yPos);
+        doc.setTextColor(0, 0, 0);
+        yPos += 6;
+        addText(t(signOff.statement), 9);
+
+        if (signOff.image) {
+            try {
+                const prepared = await prepareImage(signOff.image);
+                const ratio = Math.min(signatureBoxWidth / prepared.width, signatureBoxHeight / prepared.height);
+                doc.addImage(prepared.data, prepared.format, margin, yPos, prepared.width * ratio, prepared.height * ratio);
+            } catch (signatureError) {
+                console.error('Error adding signature:', signatureError);
+                imageErrors.push(t('{role} signature: {error}', { role: t(signOff.role), error: signatureError.message }));
+            }
+        }
+        yPos += signatureBoxHeight + 2;
+
+        doc.setDrawColor(80, 80, 80);
+        doc.setLineWidth(0.3);
+        doc.line(margin, yPos, margin + signatureBoxWidth, yPos);
+        yPos += 5;
+
+        doc.setFontSize(9);
+        doc.setFont(bodyFont, 'normal');
+        doc.setTextColor(120, 120, 120);
+        doc.text(t('Signature'), margin, yPos);
+        doc.setTextColor(0, 0, 0);
+        yPos += 7;
+
+        const signedDate = signOff.date ? formatDate(signOff.date) : '';
+        doc.setFontSize(10);
+        doc.setFont(bodyFont, 'bold');
+        const signOffLabels = [[t('Name'), signOff.name], [t('Date'), signedDate]];
+        const signOffValueX = Math.max(15, ...signOffLabels.map(([label]) => doc.getTextWidth(`${label}:`) + 3));
+        signOffLabels.forEach(([label, value]) => {
+            doc.setFont(bodyFont, 'bold');
+            doc.text(`${label}:`, margin, yPos);
+            doc.setFont(bodyFont, 'normal');
+            if (value) {
+                doc.text(doc.splitTextToSize(value, signatureBoxWidth - signOffValueX)[0], margin + signOffValueX, yPos);
+            } else {
+                doc.setDrawColor(160, 160, 160);
+                doc.line(margin + signOffValueX, yPos + 1, margin + signatureBoxWidth, yPos + 1);
+            }
+            yPos += 7;
+        });
+
+        yPos += 10;
+    }
+
+    // ----------------------------------------
+    // TABLE OF CONTENTS & BOOKMARKS
+    // ----------------------------------------
+
+    // The number of entries is known, so the pages they need can be
+    // worked out before inserting them after the first page (after
+    // the cover page and the first page when there is a cover). The
+    // heading goes on first: the rows on its page start below it.
+    const tocFirstPage = branding.coverPage ? 3 : 2;
+    doc.insertPage(tocFirstPage);
+    doc.setPage(tocFirstPage);
+    yPos = contentTop;
+    addSectionHeader(t('Table of Contents'), false);
+
+    const tocRowHeight = 7;
+    // Rows on later pages start here, so they are counted from here too
+    const tocContinuationTop = contentTop + 5;
+    const tocRowsFirstPage = Math.floor((contentBottom - yPos) / tocRowHeight);
+    const tocRowsPerPage = Math.floor((contentBottom - tocContinuationTop) / tocRowHeight);
+    const tocPageCount = 1 + Math.max(0, Math.ceil((tocEntries.length - tocRowsFirstPage) / tocRowsPerPage));
+
+    for (let i = 1; i < tocPageCount; i++) {
+        doc.insertPage(tocFirstPage + i);
+    }
+    doc.setPage(tocFirstPage);
+
+    // Everything from the old page 2 onwards moved back
+    tocEntries.forEach(entry => {
+        if (entry.page >= tocFirstPage) {
+            entry.page += tocPageCount;
+        }
+    });
+
+    let tocPage = tocFirstPage;
+    tocEntries.forEach(entry => {
+        if (yPos + tocRowHeight > contentBottom) {
+            doc.setPage(++tocPage);
+            yPos = tocContinuationTop;
+        }
+
+        const indent = entry.level * 8;
+        const pageLabel = String(entry.page);
+
+        doc.setFontSize(entry.level === 0 ? 11 : 10);
+        doc.setFont(bodyFont, entry.level === 0 ? 'bold' : 'normal');
+        const pageLabelWidth = doc.getTextWidth(pageLabel);
+        const title = doc.splitTextToSize(entry.title, contentWidth - indent - pageLabelWidth - 15)[0];
+        const titleWidth = doc.getTextWidth(title);
+
+        doc.text(title, margin + indent, yPos);
+        doc.text(pageLabel, pageWidth - margin, yPos, { align: 'right' });
+
+        // Dotted leader between the title and the page number
+        doc.setDrawColor(170, 170, 170);
+        doc.setLineWidth(0.2);
+        doc.setLineDashPattern([0.5, 1], 0);
+        doc.line(margin + indent + titleWidth + 2, yPos, pageWidth - margin - pageLabelWidth - 2, yPos);
+        doc.setLineDashPattern([], 0);
+
+        // The whole row jumps to the section
+        doc.link(margin, yPos - 5, contentWidth, tocRowHeight, {
+            pageNumber: entry.page,
+            top: Math.max(entry.y - 10, 0)
+        });
+
+        yPos += tocRowHeight;
+    });
+
+    // Bookmarks shown in the viewer's outline panel
+    doc.outline.add(null, t('Table of Contents'), { pageNumber: tocFirstPage });
+    let parentBookmark = null;
+    tocEntries.forEach(entry => {
+        const bookmark = doc.outline.add(entry.level === 0 ? null : parentBookmark, entry.title, { pageNumber: entry.page });
+        if (entry.level === 0) {
+            parentBookmark = bookmark;
+        }
+    });
+
+    // ----------------------------------------
+    // HEADER & FOOTER ON ALL PAGES
+    // ----------------------------------------
+
+    // The cover page is counted but not numbered, and has no header
+    const totalPages = doc.internal.getNumberOfPages();
+    const timestamp = new Date(model.generatedAt).toLocaleString(model.dateLocale);
+    for (let i = branding.coverPage ? 2 : 1; i <= totalPages; i++) {
+        doc.setPage(i);
+        doc.setFontSize(8);
+        doc.setFont(bodyFont, 'normal');
+        doc.setTextColor(150, 150, 150);
+
+        // Header items, ruled off from the page
+        if (headerLines.length > 0) {
+            headerLines.forEach((line, index) => {
+                doc.text(line, pageWidth / 2, 10 + index * runningLineHeight, { align: 'center' });
+            });
+            doc.setDrawColor(200, 200, 200);
+            doc.setLineWidth(0.3);
+            doc.line(margin, headerRuleY, pageWidth - margin, headerRuleY);
+        }
+
+        // Footer items, above the page number
+        footerLines.forEach((line, index) => {
+            doc.text(line, pageWidth / 2, pageHeight - 10 - (footerLines.length - index) * runningLineHeight, { align: 'center' });
+        });
+
+        // Page number
+        doc.text(
+            t('Page {page} of {total}', { page: i, total: totalPages }),
+            pageWidth / 2,
+            pageHeight - 10,
+            { align: 'center' }
+        );
+
+        // Report generation timestamp
+        doc.text(
+            t('Report generated: {timestamp}', { timestamp }),
+            pageWidth / 2,
+            pageHeight - 6,
+            { align: 'center' }
+        );
+    }
+
+    if (unicodeText.missing.size > 0) {
+        fontErrors.push(t('No bundled font has these characters: {characters}', {
+            characters: Array.from(unicodeText.missing).join(' ')
+        }));
+    }
+
+    return doc.output('blob');
+}
@@ -5,8 +5,23 @@
  * ============================================
  * 
  * This script handles:
- * 1. Defect management (add, remove, preview images)
- * 2. PDF generation using jsPDF library
+ * 1. Defect management (add, edit, remove, reorder, preview and annotate images)
+ *    - Photos are rotated, resized and compressed in the browser on upload
+ * 2. PDF generation using jsPDF library (model and layout in report.js), plus
+ *    Word, HTML and spreadsheet exports of the same report (formats.js)
+ * 3. Automatic draft saving to IndexedDB (restored on page load)
+ * 4. A library of named reports that can be reopened and duplicated
+ * 5. Exporting/importing the whole inspection as a portable project file
+ * 6. Branding (logo, colours, fonts) and an optional cover page
+ * 7. Shareable templates: disclaimer, default details, defect types and snippets
+ * 8. Signature capture for the inspector and client, printed on a sign-off page
+ * 9. Follow-up inspections: defect status, after photos and outstanding items
+ * 10. Translated interface and reports (translations.js) with local date formats
+ * 11. Unicode text in the PDF (any script, smart quotes, emoji) via fonts bundled in fonts/
+ * 12. Works offline as an installable app (sw.js caches the app, jsPDF and fonts)
+ * 13. A live PDF preview beside the form, refreshed as the report is edited
+ * 14. Page setup: paper size, orientation, margins and a running header/footer
+ * 15. Automatic report numbers and a file name pattern for downloads
  * 
  * PDF Generation Overview:
  * - We use the jsPDF library to create PDFs programmatically
@@ -35,65 +50,467 @@ const customDefectInput = document.getElementById('customDefectInput');
 const customDefectTypeInput = document.getElementById('customDefectType');
 const defectImageInput = document.getElementById('defectImage');
 const defectDescriptionInput = document.getElementById('defectDescription');
+const defectSeveritySelect = document.getElementById('defectSeverity');
 const imagesPreviewContainer = document.getElementById('imagesPreviewContainer');
 const imagesPreviewGallery = document.getElementById('imagesPreviewGallery');
 const previewPlaceholder = document.getElementById('previewPlaceholder');
 const addDefectBtn = document.getElementById('addDefectBtn');
+const cancelEditBtn = document.getElementById('cancelEditBtn');
+const defectFormTitle = document.getElementById('defectFormTitle');
 const defectsContainer = document.getElementById('defectsContainer');
 const defectCountSpan = document.getElementById('defectCount');
 const noDefectsMessage = document.getElementById('noDefectsMessage');
 
 // PDF generation elements
 const generatePdfBtn = document.getElementById('generatePdfBtn');
+const reportFormatSelect = document.getElementById('reportFormat');
 const generationStatus = document.getElementById('generationStatus');
 
+// Draft persistence elements
+const reportForm = document.querySelector('.report-form');
+const draftStatus = document.getElementById('draftStatus');
+const discardDraftBtn = document.getElementById('discardDraftBtn');
+
+// Report library elements
+const reportNameInput = document.getElementById('reportName');
+const saveReportBtn = document.getElementById('saveReportBtn');
+const newReportBtn = document.getElementById('newReportBtn');
+const savedReportsContainer = document.getElementById('savedReportsContainer');
+const savedReportCountSpan = document.getElementById('savedReportCount');
+
+// Project file elements
+const exportProjectBtn = document.getElementById('exportProjectBtn');
+const importProjectBtn = document.getElementById('importProjectBtn');
+const importProjectInput = document.getElementById('importProjectInput');
+
 // Temporary storage for selected images
 let selectedImages = [];
 
+// ID of the defect loaded into the entry form for editing (null = adding a new one)
+let editingDefectId = null;
+
+// Image processing elements
+const imageMaxDimensionSelect = document.getElementById('imageMaxDimension');
+const imageQualitySelect = document.getElementById('imageQuality');
+const captionFromFileNameCheckbox = document.getElementById('captionFromFileName');
+const imageProcessingStatus = document.getElementById('imageProcessingStatus');
+const pdfSizeEstimate = document.getElementById('pdfSizeEstimate');
+
+// Template elements
+const activeTemplateSelect = document.getElementById('activeTemplate');
+const templateCountSpan = document.getElementById('templateCount');
+const applyTemplateBtn = document.getElementById('applyTemplateBtn');
+const saveTemplateBtn = document.getElementById('saveTemplateBtn');
+const deleteTemplateBtn = document.getElementById('deleteTemplateBtn');
+const templateDetails = document.getElementById('templateDetails');
+const exportTemplatesBtn = document.getElementById('exportTemplatesBtn');
+const importTemplatesBtn = document.getElementById('importTemplatesBtn');
+const importTemplatesInput = document.getElementById('importTemplatesInput');
+const addTypeToTemplateBtn = document.getElementById('addTypeToTemplateBtn');
+const descriptionSnippetSelect = document.getElementById('descriptionSnippets');
+const recommendationSnippetSelect = document.getElementById('recommendationSnippets');
+const saveDescriptionSnippetBtn = document.getElementById('saveDescriptionSnippetBtn');
+const saveRecommendationSnippetBtn = document.getElementById('saveRecommendationSnippetBtn');
+
+// Branding elements
+const brandLogoInput = document.getElementById('brandLogoInput');
+const brandLogoPreview = document.getElementById('brandLogoPreview');
+const removeLogoBtn = document.getElementById('removeLogoBtn');
+const brandPrimaryColorInput = document.getElementById('brandPrimaryColor');
+const brandAccentColorInput = document.getElementById('brandAccentColor');
+const brandHeadingFontSelect = document.getElementById('brandHeadingFont');
+const brandBodyFontSelect = document.getElementById('brandBodyFont');
+const coverPageCheckbox = document.getElementById('coverPageEnabled');
+const coverPhotoSelect = document.getElementById('coverPhoto');
+
+// Page setup elements
+const pageSizeSelect = document.getElementById('pageSize');
+const pageOrientationSelect = document.getElementById('pageOrientation');
+const pageMarginsSelect = document.getElementById('pageMargins');
+const confidentialityNoteInput = document.getElementById('confidentialityNote');
+
+// Header/footer position of each running item (RUNNING_ITEMS in report.js)
+const runningItemSelects = {
+    companyName: document.getElementById('runningCompanyName'),
+    reportNumber: document.getElementById('runningReportNumber'),
+    address: document.getElementById('runningAddress'),
+    confidentiality: document.getElementById('runningConfidentiality')
+};
+
+// Report numbering elements
+const reportNumberInput = document.getElementById('reportNumber');
+const reportNumberingCheckbox = document.getElementById('reportNumbering');
+const reportNumberPrefixInput = document.getElementById('reportNumberPrefix');
+const reportNumberFormatInput = document.getElementById('reportNumberFormat');
+const reportNumberDigitsInput = document.getElementById('reportNumberDigits');
+const nextReportNumberInput = document.getElementById('nextReportNumber');
+const filenamePatternInput = document.getElementById('filenamePattern');
+
+// Language elements
+const languageSelect = document.getElementById('languageSelect');
+const dateLocaleSelect = document.getElementById('dateLocaleSelect');
+
+// Offline elements
+const offlineBanner = document.getElementById('offlineBanner');
+
+// PDF preview elements
+const previewPdfBtn = document.getElementById('previewPdfBtn');
+const pdfPreviewPane = document.getElementById('pdfPreviewPane');
+const pdfPreviewFrame = document.getElementById('pdfPreviewFrame');
+const pdfPreviewFilename = document.getElementById('pdfPreviewFilename');
+const pdfPreviewStatus = document.getElementById('pdfPreviewStatus');
+const refreshPdfPreviewBtn = document.getElementById('refreshPdfPreviewBtn');
+const downloadPdfPreviewBtn = document.getElementById('downloadPdfPreviewBtn');
+const openPdfPreviewBtn = document.getElementById('openPdfPreviewBtn');
+const closePdfPreviewBtn = document.getElementById('closePdfPreviewBtn');
+const pdfPreviewAutoRefreshCheckbox = document.getElementById('pdfPreviewAutoRefresh');
+
 // ============================================
-// IMAGE PREVIEW FUNCTIONALITY
+// PREFERENCES (localStorage)
 // ============================================
+// Settings that belong to the user rather than to one report, so they
+// are kept in localStorage and survive "New Report" and draft discards.
+
+const PREFERENCES_KEY = 'defectpro.preferences';
+
+const DEFAULT_PREFERENCES = {
+    // Longest side (px) photos are scaled down to on upload; 0 keeps the original size
+    imageMaxDimension: 1600,
+    // JPEG quality (0-1) used when photos are re-encoded
+    imageQuality: 0.85,
+    // Pre-fill each new photo's caption from its file name
+    captionFromFileName: false,
+    // Branding used on every report (see BRANDING)
+    brandLogo: '',
+    brandPrimaryColor: '#2c5282',
+    brandAccentColor: '#808080',
+    brandHeadingFont: 'helvetica',
+    brandBodyFont: 'helvetica',
+    coverPage: false,
+    // Paper, margins and running header/footer used on every report (see PAGE SETUP)
+    pageSize: 'a4',
+    pageOrientation: 'portrait',
+    pageMargins: 'normal',
+    pageHeader: [],
+    pageFooter: ['reportNumber'],
+    confidentialityNote: '',
+    // Numbering and file names of downloaded reports (see REPORT NUMBERS & FILE NAMES)
+    reportNumbering: true,
+    reportNumberPrefix: 'RPT-',
+    reportNumberFormat: DEFAULT_REPORT_NUMBER_FORMAT,
+    reportNumberDigits: 4,
+    // Place in the sequence of the next report to be numbered
+    nextReportNumber: 1,
+    filenamePattern: DEFAULT_FILENAME_PATTERN,
+    // ID of the template whose defect types and snippets are offered (null = none)
+    activeTemplateId: null,
+    // Language of the app and of generated reports (see LANGUAGE & DATE FORMAT)
+    language: 'en',
+    // Locale for dates and times, e.g. "en-GB"; empty follows the language
+    dateLocale: '',
+    // Re-render the open PDF preview shortly after each edit (see PDF PREVIEW)
+    previewAutoRefresh: true,
+    // Format the generate button produces (key of REPORT_FORMATS in formats.js)
+    reportFormat: 'pdf'
+};
 
 /**
- * Handles multiple image file selection and displays previews
- * Images are accumulated - new selections are added to existing images
+ * Reads the saved preferences, falling back to the defaults
+ * @returns {Object} Preferences
  */
-defectImageInput.addEventListener('change', function (e) {
-    const files = Array.from(e.target.files);
+function loadPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY) || '{}');
+        return { ...DEFAULT_PREFERENCES, ...saved };
+    } catch (error) {
+        console.error('Preferences Error:', error);
+        return { ...DEFAULT_PREFERENCES };
+    }
+}
+
+/**
+ * Changes one preference and saves them all
+ * @param {string} key - Preference name
+ * @param {*} value - New value
+ * @returns {boolean} False if the preferences couldn't be saved (e.g. storage full)
+ */
+function setPreference(key, value) {
+    preferences[key] = value;
+    try {
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+        return true;
+    } catch (error) {
+        console.error('Preferences Error:', error);
+        return false;
+    }
+}
 
-    if (files.length > 0) {
-        previewPlaceholder.style.display = 'none';
+let preferences = loadPreferences();
 
-        // Process each file and ADD to existing images
-        files.forEach((file) => {
-            // Validate file type
-            if (!file.type.match('image/jpeg') && !file.type.match('image/png')) {
-                alert(`File "${file.name}" is not a JPEG or PNG image and will be skipped.`);
-                return;
+// ============================================
+// LANGUAGE & DATE FORMAT
+// ============================================
+
+/**
+ * How Translation Works:
+ * 1. The English text is its own key: t('Add Defect') looks the text up in
+ *    TRANSLATIONS (translations.js) for the chosen language, falling back to
+ *    English for anything not translated yet
+ * 2. Placeholders such as {count} are filled in after the lookup, so word
+ *    order can change between languages
+ * 3. Static text in index.html is translated in place by translatePage();
+ *    everything rendered by this script calls t() itself
+ * 4. Stored values (defect types, severities, statuses, select values) stay
+ *    in English and are only translated when shown or printed
+ * 5. A text with two meanings gets a context prefix, e.g. t('status|Open')
+ *    for the defect status as opposed to the "Open" button. It reads as the
+ *    plain text unless the language translates that meaning separately. In
+ *    index.html the context comes from a data-i18n-context attribute.
+ */
+
+// Languages offered in the language picker
+const LANGUAGES = {
+    en: 'English',
+    es: 'Español',
+    fr: 'Français'
+};
+
+// Attributes holding text people read
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+
+// Elements whose text is content rather than interface
+const UNTRANSLATED_ELEMENTS = ['SCRIPT', 'STYLE', 'TEXTAREA'];
+
+// Language the page's static text is currently shown in
+let displayedLanguage = 'en';
+
+// Per language: translated text -> English text, built on first use
+const englishTexts = {};
+
+/**
+ * Translates an interface text into the chosen language
+ * @param {string} text - English text
+ * @param {Object} params - Values for the {name} placeholders in the text
+ * @returns {string} Translated text
+ */
+function t(text, params = {}) {
+    return translate(preferences.language, text, params);
+}
+
+/**
+ * Finds the English text a translated text came from
+ * @param {string} text - Text in the given language
+ * @param {string} language - Language code
+ * @returns {string} English text (the text itself if it isn't a known translation)
+ */
+function getEnglishText(text, language = displayedLanguage) {
+    if (!Object.hasOwn(TRANSLATIONS, language)) return text;
+    const table = TRANSLATIONS[language];
+
+    // No prototype, so page text such as "constructor" finds nothing
+    if (!englishTexts[language]) {
+        englishTexts[language] = Object.create(null);
+        Object.keys(table).forEach(key => {
+            if (!(table[key] in englishTexts[language])) {
+                englishTexts[language][table[key]] = key;
             }
+        });
+    }
+    return englishTexts[language][text] || text;
+}
 
-            // Read and preview each image
-            const reader = new FileReader();
-            reader.onload = function (e) {
-                const imageData = e.target.result;
-                selectedImages.push({
-                    data: imageData,
-                    name: file.name
-                });
-
-                // Re-render the entire gallery to update numbering
-                renderImagePreviewGallery();
-            };
-            reader.readAsDataURL(file);
+/**
+ * Translates a defect status for display
+ * @param {string} status - Status key
+ * @returns {string} Status in the chosen language
+ */
+function getStatusLabel(status) {
+    return t(`status|${status}`);
+}
+
+/**
+ * Gets the English label of an optgroup, which is how categories are stored
+ * @param {HTMLOptGroupElement} group - Option group in the defect type select
+ * @returns {string} Category
+ */
+function getOriginalLabel(group) {
+    return getEnglishText(group.label);
+}
+
+/**
+ * Translates a piece of page text, keeping the whitespace around it
+ * @param {string} value - Text as shown
+ * @param {Element} element - Element the text belongs to
+ * @returns {string} Text in the chosen language
+ */
+function translatePageText(value, element) {
+    const text = value.replace(/\s+/g, ' ').trim();
+    if (!text) return value;
+
+    const english = getEnglishText(text);
+    const contextElement = element.closest('[data-i18n-context]');
+    const key = contextElement ? `${contextElement.dataset.i18nContext}|${english.slice(english.indexOf('|') + 1)}` : english;
+    const translated = t(key);
+    if (translated === text) return value;
+
+    const [, before, , after] = value.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return before + translated + after;
+}
+
+/**
+ * Shows the static text of the page (labels, buttons, options, hints) in
+ * the chosen language
+ */
+function translatePage() {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+        const node = walker.currentNode;
+        if (!UNTRANSLATED_ELEMENTS.includes(node.parentElement.tagName)) {
+            node.nodeValue = translatePageText(node.nodeValue, node.parentElement);
+        }
+    }
+
+    TRANSLATED_ATTRIBUTES.forEach(attribute => {
+        document.body.querySelectorAll(`[${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, translatePageText(element.getAttribute(attribute), element));
         });
+    });
+    document.body.querySelectorAll('optgroup').forEach(group => {
+        group.label = translatePageText(group.label, group);
+    });
+
+    // Default field values, such as the report title (what "New Report" resets to)
+    document.body.querySelectorAll('input[type="text"][value]').forEach(input => {
+        input.defaultValue = translatePageText(input.defaultValue, input);
+    });
+
+    document.title = translatePageText(document.title, document.head);
+    document.documentElement.lang = preferences.language;
+    displayedLanguage = preferences.language;
+}
+
+/**
+ * Gets the locale dates and times are written in
+ * @returns {string} BCP 47 locale, e.g. "en-GB"
+ */
+function getDateLocale() {
+    if (preferences.dateLocale) {
+        return preferences.dateLocale;
     }
 
+    // Automatic: the browser's own locale when it matches the language (so
+    // English reports use British or Australian dates there), else the language
+    const browserLocale = navigator.language || 'en-US';
+    return browserLocale.split('-')[0] === preferences.language ? browserLocale : preferences.language;
+}
+
+/**
+ * Formats a moment in time, e.g. for "Report generated" and "Saved" notes
+ * @param {Date} date - Date and time
+ * @returns {string} Formatted date and time
+ */
+function formatDateTime(date) {
+    return date.toLocaleString(getDateLocale());
+}
+
+/**
+ * Shows the app in the chosen language, re-rendering everything built by
+ * this script
+ */
+function applyLanguage() {
+    // A report title left at its default follows the language
+    const reportTitleInput = document.getElementById('reportTitle');
+    if (getEnglishText(reportTitleInput.value) === 'Home Defect Inspection Report') {
+        reportTitleInput.value = t('Home Defect Inspection Report');
+    }
+
+    translatePage();
+    setEditingDefect(editingDefectId);
+    if (!defectImageInput.disabled) {
+        setImageProcessing(false);
+    }
+    renderImagePreviewGallery();
+    renderDefects();
+    renderBranding();
+    renderReportNumbering();
+    renderClientSignatureOptions();
+    renderTemplates();
+    renderSavedReports();
+}
+
+languageSelect.addEventListener('change', function () {
+    setPreference('language', LANGUAGES[this.value] ? this.value : DEFAULT_PREFERENCES.language);
+    applyLanguage();
+    schedulePreviewRefresh();
+});
+
+dateLocaleSelect.addEventListener('change', function () {
+    setPreference('dateLocale', this.value);
+    renderSavedReports();
+    renderFollowUpBanner();
+    schedulePreviewRefresh();
+});
+
+// ============================================
+// IMAGE PREVIEW FUNCTIONALITY
+// ============================================
+
+// Tiny 2x1 JPEG tagged with EXIF orientation 6 (rotate 90°). Browsers that
+// honour EXIF orientation themselves decode it as 1x2.
+const EXIF_ORIENTATION_PROBE = 'data:image/jpeg;base64,/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/4AAQSkZJRgABAQEAYABgAAD/2wBDABALDA4MChAODQ4SERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hnPk1xeXBkeFxlZ2P/2wBDARASEhgVGC8aGi9jQjhCY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2P/wgARCAABAAIDAREAAhEBAxEB/8QAFAABAAAAAAAAAAAAAAAAAAAABf/EABQBAQAAAAAAAAAAAAAAAAAAAAD/2gAMAwEAAhADEAAAARz/xAAVEAEBAAAAAAAAAAAAAAAAAAAENP/aAAgBAQABBQJFH//EABQRAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQMBAT8Bf//EABQRAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQIBAT8Bf//EABcQAAMBAAAAAAAAAAAAAAAAAAABA3L/2gAIAQEABj8Cppn/xAAWEAADAAAAAAAAAAAAAAAAAAAAUfD/2gAIAQEAAT8hjM//2gAMAwEAAgADAAAAEB//xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oACAEDAQE/EH//xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oACAECAQE/EH//xAAWEAADAAAAAAAAAAAAAAAAAAAAUfD/2gAIAQEAAT8Qnuf/2Q==';
+
+let exifOrientationProbe = null;
+
+/**
+ * Handles multiple image file selection and displays previews
+ * Images are accumulated - new selections are added to existing images.
+ * Files are processed one at a time (see processImageFile) so a large
+ * batch of camera photos never has to sit in memory at full size.
+ */
+defectImageInput.addEventListener('change', async function (e) {
+    const files = Array.from(e.target.files);
+
     // Reset the file input so the same file can be selected again if needed
     this.value = '';
+
+    if (files.length === 0) {
+        return;
+    }
+
+    previewPlaceholder.style.display = 'none';
+    setImageProcessing(true);
+
+    // Process each file and ADD to existing images
+    for (const [index, file] of files.entries()) {
+        // Validate file type
+        if (!isImageFile(file)) {
+            alert(t('File "{name}" is not an image and will be skipped.', { name: file.name }));
+            continue;
+        }
+
+        imageProcessingStatus.textContent = t('Processing photo {current} of {total}...', { current: index + 1, total: files.length });
+        try {
+            const image = await processImageFile(file);
+            if (preferences.captionFromFileName) {
+                image.caption = getCaptionFromFileName(file.name);
+            }
+            selectedImages.push(image);
+        } catch (error) {
+            console.error('Image Processing Error:', error);
+            alert(t('File "{name}" will be skipped: {error}.', { name: file.name, error: error.message }));
+            continue;
+        }
+
+        // Re-render the entire gallery to update numbering
+        renderImagePreviewGallery();
+    }
+
+    setImageProcessing(false);
+    renderImagePreviewGallery();
 });
 
 /**
- * Handles removing individual images from the preview
+ * Handles removing and moving individual images in the preview
  */
 imagesPreviewGallery.addEventListener('click', function (e) {
     if (e.target.classList.contains('remove-preview-btn')) {
@@ -102,9 +519,274 @@ imagesPreviewGallery.addEventListener('click', function (e) {
 
         // Re-render the gallery
         renderImagePreviewGallery();
+    } else if (e.target.classList.contains('annotate-preview-btn')) {
+        const index = parseInt(e.target.dataset.index);
+        openAnnotator(selectedImages[index], e.target, updated => {
+            selectedImages[index] = updated;
+            renderImagePreviewGallery();
+        });
+    } else if (e.target.classList.contains('caption-preview-btn')) {
+        const index = parseInt(e.target.dataset.index);
+        if (editImageCaption(selectedImages[index], index)) {
+            renderImagePreviewGallery();
+        }
+    } else if (e.target.classList.contains('move-preview-btn')) {
+        const index = parseInt(e.target.dataset.index);
+        const offset = parseInt(e.target.dataset.offset);
+        moveSelectedImage(index, index + offset);
+        refocusMoveButton(getImageMoveKey('preview', index + offset, offset));
     }
 });
 
+/**
+ * Shows or clears the "processing" state of the upload field. Adding the
+ * defect is blocked meanwhile so no photo is left behind.
+ * @param {boolean} active - Whether photos are being processed
+ */
+function setImageProcessing(active) {
+    defectImageInput.disabled = active;
+    addDefectBtn.disabled = active;
+    if (!active) {
+        imageProcessingStatus.textContent = t('Applies to photos added from now on.');
+    }
+}
+
+/**
+ * Checks whether a file looks like an image. Some browsers report an empty
+ * type for HEIC/HEIF photos, so the extension is checked as well.
+ * @param {File} file - Selected file
+ * @returns {boolean} True for image files
+ */
+function isImageFile(file) {
+    return file.type.startsWith('image/') || /\.(heic|heif)$/i.test(file.name);
+}
+
+/**
+ * Reads a file as a data URL
+ * @param {Blob} file - File to read
+ * @returns {Promise<string>} Data URL
+ */
+function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Reads the EXIF orientation tag (1-8) from the start of a JPEG file
+ * @param {ArrayBuffer} buffer - JPEG file contents
+ * @returns {number} Orientation, 1 when missing or unreadable
+ */
+function readExifOrientation(buffer) {
+    const view = new DataView(buffer);
+    if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+        return 1;
+    }
+
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        // Start of scan (or corrupt data): no metadata beyond this point
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) {
+            break;
+        }
+
+        // APP1 segment starting with "Exif\0\0", followed by a TIFF header
+        if (marker === 0xFFE1 && offset + 18 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+            const tiff = offset + 10;
+            const littleEndian = view.getUint16(tiff) === 0x4949;
+            const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+            if (ifd + 2 > view.byteLength) {
+                return 1;
+            }
+
+            const entryCount = view.getUint16(ifd, littleEndian);
+            for (let i = 0; i < entryCount; i++) {
+                const entry = ifd + 2 + i * 12;
+                if (entry + 12 > view.byteLength) {
+                    return 1;
+                }
+                if (view.getUint16(entry, littleEndian) === 0x0112) {
+                    const orientation = view.getUint16(entry + 8, littleEndian);
+                    return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                }
+            }
+            return 1;
+        }
+
+        offset += 2 + view.getUint16(offset + 2);
+    }
+    return 1;
+}
+
+/**
+ * Checks once whether the browser already applies EXIF orientation when
+ * decoding images (current browsers do; older ones draw the raw pixels)
+ * @returns {Promise<boolean>} True if the browser rotates images itself
+ */
+function browserAppliesExifOrientation() {
+    if (!exifOrientationProbe) {
+        exifOrientationProbe = loadImage(EXIF_ORIENTATION_PROBE)
+            .then(img => img.naturalWidth === 1 && img.naturalHeight === 2)
+            .catch(() => true);
+    }
+    return exifOrientationProbe;
+}
+
+/**
+ * Prepares an uploaded photo for the report: corrects its EXIF orientation,
+ * scales it down to the configured maximum size and re-encodes it as JPEG
+ * on a white background. Other formats the browser can decode (WebP, HEIC
+ * in Safari, ...) are always converted. A JPEG or PNG original is kept when
+ * nothing would change or re-encoding would only make it bigger.
+ * @param {File} file - Image file
+ * @returns {Promise<Object>} Image object { data, name }
+ * @throws {Error} If the browser cannot decode the image
+ */
+async function processImageFile(file) {
+    const maxDimension = Number(preferences.imageMaxDimension) || 0;
+    const quality = Number(preferences.imageQuality) || DEFAULT_PREFERENCES.imageQuality;
+
+    const originalData = await readFileAsDataURL(file);
+    const format = detectImageFormat(originalData);
+    const img = await decodeImage(originalData, format);
+
+    // jsPDF ignores the EXIF tag, so a rotated photo always has to be redrawn.
+    // Only rotate by hand if the browser hasn't already done it while decoding.
+    const fileOrientation = format === 'JPEG' ? readExifOrientation(await file.arrayBuffer()) : 1;
+    const orientation = await browserAppliesExifOrientation() ? 1 : fileOrientation;
+
+    // Orientations 5-8 are rotated a quarter turn, so width and height swap
+    const swapsSides = orientation >= 5;
+    const sourceWidth = img.naturalWidth;
+    const sourceHeight = img.naturalHeight;
+    const longestSide = Math.max(sourceWidth, sourceHeight);
+    const scale = maxDimension > 0 && longestSide > maxDimension ? maxDimension / longestSide : 1;
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = swapsSides ? height : width;
+    canvas.height = swapsSides ? width : height;
+    const ctx = canvas.getContext('2d');
+
+    // JPEG has no transparency: flatten PNGs onto white rather than black
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, width, 0); break;
+        case 3: ctx.transform(-1, 0, 0, -1, width, height); break;
+        case 4: ctx.transform(1, 0, 0, -1, 0, height); break;
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;
+        case 6: ctx.transform(0, 1, -1, 0, height, 0); break;
+        case 7: ctx.transform(0, -1, -1, 0, height, width); break;
+        case 8: ctx.transform(0, -1, 1, 0, 0, width); break;
+    }
+    ctx.drawImage(img, 0, 0, width, height);
+
+    const data = canvas.toDataURL('image/jpeg', quality);
+
+    // Release the canvas memory straight away; phones run out quickly
+    canvas.width = 0;
+    canvas.height = 0;
+
+    const unchanged = scale === 1 && fileOrientation === 1 && (format === 'JPEG' || format === 'PNG');
+    if (unchanged && data.length >= originalData.length) {
+        return { data: originalData, name: file.name };
+    }
+    return { data, name: file.name };
+}
+
+imageMaxDimensionSelect.addEventListener('change', function () {
+    setPreference('imageMaxDimension', Number(this.value));
+});
+
+imageQualitySelect.addEventListener('change', function () {
+    setPreference('imageQuality', Number(this.value));
+});
+
+captionFromFileNameCheckbox.addEventListener('change', function () {
+    setPreference('captionFromFileName', this.checked);
+});
+
+/**
+ * Loads an image source and waits until its dimensions are known
+ * @param {string} src - Image URL or data URL
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ */
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error('The image could not be decoded'));
+        img.src = src;
+    });
+}
+
+/**
+ * Turns a photo's file name into a caption ("north_bedroom-ceiling.jpg"
+ * becomes "north bedroom ceiling")
+ * @param {string} fileName - Original file name
+ * @returns {string} Caption
+ */
+function getCaptionFromFileName(fileName) {
+    return fileName.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+}
+
+/**
+ * Asks for a new caption for an image
+ * @param {Object} img - Image object, updated in place
+ * @param {number} index - Image index
+ * @returns {boolean} True if the caption was changed (false if cancelled)
+ */
+function editImageCaption(img, index) {
+    const caption = prompt(t('Caption for image {number} (printed under the photo in the report):', { number: index + 1 }), img.caption || '');
+    if (caption === null) {
+        return false;
+    }
+
+    if (caption.trim()) {
+        img.caption = caption.trim();
+    } else {
+        delete img.caption;
+    }
+    return true;
+}
+
+/**
+ * Builds the caption strip shown under a thumbnail
+ * @param {string} className - Button class used by the click handler
+ * @param {string|number} group - List the image belongs to
+ * @param {number} index - Image index
+ * @param {Object} img - Image object
+ * @returns {string} Button HTML
+ */
+function renderCaptionButton(className, group, index, img) {
+    const caption = img.caption ? escapeHtml(img.caption) : '';
+    return `<button type="button" class="image-caption-btn ${className}${caption ? '' : ' empty'}" data-group="${group}"
+        data-index="${index}" title="${caption || t('Add a caption')}"
+        aria-label="${t(caption ? 'Edit caption of image {number}' : 'Add caption to image {number}', { number: index + 1 })}">${caption || t('+ Caption')}</button>`;
+}
+
+/**
+ * Builds the "annotate" button shown on a thumbnail
+ * @param {string} className - Button class used by the click handler
+ * @param {string|number} group - List the image belongs to
+ * @param {number} index - Image index
+ * @param {Object} img - Image object
+ * @returns {string} Button HTML
+ */
+function renderAnnotateButton(className, group, index, img) {
+    const annotated = Array.isArray(img.annotations) && img.annotations.length > 0;
+    return `<button type="button" class="annotate-btn ${className}${annotated ? ' annotated' : ''}" data-group="${group}"
+        data-index="${index}" aria-label="${t(annotated ? 'Edit annotations on image {number}' : 'Annotate image {number}', { number: index + 1 })}"
+        title="${t(annotated ? 'Edit annotations' : 'Annotate image')}">&#9998;</button>`;
+}
+
 /**
  * Re-renders the image preview gallery after removal
  */
@@ -113,6 +795,7 @@ function renderImagePreviewGallery() {
 
     if (selectedImages.length === 0) {
         previewPlaceholder.style.display = 'block';
+        scheduleDraftSave();
         return;
     }
 
@@ -120,13 +803,21 @@ function renderImagePreviewGallery() {
     selectedImages.forEach((img, index) => {
         const previewItem = document.createElement('div');
         previewItem.className = 'image-preview-item';
+        previewItem.draggable = true;
+        previewItem.dataset.group = 'preview';
+        previewItem.dataset.index = index;
         previewItem.innerHTML = `
-            <img src="${img.data}" alt="Defect image ${index + 1}">
-            <button type="button" class="remove-preview-btn" data-index="${index}" title="Remove image">×</button>
+            <img src="${escapeMarkup(img.data)}" alt="${t('Defect image {number}', { number: index + 1 })}" draggable="false">
+            <button type="button" class="remove-preview-btn" data-index="${index}" title="${t('Remove image')}">×</button>
+            ${renderAnnotateButton('annotate-preview-btn', 'preview', index, img)}
+            ${renderCaptionButton('caption-preview-btn', 'preview', index, img)}
             <span class="image-number">${index + 1}</span>
+            ${renderImageMoveButtons('move-preview-btn', 'preview', index, selectedImages.length)}
         `;
         imagesPreviewGallery.appendChild(previewItem);
     });
+
+    scheduleDraftSave();
 }
 
 // ============================================
@@ -144,14 +835,41 @@ defectTypeSelect.addEventListener('change', function () {
         customDefectInput.style.display = 'none';
         customDefectTypeInput.value = '';
     }
+    renderSnippetOptions();
 });
 
+// Snippets are matched to the typed custom type too
+customDefectTypeInput.addEventListener('input', renderSnippetOptions);
+
 // ============================================
 // DEFECT MANAGEMENT
 // ============================================
 
+// Severities, statuses and photo layouts are shared with the PDF (report.js)
+
+// Optional per-defect details: defect property -> entry form field ID
+const DEFECT_DETAIL_FIELDS = {
+    severity: 'defectSeverity',
+    status: 'defectStatus',
+    locationArea: 'defectLocationArea',
+    locationFloor: 'defectLocationFloor',
+    locationElevation: 'defectLocationElevation',
+    recommendedAction: 'defectRecommendedAction',
+    responsibleTrade: 'defectResponsibleTrade',
+    photoLayout: 'defectPhotoLayout'
+};
+
+/**
+ * Checks whether statuses are worth showing: on follow-ups, or once any
+ * defect has moved on from Open
+ * @returns {boolean} True if statuses should be shown
+ */
+function isTrackingRectification() {
+    return tracksRectification(defects, followUp);
+}
+
 /**
- * Adds a new defect to the list
+ * Adds a new defect to the list, or saves the one being edited in place
  */
 addDefectBtn.addEventListener('click', function () {
     const description = defectDescriptionInput.value.trim();
@@ -168,72 +886,165 @@ addDefectBtn.addEventListener('click', function () {
 
     // Validation
     if (!defectType) {
-        alert('Please select or enter a defect type.');
+        alert(t('Please select or enter a defect type.'));
         return;
     }
 
     if (selectedImages.length === 0) {
-        alert('Please select at least one image for the defect.');
+        alert(t('Please select at least one image for the defect.'));
         return;
     }
 
     if (!description) {
-        alert('Please enter a description for the defect.');
+        alert(t('Please enter a description for the defect.'));
+        return;
+    }
+
+    if (!defectSeveritySelect.value) {
+        alert(t('Please select a severity for the defect.'));
         return;
     }
 
     // Create defect object with multiple images
     const defect = {
-        id: ++defectCounter,
         defectType: defectType,
-        images: selectedImages.map(img => ({
-            data: img.data,
-            name: img.name
-        })),
+        images: selectedImages.map(img => ({ ...img })),
         description: description
     };
 
-    // Add to array
-    defects.push(defect);
+    Object.keys(DEFECT_DETAIL_FIELDS).forEach(key => {
+        defect[key] = getFieldValue(DEFECT_DETAIL_FIELDS[key]);
+    });
+
+    const editIndex = defects.findIndex(d => d.id === editingDefectId);
+    if (editIndex !== -1) {
+        // Replace in place so the defect keeps its position and ID
+        defects[editIndex] = { ...defects[editIndex], ...defect };
+    } else {
+        defect.id = ++defectCounter;
+        defects.push(defect);
+    }
+
+    // Clear form (before rendering so the cards drop their "editing" state)
+    resetDefectEntryForm();
 
     // Update UI
     renderDefects();
+});
+
+cancelEditBtn.addEventListener('click', function () {
+    resetDefectEntryForm();
+    renderDefects();
+});
 
-    // Clear form
+/**
+ * Clears the entry form and leaves edit mode
+ */
+function resetDefectEntryForm() {
     defectTypeSelect.value = '';
     customDefectInput.style.display = 'none';
     customDefectTypeInput.value = '';
     defectImageInput.value = '';
     defectDescriptionInput.value = '';
+    resetFieldValues(Object.values(DEFECT_DETAIL_FIELDS));
     selectedImages = [];
-    imagesPreviewGallery.innerHTML = '';
-    previewPlaceholder.style.display = 'block';
-});
+    renderImagePreviewGallery();
+    setEditingDefect(null);
+}
 
 /**
- * Removes a defect from the list
- * @param {number} id - The defect ID to remove
+ * Switches the entry form between "add" and "edit" mode
+ * @param {number|null} id - Defect being edited, or null to add new defects
  */
-function removeDefect(id) {
-    if (confirm('Are you sure you want to remove this defect?')) {
-        defects = defects.filter(d => d.id !== id);
-        renderDefects();
+function setEditingDefect(id) {
+    editingDefectId = id;
+
+    const index = defects.findIndex(d => d.id === id);
+    if (index === -1) {
+        editingDefectId = null;
+        defectFormTitle.textContent = t('Add New Defect');
+        addDefectBtn.innerHTML = `<span class="btn-icon">+</span> ${t('Add Defect')}`;
+        cancelEditBtn.style.display = 'none';
+    } else {
+        defectFormTitle.textContent = t('Edit Defect #{number}', { number: index + 1 });
+        addDefectBtn.innerHTML = `<span class="btn-icon">&#10003;</span> ${t('Save Changes')}`;
+        cancelEditBtn.style.display = '';
     }
 }
 
 /**
- * Renders all defects in the UI
+ * Loads an existing defect into the entry form for editing
+ * @param {number} id - The defect ID to edit
  */
-function renderDefects() {
-    // Update count
-    defectCountSpan.textContent = `(${defects.length})`;
+function editDefect(id) {
+    const defect = defects.find(d => d.id === id);
+    if (!defect) return;
 
-    // Show/hide no defects message
-    if (defects.length === 0) {
-        noDefectsMessage.style.display = 'block';
-        defectsContainer.innerHTML = '';
-        defectsContainer.appendChild(noDefectsMessage);
-        return;
+    // Types that aren't in the list were entered through "Other"
+    const isListedType = defect.defectType !== 'Other' &&
+        Array.from(defectTypeSelect.options).some(option => option.value && option.value === defect.defectType);
+
+    if (isListedType) {
+        defectTypeSelect.value = defect.defectType;
+        customDefectTypeInput.value = '';
+        customDefectInput.style.display = 'none';
+    } else {
+        defectTypeSelect.value = 'Other';
+        customDefectTypeInput.value = defect.defectType;
+        customDefectInput.style.display = 'block';
+    }
+
+    defectDescriptionInput.value = defect.description;
+    resetFieldValues(Object.values(DEFECT_DETAIL_FIELDS));
+    Object.keys(DEFECT_DETAIL_FIELDS).forEach(key => {
+        if (defect[key]) {
+            document.getElementById(DEFECT_DETAIL_FIELDS[key]).value = defect[key];
+        }
+    });
+    selectedImages = normalizeDefect(defect).images.map(img => ({ ...img }));
+    renderImagePreviewGallery();
+
+    setEditingDefect(id);
+    renderDefects();
+
+    document.querySelector('.defect-entry-form').scrollIntoView({ behavior: 'smooth' });
+    defectDescriptionInput.focus();
+}
+
+/**
+ * Removes a defect from the list
+ * @param {number} id - The defect ID to remove
+ */
+function removeDefect(id) {
+    if (confirm(t('Are you sure you want to remove this defect?'))) {
+        defects = defects.filter(d => d.id !== id);
+
+        // Removing the defect being edited would otherwise re-add it on save
+        if (id === editingDefectId) {
+            resetDefectEntryForm();
+        }
+        renderDefects();
+    }
+}
+
+/**
+ * Renders all defects in the UI
+ */
+function renderDefects() {
+    // Update count
+    defectCountSpan.textContent = `(${defects.length})`;
+
+    // Every change to the defect list ends up here, so persist the draft
+    scheduleDraftSave();
+    updatePdfSizeEstimate();
+    renderCoverPhotoOptions();
+
+    // Show/hide no defects message
+    if (defects.length === 0) {
+        noDefectsMessage.style.display = 'block';
+        defectsContainer.innerHTML = '';
+        defectsContainer.appendChild(noDefectsMessage);
+        return;
     }
 
     noDefectsMessage.style.display = 'none';
@@ -246,31 +1057,152 @@ function renderDefects() {
         if (defect.images && defect.images.length > 0) {
             imagesHtml = '<div class="defect-card-images">';
             defect.images.forEach((img, imgIndex) => {
-                imagesHtml += `<img src="${img.data}" alt="Defect ${index + 1} - Image ${imgIndex + 1}" class="defect-card-image">`;
+                imagesHtml += `
+                    <div class="defect-card-image-item" draggable="true" data-group="${defect.id}" data-index="${imgIndex}">
+                        <img src="${escapeMarkup(img.data)}" alt="${t('Defect {number} - Image {image}', { number: index + 1, image: imgIndex + 1 })}" class="defect-card-image" draggable="false">
+                        ${renderAnnotateButton('annotate-card-image-btn', defect.id, imgIndex, img)}
+                        ${renderCaptionButton('caption-card-image-btn', defect.id, imgIndex, img)}
+                        ${renderImageMoveButtons('move-card-image-btn', defect.id, imgIndex, defect.images.length)}
+                    </div>`;
             });
             imagesHtml += '</div>';
         } else if (defect.imageData) {
             // Backward compatibility with old single-image format
-            imagesHtml = `<div class="defect-card-images"><img src="${defect.imageData}" alt="Defect ${index + 1}" class="defect-card-image"></div>`;
+            imagesHtml = `<div class="defect-card-images"><img src="${escapeMarkup(defect.imageData)}" alt="${t('Defect {number}', { number: index + 1 })}" class="defect-card-image"></div>`;
         }
 
+        const location = formatDefectLocation(defect, preferences.language);
+        const imageCount = defect.images ? defect.images.length : 1;
+        const statusHtml = followUp !== null ? renderStatusSelect(defect) :
+            (isTrackingRectification() ? renderStatusBadge(getDefectStatus(defect)) : '');
+
         html += `
-            <div class="defect-card" data-id="${defect.id}">
+            <div class="defect-card${defect.id === editingDefectId ? ' editing' : ''}" data-id="${defect.id}"
+                draggable="true" data-group="defects" data-index="${index}">
                 ${imagesHtml}
                 <div class="defect-card-content">
-                    <div class="defect-card-number">Defect #${index + 1}</div>
-                    <div class="defect-card-type"><strong>Type:</strong> ${escapeHtml(defect.defectType)}</div>
-                    <div class="defect-card-image-count">${defect.images ? defect.images.length : 1} image(s)</div>
+                    <div class="defect-card-number"><span class="drag-handle" title="${t('Drag to reorder')}" aria-hidden="true">&#8942;&#8942;</span> ${t('Defect #{number}', { number: index + 1 })}</div>
+                    <div class="defect-card-type"><strong>${t('Type:')}</strong> ${escapeHtml(t(defect.defectType))}</div>
+                    ${renderSeverityBadge(defect.severity)}
+                    ${statusHtml}
+                    <div class="defect-card-image-count">${t(imageCount === 1 ? '{count} image' : '{count} images', { count: imageCount })}${PHOTO_LAYOUTS[defect.photoLayout] ? ` &middot; ${t(PHOTO_LAYOUTS[defect.photoLayout].label)}` : ''}</div>
+                    ${location ? `<div class="defect-card-location"><strong>${t('Location:')}</strong> ${escapeHtml(location)}</div>` : ''}
                     <p class="defect-card-description">${escapeHtml(defect.description)}</p>
+                    ${renderRecommendation(defect)}
+                    ${renderAfterPhotos(defect)}
                 </div>
                 <div class="defect-card-actions">
-                    <button class="btn btn-danger" onclick="removeDefect(${defect.id})">Remove</button>
+                    <button class="btn btn-secondary btn-move" data-move-key="defect-${defect.id}-up" onclick="moveDefect(${defect.id}, -1)"
+                        aria-label="${t('Move defect #{number} up', { number: index + 1 })}" title="${t('Move up')}" ${index === 0 ? 'disabled' : ''}>&#8593;</button>
+                    <button class="btn btn-secondary btn-move" data-move-key="defect-${defect.id}-down" onclick="moveDefect(${defect.id}, 1)"
+                        aria-label="${t('Move defect #{number} down', { number: index + 1 })}" title="${t('Move down')}" ${index === defects.length - 1 ? 'disabled' : ''}>&#8595;</button>
+                    <button class="btn btn-secondary" onclick="editDefect(${defect.id})">${t('Edit')}</button>
+                    <button class="btn btn-danger" onclick="removeDefect(${defect.id})">${t('Remove')}</button>
                 </div>
             </div>
         `;
     });
 
     defectsContainer.innerHTML = html;
+    renderFollowUpBanner();
+
+    // Defect numbers shift when the list is reordered
+    if (editingDefectId !== null) {
+        setEditingDefect(editingDefectId);
+    }
+}
+
+/**
+ * Builds the colour-coded severity label for a defect card
+ * @param {string} severity - Severity rating
+ * @returns {string} Badge HTML
+ */
+function renderSeverityBadge(severity) {
+    const level = SEVERITY_LEVELS[severity];
+    if (!level) {
+        return `<span class="severity-badge unrated">${t('Not rated')}</span>`;
+    }
+    return `<span class="severity-badge ${level.className}">${escapeHtml(t(severity))}</span>`;
+}
+
+/**
+ * Builds the rectification status label for a defect card
+ * @param {string} status - Key of DEFECT_STATUSES
+ * @returns {string} Badge HTML
+ */
+function renderStatusBadge(status) {
+    return `<span class="status-badge ${DEFECT_STATUSES[status].className}">${escapeHtml(getStatusLabel(status))}</span>`;
+}
+
+/**
+ * Builds the status picker shown on cards during a follow-up
+ * @param {Object} defect - Defect object
+ * @returns {string} Select HTML
+ */
+function renderStatusSelect(defect) {
+    const status = getDefectStatus(defect);
+    const options = Object.keys(DEFECT_STATUSES).map(key =>
+        `<option value="${key}"${key === status ? ' selected' : ''}>${getStatusLabel(key)}</option>`).join('');
+    return `<select class="status-select ${DEFECT_STATUSES[status].className}" onchange="setDefectStatus(${defect.id}, this.value)"
+        aria-label="${t('Status of defect {type}', { type: escapeHtml(t(defect.defectType)) })}">${options}</select>`;
+}
+
+/**
+ * Builds the "after" photo strip of a defect card. Photos can only be added
+ * during a follow-up, but stay visible (and removable) afterwards.
+ * @param {Object} defect - Defect object
+ * @returns {string} HTML (empty when there is nothing to show)
+ */
+function renderAfterPhotos(defect) {
+    const afterImages = defect.afterImages || [];
+    if (afterImages.length === 0 && followUp === null) {
+        return '';
+    }
+
+    const group = `after-${defect.id}`;
+    let html = `<div class="defect-card-after"><div class="defect-card-after-title">${t('After Photos ({count})', { count: afterImages.length })}</div>`;
+    if (afterImages.length > 0) {
+        html += '<div class="defect-card-images">';
+        afterImages.forEach((img, imgIndex) => {
+            html += `
+                <div class="defect-card-image-item" draggable="true" data-group="${group}" data-index="${imgIndex}">
+                    <img src="${escapeMarkup(img.data)}" alt="${t('Defect {number} - After photo {image}', { number: defect.id, image: imgIndex + 1 })}" class="defect-card-image" draggable="false">
+                    <button type="button" class="remove-after-image-btn" data-group="${group}" data-index="${imgIndex}"
+                        aria-label="${t('Remove after photo {number}', { number: imgIndex + 1 })}" title="${t('Remove')}">×</button>
+                    ${renderAnnotateButton('annotate-card-image-btn', group, imgIndex, img)}
+                    ${renderCaptionButton('caption-card-image-btn', group, imgIndex, img)}
+                    ${renderImageMoveButtons('move-card-image-btn', group, imgIndex, afterImages.length)}
+                </div>`;
+        });
+        html += '</div>';
+    }
+    if (followUp !== null) {
+        html += `<button type="button" class="btn btn-secondary add-after-photos-btn" data-after-upload="${defect.id}"
+            onclick="chooseAfterPhotos(${defect.id})">${t('+ Add After Photos')}</button>`;
+    }
+    html += '</div>';
+    return html;
+}
+
+/**
+ * Builds the recommended action / responsible trade block for a defect card
+ * @param {Object} defect - Defect object
+ * @returns {string} HTML (empty when neither is set)
+ */
+function renderRecommendation(defect) {
+    if (!defect.recommendedAction && !defect.responsibleTrade) {
+        return '';
+    }
+
+    let html = '<div class="defect-card-recommendation">';
+    if (defect.recommendedAction) {
+        html += `<div><strong>${t('Recommended Action:')}</strong> ${escapeHtml(defect.recommendedAction)}</div>`;
+    }
+    if (defect.responsibleTrade) {
+        html += `<div><strong>${t('Responsible Trade:')}</strong> ${escapeHtml(t(defect.responsibleTrade))}</div>`;
+    }
+    html += '</div>';
+    return html;
 }
 
 /**
@@ -285,475 +1217,3537 @@ function escapeHtml(text) {
 }
 
 // ============================================
-// PDF GENERATION
+// REORDERING (DRAG-AND-DROP + KEYBOARD)
 // ============================================
 
 /**
- * Updates the generation status display
- * @param {string} message - Status message
- * @param {string} type - Status type (loading, success, error)
+ * Defect cards, preview thumbnails and card thumbnails can all be reordered.
+ * Each sortable item carries data-group (which list it belongs to) and
+ * data-index; drops are only accepted within the same list. Every list also
+ * has move buttons so reordering works without a mouse.
+ */
+
+// The item currently being dragged: { itemSelector, group, index }
+let dragState = null;
+
+/**
+ * Moves an array element from one index to another (in place)
+ * @param {Array} array - Array to modify
+ * @param {number} fromIndex - Current index
+ * @param {number} toIndex - New index
+ * @returns {boolean} True if anything moved
  */
-function updateStatus(message, type) {
-    generationStatus.textContent = message;
-    generationStatus.className = 'generation-status show ' + type;
+function moveArrayItem(array, fromIndex, toIndex) {
+    if (fromIndex === toIndex || toIndex < 0 || toIndex >= array.length || fromIndex < 0 || fromIndex >= array.length) {
+        return false;
+    }
+    const [item] = array.splice(fromIndex, 1);
+    array.splice(toIndex, 0, item);
+    return true;
 }
 
 /**
- * Hides the generation status
+ * Identifies an image move button so focus can follow the image after re-rendering
+ * @param {string|number} group - List the image belongs to
+ * @param {number} index - Image index
+ * @param {number} offset - -1 for the "earlier" button, 1 for "later"
+ * @returns {string} Value of the button's data-move-key
  */
-function hideStatus() {
-    generationStatus.className = 'generation-status';
+function getImageMoveKey(group, index, offset) {
+    return `image-${group}-${index}-${offset < 0 ? 'left' : 'right'}`;
 }
 
 /**
- * Gets the value of a form field by ID
- * @param {string} id - Element ID
- * @returns {string} Field value
+ * Builds the move-earlier/move-later buttons shown on a thumbnail
+ * @param {string} className - Button class used by the click handler
+ * @param {string|number} group - List the image belongs to
+ * @param {number} index - Image index
+ * @param {number} total - Number of images in the list
+ * @returns {string} Button HTML (empty when there is nothing to reorder)
  */
-function getFieldValue(id) {
-    const element = document.getElementById(id);
-    return element ? element.value.trim() : '';
+function renderImageMoveButtons(className, group, index, total) {
+    if (total < 2) return '';
+
+    return `
+        <div class="image-move-buttons">
+            <button type="button" class="image-move-btn ${className}" data-group="${group}" data-index="${index}" data-offset="-1"
+                data-move-key="${getImageMoveKey(group, index, -1)}" aria-label="${t('Move image {number} earlier', { number: index + 1 })}" title="${t('Move earlier')}"
+                ${index === 0 ? 'disabled' : ''}>&#8592;</button>
+            <button type="button" class="image-move-btn ${className}" data-group="${group}" data-index="${index}" data-offset="1"
+                data-move-key="${getImageMoveKey(group, index, 1)}" aria-label="${t('Move image {number} later', { number: index + 1 })}" title="${t('Move later')}"
+                ${index === total - 1 ? 'disabled' : ''}>&#8594;</button>
+        </div>
+    `;
 }
 
 /**
- * Generates the PDF report
- * 
- * How PDF Generation Works:
- * 1. We use jsPDF library which creates PDF documents in JavaScript
- * 2. We manually position text and images using x,y coordinates
- * 3. Images are embedded as base64 data URLs
- * 4. We track the Y position and add new pages when needed
- * 5. The PDF is then downloaded to the user's computer
+ * Puts keyboard focus back on a move button after the list was re-rendered,
+ * falling back to the opposite button when the item reached the end
+ * @param {string} moveKey - data-move-key of the button to focus
  */
-generatePdfBtn.addEventListener('click', async function () {
-    try {
-        updateStatus('Generating PDF report...', 'loading');
+function refocusMoveButton(moveKey) {
+    const opposite = { up: 'down', down: 'up', left: 'right', right: 'left' };
+    const fallbackKey = moveKey.replace(/(up|down|left|right)$/, direction => opposite[direction]);
 
-        // Get jsPDF from the global scope (loaded via CDN)
-        const { jsPDF } = window.jspdf;
+    const button = document.querySelector(`[data-move-key="${moveKey}"]:not([disabled])`) ||
+        document.querySelector(`[data-move-key="${fallbackKey}"]`);
+    if (button) {
+        button.focus();
+    }
+}
 
-        // Create new PDF document (A4 size, portrait orientation)
-        const doc = new jsPDF({
-            orientation: 'portrait',
-            unit: 'mm',
-            format: 'a4'
-        });
+/**
+ * Moves a defect one position up or down
+ * @param {number} id - Defect ID
+ * @param {number} offset - -1 for up, 1 for down
+ */
+function moveDefect(id, offset) {
+    const index = defects.findIndex(d => d.id === id);
+    if (moveArrayItem(defects, index, index + offset)) {
+        renderDefects();
+        refocusMoveButton(`defect-${id}-${offset < 0 ? 'up' : 'down'}`);
+    }
+}
 
-        // PDF dimensions
-        const pageWidth = 210;
-        const pageHeight = 297;
-        const margin = 20;
-        const contentWidth = pageWidth - (margin * 2);
-
-        // Current Y position tracker
-        let yPos = margin;
-
-        // ----------------------------------------
-        // HELPER FUNCTIONS
-        // ----------------------------------------
-
-        /**
-         * Checks if we need a new page and adds one if necessary
-         * @param {number} requiredSpace - Space needed in mm
-         */
-        function checkNewPage(requiredSpace) {
-            if (yPos + requiredSpace > pageHeight - margin) {
-                doc.addPage();
-                yPos = margin;
-                return true;
-            }
-            return false;
-        }
+/**
+ * Moves an image in the entry form's preview gallery
+ * @param {number} fromIndex - Current index
+ * @param {number} toIndex - New index
+ */
+function moveSelectedImage(fromIndex, toIndex) {
+    if (moveArrayItem(selectedImages, fromIndex, toIndex)) {
+        renderImagePreviewGallery();
+    }
+}
 
-        /**
-         * Adds a horizontal line
-         */
-        function addLine() {
-            doc.setDrawColor(200, 200, 200);
-            doc.setLineWidth(0.5);
-            doc.line(margin, yPos, pageWidth - margin, yPos);
-            yPos += 5;
-        }
-
-        /**
-         * Adds wrapped text and returns the new Y position
-         * @param {string} text - Text to add
-         * @param {number} fontSize - Font size
-         * @param {boolean} isBold - Whether text is bold
-         */
-        function addText(text, fontSize = 10, isBold = false) {
-            doc.setFontSize(fontSize);
-            doc.setFont('helvetica', isBold ? 'bold' : 'normal');
-
-            const lines = doc.splitTextToSize(text, contentWidth);
-            const lineHeight = fontSize * 0.5;
-
-            lines.forEach(line => {
-                checkNewPage(lineHeight + 2);
-                doc.text(line, margin, yPos);
-                yPos += lineHeight;
-            });
+/**
+ * Finds the image list a card thumbnail belongs to: the defect's photos
+ * (group "<id>") or its after photos (group "after-<id>")
+ * @param {string|number} group - data-group of the thumbnail
+ * @returns {Object[]|null} Image list, or null if the defect is gone
+ */
+function getCardImageList(group) {
+    const isAfter = String(group).startsWith('after-');
+    const defectId = parseInt(isAfter ? String(group).slice('after-'.length) : group);
+    const defect = defects.find(d => d.id === defectId);
+    if (!defect) return null;
 
-            yPos += 2;
-        }
-
-        /**
-         * Adds a section header
-         * @param {string} title - Header title
-         */
-        function addSectionHeader(title) {
-            checkNewPage(20);
-            yPos += 5;
-            doc.setFillColor(240, 240, 240);
-            doc.rect(margin, yPos - 5, contentWidth, 10, 'F');
-            doc.setFontSize(12);
-            doc.setFont('helvetica', 'bold');
-            doc.setTextColor(30, 30, 30);
-            doc.text(title, margin + 3, yPos + 2);
-            yPos += 12;
-            doc.setTextColor(0, 0, 0);
-        }
-
-        // ----------------------------------------
-        // DOCUMENT HEADER
-        // ----------------------------------------
-
-        const companyName = getFieldValue('companyName') || 'Inspection Company';
-        const companyPhone = getFieldValue('companyPhone');
-        const companyEmail = getFieldValue('companyEmail');
-        const reportTitle = getFieldValue('reportTitle') || 'Home Defect Inspection Report';
-
-        // Company name (large, centered)
-        doc.setFontSize(20);
-        doc.setFont('helvetica', 'bold');
-        doc.text(companyName, pageWidth / 2, yPos, { align: 'center' });
-        yPos += 10;
-
-        // Contact info (centered)
-        doc.setFontSize(10);
-        doc.setFont('helvetica', 'normal');
-        let contactInfo = [];
-        if (companyPhone) contactInfo.push(companyPhone);
-        if (companyEmail) contactInfo.push(companyEmail);
-        if (contactInfo.length > 0) {
-            doc.text(contactInfo.join(' | '), pageWidth / 2, yPos, { align: 'center' });
-            yPos += 8;
-        }
-
-        // Report title
-        doc.setFontSize(16);
-        doc.setFont('helvetica', 'bold');
-        doc.text(reportTitle, pageWidth / 2, yPos + 5, { align: 'center' });
-        yPos += 15;
-
-        addLine();
-
-        // ----------------------------------------
-        // CLIENT & PROPERTY DETAILS
-        // ----------------------------------------
-
-        addSectionHeader('Property & Client Details');
-
-        const clientName = getFieldValue('clientName');
-        const clientAddress = getFieldValue('clientAddress');
-        const inspectionDate = getFieldValue('inspectionDate');
-        const inspectorName = getFieldValue('inspectorName');
-        const inspectorCredentials = getFieldValue('inspectorCredentials');
-
-        doc.setFontSize(10);
-
-        if (clientName) {
-            doc.setFont('helvetica', 'bold');
-            doc.text('Client Name:', margin, yPos);
-            doc.setFont('helvetica', 'normal');
-            doc.text(clientName, margin + 35, yPos);
-            yPos += 6;
-        }
-
-        if (clientAddress) {
-            doc.setFont('helvetica', 'bold');
-            doc.text('Property Address:', margin, yPos);
-            doc.setFont('helvetica', 'normal');
-            const addressLines = doc.splitTextToSize(clientAddress, contentWidth - 40);
-            doc.text(addressLines, margin + 35, yPos);
-            yPos += addressLines.length * 5 + 2;
-        }
-
-        if (inspectionDate) {
-            doc.setFont('helvetica', 'bold');
-            doc.text('Inspection Date:', margin, yPos);
-            doc.setFont('helvetica', 'normal');
-            // Format date nicely
-            const dateObj = new Date(inspectionDate);
-            const formattedDate = dateObj.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'long',
-                day: 'numeric'
-            });
-            doc.text(formattedDate, margin + 35, yPos);
-            yPos += 6;
-        }
+    if (isAfter) {
+        defect.afterImages = defect.afterImages || [];
+        return defect.afterImages;
+    }
+    return defect.images;
+}
 
-        if (inspectorName) {
-            doc.setFont('helvetica', 'bold');
-            doc.text('Inspector:', margin, yPos);
-            doc.setFont('helvetica', 'normal');
-            doc.text(inspectorName, margin + 35, yPos);
-            yPos += 6;
-        }
+/**
+ * Moves an image within an already added defect
+ * @param {string|number} group - Card image group (see getCardImageList)
+ * @param {number} fromIndex - Current index
+ * @param {number} toIndex - New index
+ */
+function moveDefectImage(group, fromIndex, toIndex) {
+    const images = getCardImageList(group);
+    if (images && moveArrayItem(images, fromIndex, toIndex)) {
+        renderDefects();
+    }
+}
 
-        if (inspectorCredentials) {
-            doc.setFont('helvetica', 'bold');
-            doc.text('Credentials:', margin, yPos);
-            doc.setFont('helvetica', 'normal');
-            const credLines = doc.splitTextToSize(inspectorCredentials, contentWidth - 40);
-            doc.text(credLines, margin + 35, yPos);
-            yPos += credLines.length * 5 + 2;
-        }
+/**
+ * Finds the sortable item under a drag event that may accept the current drag
+ * @param {DragEvent} e - dragover/drop event
+ * @param {string} itemSelector - Selector for items of this list
+ * @returns {HTMLElement|null} Drop target
+ */
+function findDropTarget(e, itemSelector) {
+    if (!dragState || dragState.itemSelector !== itemSelector) return null;
+
+    const target = e.target.closest(itemSelector);
+    if (!target || target.dataset.group !== dragState.group) return null;
+    return target;
+}
+
+/**
+ * Removes drag highlighting from a container
+ * @param {HTMLElement} container - Sortable container
+ */
+function clearDragMarkers(container) {
+    container.querySelectorAll('.dragging, .drag-over').forEach(el => {
+        el.classList.remove('dragging', 'drag-over');
+    });
+}
 
-        yPos += 5;
+/**
+ * Enables drag-and-drop reordering for items rendered inside a container
+ * @param {HTMLElement} container - Element the items are rendered into
+ * @param {string} itemSelector - Selector matching the draggable items
+ * @param {Function} onReorder - Called with (group, fromIndex, toIndex)
+ */
+function makeSortable(container, itemSelector, onReorder) {
+    container.addEventListener('dragstart', function (e) {
+        const item = e.target.closest(itemSelector);
 
-        // ----------------------------------------
-        // INSPECTION DETAILS TABLE
-        // ----------------------------------------
+        // Nested lists (images inside a card) claim the drag first
+        if (!item || dragState) return;
 
-        addSectionHeader('Inspection Details');
+        dragState = {
+            itemSelector: itemSelector,
+            group: item.dataset.group,
+            index: parseInt(item.dataset.index)
+        };
+        e.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts a drag when some data is set
+        e.dataTransfer.setData('text/plain', '');
+        item.classList.add('dragging');
+    });
 
-        const attendance = getFieldValue('attendance');
-        const occupancy = getFieldValue('occupancy');
-        const buildingType = getFieldValue('buildingType');
-        const weatherCondition = getFieldValue('weatherCondition');
+    container.addEventListener('dragover', function (e) {
+        const target = findDropTarget(e, itemSelector);
+        if (!target) return;
 
-        // Create a simple table
-        const tableData = [
-            ['Attendance', attendance || 'N/A'],
-            ['Occupancy', occupancy || 'N/A'],
-            ['Type of Building', buildingType || 'N/A'],
-            ['Weather Condition', weatherCondition || 'N/A']
-        ];
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        container.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        target.classList.add('drag-over');
+    });
 
-        doc.setFontSize(10);
-        const colWidth = contentWidth / 2;
+    container.addEventListener('drop', function (e) {
+        const target = findDropTarget(e, itemSelector);
+        if (!target) return;
 
-        tableData.forEach((row, index) => {
-            checkNewPage(8);
+        e.preventDefault();
+        const { group, index } = dragState;
+        dragState = null;
+        clearDragMarkers(container);
+        onReorder(group, index, parseInt(target.dataset.index));
+    });
 
-            // Alternate row background
-            if (index % 2 === 0) {
-                doc.setFillColor(248, 248, 248);
-                doc.rect(margin, yPos - 4, contentWidth, 8, 'F');
-            }
+    container.addEventListener('dragend', function () {
+        clearDragMarkers(container);
+    });
+}
+
+// The dragged element may be re-rendered away before dragend reaches its container
+document.addEventListener('dragend', function () {
+    dragState = null;
+});
+
+// Card thumbnails are registered before cards so they win the dragstart
+makeSortable(defectsContainer, '.defect-card-image-item', (group, from, to) => {
+    moveDefectImage(group, from, to);
+});
+makeSortable(defectsContainer, '.defect-card', (group, from, to) => {
+    if (moveArrayItem(defects, from, to)) {
+        renderDefects();
+    }
+});
+makeSortable(imagesPreviewGallery, '.image-preview-item', (group, from, to) => {
+    moveSelectedImage(from, to);
+});
 
-            doc.setFont('helvetica', 'bold');
-            doc.text(row[0], margin + 2, yPos);
-            doc.setFont('helvetica', 'normal');
-            doc.text(row[1], margin + colWidth, yPos);
-            yPos += 8;
+defectsContainer.addEventListener('click', function (e) {
+    const annotateButton = e.target.closest('.annotate-card-image-btn');
+    if (annotateButton) {
+        const images = getCardImageList(annotateButton.dataset.group);
+        const index = parseInt(annotateButton.dataset.index);
+        openAnnotator(images[index], annotateButton, updated => {
+            images[index] = updated;
+            renderDefects();
         });
+        return;
+    }
 
-        yPos += 5;
+    const captionButton = e.target.closest('.caption-card-image-btn');
+    if (captionButton) {
+        const images = getCardImageList(captionButton.dataset.group);
+        if (editImageCaption(images[parseInt(captionButton.dataset.index)], parseInt(captionButton.dataset.index))) {
+            renderDefects();
+        }
+        return;
+    }
 
-        // ----------------------------------------
-        // DISCLAIMER SECTION
-        // ----------------------------------------
+    const removeButton = e.target.closest('.remove-after-image-btn');
+    if (removeButton) {
+        if (confirm(t('Remove this after photo?'))) {
+            getCardImageList(removeButton.dataset.group).splice(parseInt(removeButton.dataset.index), 1);
+            renderDefects();
+        }
+        return;
+    }
 
-        addSectionHeader('General Disclaimer');
+    const button = e.target.closest('.move-card-image-btn');
+    if (!button) return;
 
-        const disclaimer = getFieldValue('disclaimer');
-        if (disclaimer) {
-            doc.setFontSize(9);
-            doc.setFont('helvetica', 'normal');
-            doc.setTextColor(80, 80, 80);
+    const group = button.dataset.group;
+    const index = parseInt(button.dataset.index);
+    const offset = parseInt(button.dataset.offset);
+    moveDefectImage(group, index, index + offset);
+    refocusMoveButton(getImageMoveKey(group, index + offset, offset));
+});
 
-            const disclaimerLines = doc.splitTextToSize(disclaimer, contentWidth);
-            disclaimerLines.forEach(line => {
-                checkNewPage(5);
-                doc.text(line, margin, yPos);
-                yPos += 4.5;
-            });
+// ============================================
+// FOLLOW-UP INSPECTIONS
+// ============================================
 
-            doc.setTextColor(0, 0, 0);
-        }
-
-        yPos += 5;
-
-        // ----------------------------------------
-        // DEFECTS SECTION
-        // ----------------------------------------
-
-        if (defects.length > 0) {
-            // Start defects on a new page for cleaner layout
-            doc.addPage();
-            yPos = margin;
-
-            addSectionHeader(`Identified Defects (${defects.length} Total)`);
-
-            // Process each defect
-            for (let i = 0; i < defects.length; i++) {
-                const defect = defects[i];
-
-                // Check if we need a new page (need space for header + first image)
-                checkNewPage(100);
-
-                // Defect header with type
-                doc.setFontSize(11);
-                doc.setFont('helvetica', 'bold');
-                doc.setTextColor(44, 82, 130);
-                const imageCount = defect.images ? defect.images.length : 1;
-                doc.text(`Defect #${i + 1}: ${defect.defectType} (${imageCount} image${imageCount > 1 ? 's' : ''})`, margin, yPos);
-                doc.setTextColor(0, 0, 0);
-                yPos += 8;
-
-                // Get images array (support both old and new format)
-                const images = defect.images || [{ data: defect.imageData, name: defect.imageName }];
-
-                // Add all images for this defect
-                for (let imgIdx = 0; imgIdx < images.length; imgIdx++) {
-                    const imageData = images[imgIdx].data;
-
-                    try {
-                        // Calculate image dimensions (max width: contentWidth, max height: 70mm for multiple, 80mm for single)
-                        const maxImgWidth = contentWidth;
-                        const maxImgHeight = images.length > 1 ? 70 : 80;
-
-                        // Get original image dimensions
-                        const img = new Image();
-                        img.src = imageData;
-
-                        // Wait for image to load to get dimensions
-                        await new Promise((resolve) => {
-                            img.onload = resolve;
-                            img.onerror = resolve;
-                        });
-
-                        let imgWidth = img.width;
-                        let imgHeight = img.height;
-
-                        // Scale image to fit
-                        const ratio = Math.min(maxImgWidth / imgWidth, maxImgHeight / imgHeight);
-                        imgWidth = imgWidth * ratio;
-                        imgHeight = imgHeight * ratio;
-
-                        // Check if image fits on current page
-                        if (yPos + imgHeight + 20 > pageHeight - margin) {
-                            doc.addPage();
-                            yPos = margin;
-
-                            // Re-add defect header on new page
-                            doc.setFontSize(11);
-                            doc.setFont('helvetica', 'bold');
-                            doc.setTextColor(44, 82, 130);
-                            doc.text(`Defect #${i + 1}: ${defect.defectType} (continued)`, margin, yPos);
-                            doc.setTextColor(0, 0, 0);
-                            yPos += 8;
-                        }
-
-                        // Add image label if multiple images
-                        if (images.length > 1) {
-                            doc.setFontSize(9);
-                            doc.setFont('helvetica', 'italic');
-                            doc.setTextColor(100, 100, 100);
-                            doc.text(`Image ${imgIdx + 1} of ${images.length}`, margin, yPos);
-                            doc.setTextColor(0, 0, 0);
-                            yPos += 5;
-                        }
-
-                        // Add image to PDF
-                        doc.addImage(imageData, 'JPEG', margin, yPos, imgWidth, imgHeight);
-                        yPos += imgHeight + 5;
-
-                    } catch (imgError) {
-                        console.error('Error adding image:', imgError);
-                        doc.setFontSize(10);
-                        doc.setTextColor(150, 0, 0);
-                        doc.text(`[Image ${imgIdx + 1} could not be loaded]`, margin, yPos);
-                        doc.setTextColor(0, 0, 0);
-                        yPos += 8;
-                    }
-                }
+/**
+ * A follow-up is a copy of a saved report made when returning to check the
+ * repairs. The original photos become the "before" photos; each defect gets
+ * a status and its own "after" photos, and the PDF compares the two and
+ * lists what is still outstanding.
+ */
 
-                // Add description
-                doc.setFontSize(10);
-                doc.setFont('helvetica', 'normal');
-
-                const descLines = doc.splitTextToSize(defect.description, contentWidth);
-                descLines.forEach(line => {
-                    checkNewPage(6);
-                    doc.text(line, margin, yPos);
-                    yPos += 5;
-                });
-
-                yPos += 10;
-
-                // Add separator between defects (except for the last one)
-                if (i < defects.length - 1) {
-                    checkNewPage(15);
-                    doc.setDrawColor(220, 220, 220);
-                    doc.setLineWidth(0.3);
-                    doc.line(margin, yPos, pageWidth - margin, yPos);
-                    yPos += 10;
-                }
-            }
-        }
+const followUpBanner = document.getElementById('followUpBanner');
+const afterPhotoInput = document.getElementById('afterPhotoInput');
+
+// Set while the form is a follow-up: { reportName, inspectionDate } of the original
+let followUp = null;
+
+// Defect the after photo picker was opened for
+let afterPhotoDefectId = null;
 
-        // ----------------------------------------
-        // FOOTER ON ALL PAGES
-        // ----------------------------------------
+/**
+ * Changes a defect's rectification status
+ * @param {number} id - Defect ID
+ * @param {string} status - Key of DEFECT_STATUSES
+ */
+function setDefectStatus(id, status) {
+    const defect = defects.find(d => d.id === id);
+    if (!defect || !Object.hasOwn(DEFECT_STATUSES, status)) return;
+
+    defect.status = status;
+    renderDefects();
+}
 
-        const totalPages = doc.internal.getNumberOfPages();
-        for (let i = 1; i <= totalPages; i++) {
-            doc.setPage(i);
-            doc.setFontSize(8);
-            doc.setFont('helvetica', 'normal');
-            doc.setTextColor(150, 150, 150);
+/**
+ * Opens the file picker for a defect's after photos
+ * @param {number} id - Defect ID
+ */
+function chooseAfterPhotos(id) {
+    afterPhotoDefectId = id;
+    afterPhotoInput.click();
+}
 
-            // Page number
-            doc.text(
-                `Page ${i} of ${totalPages}`,
-                pageWidth / 2,
-                pageHeight - 10,
-                { align: 'center' }
-            );
+/**
+ * Processes after photos the same way as defect photos and adds them to a defect
+ * @param {number} id - Defect ID
+ * @param {File[]} files - Selected files
+ */
+async function addAfterPhotos(id, files) {
+    const images = getCardImageList(`after-${id}`);
+    if (!images) return;
 
-            // Report generation timestamp
-            const timestamp = new Date().toLocaleString();
-            doc.text(
-                `Report generated: ${timestamp}`,
-                pageWidth / 2,
-                pageHeight - 6,
-                { align: 'center' }
-            );
+    for (const [index, file] of files.entries()) {
+        if (!isImageFile(file)) {
+            alert(t('File "{name}" is not an image and will be skipped.', { name: file.name }));
+            continue;
         }
 
-        // ----------------------------------------
-        // SAVE THE PDF
-        // ----------------------------------------
+        const button = document.querySelector(`[data-after-upload="${id}"]`);
+        if (button) {
+            button.disabled = true;
+            button.textContent = t('Processing photo {current} of {total}...', { current: index + 1, total: files.length });
+        }
 
-        // Generate filename with date
-        const today = new Date();
-        const dateStr = today.toISOString().split('T')[0];
-        const filename = `Inspection_Report_${dateStr}.pdf`;
+        try {
+            const image = await processImageFile(file);
+            if (preferences.captionFromFileName) {
+                image.caption = getCaptionFromFileName(file.name);
+            }
+            images.push(image);
+        } catch (error) {
+            console.error('Image Processing Error:', error);
+            alert(t('File "{name}" will be skipped: {error}.', { name: file.name, error: error.message }));
+        }
+    }
 
-        // Download the PDF
-        doc.save(filename);
+    renderDefects();
+}
 
-        updateStatus(`PDF report generated successfully! File: ${filename}`, 'success');
+/**
+ * Shows which report this follow-up checks, and how much is still outstanding
+ */
+function renderFollowUpBanner() {
+    if (followUp === null) {
+        followUpBanner.hidden = true;
+        return;
+    }
 
-        // Hide status after 5 seconds
-        setTimeout(hideStatus, 5000);
+    const outstanding = defects.filter(isDefectOutstanding).length;
+    const inspected = followUp.inspectionDate
+        ? t(' (inspected {date})', { date: formatInspectionDate(followUp.inspectionDate) })
+        : '';
+    followUpBanner.hidden = false;
+    followUpBanner.innerHTML = `
+        <div>
+            <strong>${t('Follow-up of "{name}"', { name: escapeHtml(followUp.reportName) })}${escapeHtml(inspected)}.</strong>
+            ${t('Set each defect\'s status and add after photos from its card.')}
+            <span class="follow-up-outstanding">${t(defects.length === 1 ? '{outstanding} of {total} item outstanding.' : '{outstanding} of {total} items outstanding.', { outstanding, total: defects.length })}</span>
+        </div>
+        <button type="button" class="btn btn-secondary" onclick="endFollowUp()">${t('End Follow-Up')}</button>
+    `;
+}
 
-    } catch (error) {
-        console.error('PDF Generation Error:', error);
-        updateStatus('Error generating PDF: ' + error.message, 'error');
+/**
+ * Turns the form back into a normal inspection (statuses and after photos are kept)
+ */
+function endFollowUp() {
+    if (!confirm(t('End follow-up mode? Statuses and after photos are kept, but no more after photos can be added.'))) {
+        return;
+    }
+    followUp = null;
+    renderDefects();
+}
+
+afterPhotoInput.addEventListener('change', function () {
+    const files = Array.from(this.files);
+
+    // Reset so the same file can be selected again
+    this.value = '';
+
+    if (files.length > 0 && afterPhotoDefectId !== null) {
+        addAfterPhotos(afterPhotoDefectId, files);
     }
 });
 
 // ============================================
-// INITIALIZATION
+// IMAGE ANNOTATION EDITOR
 // ============================================
 
-// Set default inspection date to today
-document.addEventListener('DOMContentLoaded', function () {
-    const today = new Date().toISOString().split('T')[0];
-    document.getElementById('inspectionDate').value = today;
+/**
+ * How Annotation Works:
+ * - Shapes are stored in image pixel coordinates next to the untouched
+ *   original, so annotations can be re-edited or removed later
+ * - Saving draws the shapes onto the original and stores the flattened
+ *   result as the image's data, which the cards and the PDF use as-is
+ * - Undo/redo step through snapshots of the shape list
+ */
+
+const annotatorOverlay = document.getElementById('annotatorOverlay');
+const annotatorCanvas = document.getElementById('annotatorCanvas');
+const annotatorTools = document.getElementById('annotatorTools');
+const annotatorHint = document.getElementById('annotatorHint');
+const annotatorColorInput = document.getElementById('annotatorColor');
+const annotatorSizeSelect = document.getElementById('annotatorSize');
+const annotatorUndoBtn = document.getElementById('annotatorUndoBtn');
+const annotatorRedoBtn = document.getElementById('annotatorRedoBtn');
+const annotatorClearBtn = document.getElementById('annotatorClearBtn');
+const annotatorCancelBtn = document.getElementById('annotatorCancelBtn');
+const annotatorSaveBtn = document.getElementById('annotatorSaveBtn');
+
+// Instructions shown for each tool
+const ANNOTATION_TOOL_HINTS = {
+    arrow: 'Drag from the tail to the point of the arrow',
+    circle: 'Drag to draw a circle or ellipse around the area',
+    rect: 'Drag to draw a rectangle',
+    freehand: 'Hold and drag to draw freely',
+    text: 'Click where the label should go',
+    measure: 'Drag along the distance, then enter the measurement'
+};
+
+// Open editor session: { image, baseImage, history, historyIndex, tool, draft, onSave, opener }
+let annotatorState = null;
+
+// The tool stays selected between editing sessions
+let lastAnnotationTool = 'arrow';
+
+/**
+ * Opens the editor for an image
+ * @param {Object} image - Image object ({ data, name, original?, annotations? })
+ * @param {HTMLElement} opener - Element to return focus to when closing
+ * @param {Function} onSave - Receives the updated image object
+ */
+async function openAnnotator(image, opener, onSave) {
+    let baseImage;
+    try {
+        baseImage = await loadImage(image.original || image.data);
+    } catch (error) {
+        console.error('Annotation Error:', error);
+        alert(t('This image could not be opened for annotation.'));
+        return;
+    }
+
+    annotatorCanvas.width = baseImage.naturalWidth || baseImage.width;
+    annotatorCanvas.height = baseImage.naturalHeight || baseImage.height;
+
+    annotatorState = {
+        image: image,
+        baseImage: baseImage,
+        history: [Array.isArray(image.annotations) ? image.annotations : []],
+        historyIndex: 0,
+        tool: lastAnnotationTool,
+        draft: null,
+        onSave: onSave,
+        opener: opener
+    };
+
+    selectAnnotationTool(annotatorState.tool);
+    renderAnnotator();
+
+    annotatorOverlay.hidden = false;
+    document.body.classList.add('modal-open');
+    annotatorTools.querySelector('.annotator-tool.active').focus();
+}
+
+/**
+ * Closes the editor without saving
+ */
+function closeAnnotator() {
+    if (!annotatorState) return;
+
+    const opener = annotatorState.opener;
+    annotatorOverlay.hidden = true;
+    document.body.classList.remove('modal-open');
+    annotatorState = null;
+
+    // The opener may have been re-rendered; only refocus it if it's still there
+    if (opener && document.body.contains(opener)) {
+        opener.focus();
+    }
+}
+
+/**
+ * Gets the shape list at the current point in the undo history
+ * @returns {Object[]} Annotation shapes
+ */
+function getCurrentAnnotations() {
+    return annotatorState.history[annotatorState.historyIndex];
+}
+
+/**
+ * Records a new shape list, discarding anything that could have been redone
+ * @param {Object[]} annotations - New shape list
+ */
+function commitAnnotations(annotations) {
+    annotatorState.history = annotatorState.history.slice(0, annotatorState.historyIndex + 1);
+    annotatorState.history.push(annotations);
+    annotatorState.historyIndex++;
+    renderAnnotator();
+}
+
+/**
+ * Steps backwards or forwards through the undo history
+ * @param {number} step - -1 to undo, 1 to redo
+ */
+function stepAnnotationHistory(step) {
+    const index = annotatorState.historyIndex + step;
+    if (index < 0 || index >= annotatorState.history.length) return;
+
+    annotatorState.historyIndex = index;
+    renderAnnotator();
+}
+
+/**
+ * Marks a tool as active
+ * @param {string} tool - Tool name (see ANNOTATION_TOOL_HINTS)
+ */
+function selectAnnotationTool(tool) {
+    annotatorState.tool = tool;
+    lastAnnotationTool = tool;
+    annotatorTools.querySelectorAll('.annotator-tool').forEach(button => {
+        const active = button.dataset.tool === tool;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    annotatorHint.textContent = t(ANNOTATION_TOOL_HINTS[tool]);
+    annotatorCanvas.style.cursor = tool === 'text' ? 'text' : 'crosshair';
+}
+
+/**
+ * Stroke width in image pixels for the selected size, so lines look the same
+ * on small and large photos
+ * @returns {number} Line width
+ */
+function getAnnotationLineWidth() {
+    const unit = Math.max(annotatorCanvas.width, annotatorCanvas.height) / 800;
+    return Math.max(1, parseInt(annotatorSizeSelect.value) * unit);
+}
+
+/**
+ * Draws a text label on a light background so it stays readable on any photo
+ * @param {CanvasRenderingContext2D} ctx - Drawing context
+ * @param {string} text - Label text
+ * @param {number} x - Left edge (or centre when centred)
+ * @param {number} y - Top edge (or centre when centred)
+ * @param {string} color - Text colour
+ * @param {number} fontSize - Font size in pixels
+ * @param {boolean} centred - Whether x/y is the centre of the label
+ */
+function drawAnnotationLabel(ctx, text, x, y, color, fontSize, centred = false) {
+    ctx.font = `bold ${fontSize}px sans-serif`;
+    const padding = fontSize * 0.3;
+    const width = ctx.measureText(text).width + padding * 2;
+    const height = fontSize + padding * 2;
+    const left = centred ? x - width / 2 : x;
+    const top = centred ? y - height / 2 : y;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(left, top, width, height);
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'top';
+    ctx.fillText(text, left + padding, top + padding);
+}
+
+/**
+ * Draws a single annotation shape
+ * @param {CanvasRenderingContext2D} ctx - Drawing context
+ * @param {Object} shape - Annotation shape
+ */
+function drawAnnotation(ctx, shape) {
+    ctx.save();
+    ctx.strokeStyle = shape.color;
+    ctx.fillStyle = shape.color;
+    ctx.lineWidth = shape.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    const { x1, y1, x2, y2 } = shape;
+
+    switch (shape.type) {
+        case 'arrow': {
+            const angle = Math.atan2(y2 - y1, x2 - x1);
+            const head = shape.lineWidth * 4;
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8);
+            ctx.stroke();
+            ctx.beginPath();
+            ctx.moveTo(x2, y2);
+            ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 6), y2 - head * Math.sin(angle - Math.PI / 6));
+            ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 6), y2 - head * Math.sin(angle + Math.PI / 6));
+            ctx.closePath();
+            ctx.fill();
+            break;
+        }
+        case 'circle':
+            ctx.beginPath();
+            ctx.ellipse((x1 + x2) / 2, (y1 + y2) / 2, Math.abs(x2 - x1) / 2, Math.abs(y2 - y1) / 2, 0, 0, Math.PI * 2);
+            ctx.stroke();
+            break;
+        case 'rect':
+            ctx.strokeRect(Math.min(x1, x2), Math.min(y1, y2), Math.abs(x2 - x1), Math.abs(y2 - y1));
+            break;
+        case 'freehand':
+            ctx.beginPath();
+            shape.points.forEach((point, index) => {
+                if (index === 0) {
+                    ctx.moveTo(point.x, point.y);
+                } else {
+                    ctx.lineTo(point.x, point.y);
+                }
+            });
+            ctx.stroke();
+            break;
+        case 'text':
+            drawAnnotationLabel(ctx, shape.text, x1, y1, shape.color, shape.lineWidth * 6);
+            break;
+        case 'measure': {
+            // Line with perpendicular end ticks, label at the midpoint
+            const angle = Math.atan2(y2 - y1, x2 - x1) + Math.PI / 2;
+            const tick = shape.lineWidth * 3;
+            ctx.beginPath();
+            ctx.moveTo(x1, y1);
+            ctx.lineTo(x2, y2);
+            [[x1, y1], [x2, y2]].forEach(([x, y]) => {
+                ctx.moveTo(x - Math.cos(angle) * tick, y - Math.sin(angle) * tick);
+                ctx.lineTo(x + Math.cos(angle) * tick, y + Math.sin(angle) * tick);
+            });
+            ctx.stroke();
+            if (shape.text) {
+                drawAnnotationLabel(ctx, shape.text, (x1 + x2) / 2, (y1 + y2) / 2, shape.color, shape.lineWidth * 5, true);
+            }
+            break;
+        }
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Redraws the photo, the committed shapes and the shape being drawn
+ */
+function renderAnnotator() {
+    const ctx = annotatorCanvas.getContext('2d');
+    ctx.clearRect(0, 0, annotatorCanvas.width, annotatorCanvas.height);
+    ctx.drawImage(annotatorState.baseImage, 0, 0, annotatorCanvas.width, annotatorCanvas.height);
+
+    getCurrentAnnotations().forEach(shape => drawAnnotation(ctx, shape));
+    if (annotatorState.draft) {
+        drawAnnotation(ctx, annotatorState.draft);
+    }
+
+    annotatorUndoBtn.disabled = annotatorState.historyIndex === 0;
+    annotatorRedoBtn.disabled = annotatorState.historyIndex === annotatorState.history.length - 1;
+    annotatorClearBtn.disabled = getCurrentAnnotations().length === 0;
+}
+
+/**
+ * Converts a pointer position to image pixel coordinates
+ * @param {PointerEvent} e - Pointer event
+ * @returns {{x: number, y: number}} Point on the image
+ */
+function getAnnotationPoint(e) {
+    const rect = annotatorCanvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * annotatorCanvas.width / rect.width,
+        y: (e.clientY - rect.top) * annotatorCanvas.height / rect.height
+    };
+}
+
+/**
+ * Flattens the annotations onto the original and hands the result back
+ */
+function saveAnnotator() {
+    const { image, onSave } = annotatorState;
+    const annotations = getCurrentAnnotations();
+    const original = image.original || image.data;
+
+    const updated = { ...image };
+    if (annotations.length === 0) {
+        // Nothing left to draw: go back to the untouched photo
+        updated.data = original;
+        delete updated.original;
+        delete updated.annotations;
+    } else {
+        annotatorState.draft = null;
+        renderAnnotator();
+        const type = original.startsWith('data:image/png') ? 'image/png' : 'image/jpeg';
+        updated.data = annotatorCanvas.toDataURL(type, 0.92);
+        updated.original = original;
+        updated.annotations = annotations;
+    }
+
+    closeAnnotator();
+    onSave(updated);
+}
+
+annotatorTools.addEventListener('click', function (e) {
+    const button = e.target.closest('.annotator-tool');
+    if (button) {
+        selectAnnotationTool(button.dataset.tool);
+    }
+});
+
+annotatorCanvas.addEventListener('pointerdown', function (e) {
+    if (!annotatorState || e.button !== 0) return;
+
+    const point = getAnnotationPoint(e);
+    const shape = {
+        type: annotatorState.tool,
+        color: annotatorColorInput.value,
+        lineWidth: getAnnotationLineWidth(),
+        x1: point.x,
+        y1: point.y,
+        x2: point.x,
+        y2: point.y
+    };
+
+    if (shape.type === 'text') {
+        const text = prompt(t('Label text:'));
+        if (text && text.trim()) {
+            shape.text = text.trim();
+            commitAnnotations([...getCurrentAnnotations(), shape]);
+        }
+        return;
+    }
+
+    if (shape.type === 'freehand') {
+        shape.points = [point];
+    }
+
+    annotatorState.draft = shape;
+    annotatorCanvas.setPointerCapture(e.pointerId);
+    e.preventDefault();
+});
+
+annotatorCanvas.addEventListener('pointermove', function (e) {
+    if (!annotatorState || !annotatorState.draft) return;
+
+    const point = getAnnotationPoint(e);
+    const draft = annotatorState.draft;
+    draft.x2 = point.x;
+    draft.y2 = point.y;
+    if (draft.points) {
+        draft.points.push(point);
+    }
+    renderAnnotator();
+});
+
+annotatorCanvas.addEventListener('pointerup', function () {
+    if (!annotatorState || !annotatorState.draft) return;
+
+    const shape = annotatorState.draft;
+    annotatorState.draft = null;
+
+    // Ignore accidental clicks that didn't draw anything visible
+    const size = Math.hypot(shape.x2 - shape.x1, shape.y2 - shape.y1);
+    if (size < shape.lineWidth * 2 && (!shape.points || shape.points.length < 3)) {
+        renderAnnotator();
+        return;
+    }
+
+    if (shape.type === 'measure') {
+        const label = prompt(t('Measurement label (e.g. "25 mm"):'));
+        if (label === null) {
+            renderAnnotator();
+            return;
+        }
+        shape.text = label.trim();
+    }
+
+    commitAnnotations([...getCurrentAnnotations(), shape]);
+});
+
+annotatorCanvas.addEventListener('pointercancel', function () {
+    if (!annotatorState) return;
+    annotatorState.draft = null;
+    renderAnnotator();
+});
+
+annotatorUndoBtn.addEventListener('click', () => stepAnnotationHistory(-1));
+annotatorRedoBtn.addEventListener('click', () => stepAnnotationHistory(1));
+annotatorClearBtn.addEventListener('click', () => commitAnnotations([]));
+annotatorCancelBtn.addEventListener('click', closeAnnotator);
+annotatorSaveBtn.addEventListener('click', saveAnnotator);
+
+// Keyboard shortcuts while the editor is open
+document.addEventListener('keydown', function (e) {
+    if (!annotatorState) return;
+
+    const key = e.key.toLowerCase();
+    if (e.key === 'Escape') {
+        closeAnnotator();
+    } else if ((e.ctrlKey || e.metaKey) && key === 'z') {
+        e.preventDefault();
+        stepAnnotationHistory(e.shiftKey ? 1 : -1);
+    } else if ((e.ctrlKey || e.metaKey) && key === 'y') {
+        e.preventDefault();
+        stepAnnotationHistory(1);
+    }
+});
+
+// ============================================
+// BRANDING
+// ============================================
+// Logo, colours and fonts are preferences, so they carry over to every
+// report. The cover photo belongs to the report: it is the defect image
+// flagged with cover: true.
+
+// Fonts built into jsPDF (no embedding needed)
+const PDF_FONTS = ['helvetica', 'times', 'courier'];
+
+// Longest side (px) of the stored logo; plenty for print at logo size
+const LOGO_MAX_DIMENSION = 600;
+
+/**
+ * Converts a "#rrggbb" colour to [r, g, b]
+ * @param {string} hex - Colour from a colour input
+ * @param {number[]} fallback - Colour used if hex isn't valid
+ * @returns {number[]} RGB components
+ */
+function hexToRgb(hex, fallback) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    return match ? match.slice(1).map(part => parseInt(part, 16)) : fallback;
+}
+
+/**
+ * Collects the branding settings in the form the PDF generator uses
+ * @returns {Object} { logo, primaryColor, accentColor, accentTint, headingFont, bodyFont, coverPage }
+ */
+function getBranding() {
+    const accentColor = hexToRgb(preferences.brandAccentColor, DEFAULT_BRANDING.accentColor);
+    return {
+        logo: preferences.brandLogo || '',
+        primaryColor: hexToRgb(preferences.brandPrimaryColor, DEFAULT_BRANDING.primaryColor),
+        accentColor: accentColor,
+        // Pale version of the accent for backgrounds behind dark text
+        accentTint: accentColor.map(value => Math.round(255 - (255 - value) * 0.12)),
+        headingFont: PDF_FONTS.includes(preferences.brandHeadingFont) ? preferences.brandHeadingFont : DEFAULT_BRANDING.headingFont,
+        bodyFont: PDF_FONTS.includes(preferences.brandBodyFont) ? preferences.brandBodyFont : DEFAULT_BRANDING.bodyFont,
+        coverPage: preferences.coverPage === true
+    };
+}
+
+/**
+ * Scales an uploaded logo down to LOGO_MAX_DIMENSION. PNG logos stay PNG
+ * so their transparency shows correctly in the preview.
+ * @param {File} file - Image file
+ * @returns {Promise<string>} Data URL of the logo
+ * @throws {Error} If the browser cannot decode the image
+ */
+async function processLogoFile(file) {
+    const data = await readFileAsDataURL(file);
+    const format = detectImageFormat(data);
+    const img = await decodeImage(data, format);
+
+    const scale = Math.min(1, LOGO_MAX_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    const ctx = canvas.getContext('2d');
+
+    let logo;
+    if (format === 'PNG') {
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        logo = canvas.toDataURL('image/png');
+    } else {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+        logo = canvas.toDataURL('image/jpeg', 0.9);
+    }
+
+    canvas.width = 0;
+    canvas.height = 0;
+    return logo;
+}
+
+/**
+ * Shows the saved branding in the branding panel
+ */
+function renderBranding() {
+    brandLogoPreview.innerHTML = preferences.brandLogo
+        ? `<img src="${escapeMarkup(preferences.brandLogo)}" alt="${t('Company logo')}">`
+        : `<span class="preview-placeholder">${t('No logo')}</span>`;
+    removeLogoBtn.disabled = !preferences.brandLogo;
+
+    const branding = getBranding();
+    brandPrimaryColorInput.value = preferences.brandPrimaryColor;
+    brandAccentColorInput.value = preferences.brandAccentColor;
+    brandHeadingFontSelect.value = branding.headingFont;
+    brandBodyFontSelect.value = branding.bodyFont;
+    coverPageCheckbox.checked = branding.coverPage;
+    coverPhotoSelect.disabled = !branding.coverPage;
+}
+
+/**
+ * Lists every defect image in the cover photo picker
+ */
+function renderCoverPhotoOptions() {
+    let html = `<option value="">${t('No photo')}</option>`;
+    let selected = '';
+
+    defects.forEach((defect, index) => {
+        (defect.images || []).forEach((img, imgIndex) => {
+            const value = `${defect.id}:${imgIndex}`;
+            const caption = img.caption ? ` - ${img.caption}` : '';
+            const label = t('Defect #{number}: {type}, image {image}', { number: index + 1, type: t(defect.defectType), image: imgIndex + 1 });
+            html += `<option value="${value}">${escapeHtml(label + caption)}</option>`;
+            if (img.cover) {
+                selected = value;
+            }
+        });
+    });
+
+    coverPhotoSelect.innerHTML = html;
+    coverPhotoSelect.value = selected;
+}
+
+brandLogoInput.addEventListener('change', async function () {
+    const file = this.files[0];
+    this.value = '';
+    if (!file) return;
+
+    try {
+        const logo = await processLogoFile(file);
+        if (!setPreference('brandLogo', logo)) {
+            setPreference('brandLogo', '');
+            alert(t('The logo is too large to be saved in this browser. Please choose a smaller image.'));
+        }
+    } catch (error) {
+        console.error('Logo Error:', error);
+        alert(t('The logo could not be used: {error}.', { error: error.message }));
+    }
+    renderBranding();
+});
+
+removeLogoBtn.addEventListener('click', function () {
+    setPreference('brandLogo', '');
+    renderBranding();
+});
+
+brandPrimaryColorInput.addEventListener('change', function () {
+    setPreference('brandPrimaryColor', this.value);
+});
+
+brandAccentColorInput.addEventListener('change', function () {
+    setPreference('brandAccentColor', this.value);
+});
+
+brandHeadingFontSelect.addEventListener('change', function () {
+    setPreference('brandHeadingFont', this.value);
+});
+
+brandBodyFontSelect.addEventListener('change', function () {
+    setPreference('brandBodyFont', this.value);
+});
+
+coverPageCheckbox.addEventListener('change', function () {
+    setPreference('coverPage', this.checked);
+    renderBranding();
+});
+
+// Only one image can be the cover photo
+coverPhotoSelect.addEventListener('change', function () {
+    const [defectId, imgIndex] = this.value.split(':').map(Number);
+    defects.forEach(defect => {
+        (defect.images || []).forEach((img, index) => {
+            if (defect.id === defectId && index === imgIndex) {
+                img.cover = true;
+            } else {
+                delete img.cover;
+            }
+        });
+    });
+    scheduleDraftSave();
+});
+
+// ============================================
+// PAGE SETUP
+// ============================================
+// Paper size, orientation, margins and what runs along the top and bottom
+// of every page are preferences, like the branding. report.js lays the
+// PDF out from them; formats.js sizes Word and HTML reports to match.
+
+/**
+ * Collects the page setup in the form the report model takes
+ * @returns {Object} { size, orientation, margins, header, footer, confidentialityNote }
+ */
+function getPageSetup() {
+    return {
+        size: preferences.pageSize,
+        orientation: preferences.pageOrientation,
+        margins: preferences.pageMargins,
+        header: preferences.pageHeader,
+        footer: preferences.pageFooter,
+        confidentialityNote: preferences.confidentialityNote
+    };
+}
+
+/**
+ * Shows the saved page setup in the page setup panel
+ */
+function renderPageSetup() {
+    // Saved values are checked the way the report model checks them
+    const pageSetup = readPageSetup(getPageSetup());
+    pageSizeSelect.value = pageSetup.size;
+    pageOrientationSelect.value = pageSetup.orientation;
+    pageMarginsSelect.value = pageSetup.margins;
+    Object.entries(runningItemSelects).forEach(([item, select]) => {
+        select.value = pageSetup.header.includes(item) ? 'header' : (pageSetup.footer.includes(item) ? 'footer' : '');
+    });
+    confidentialityNoteInput.value = pageSetup.confidentialityNote;
+}
+
+pageSizeSelect.addEventListener('change', function () {
+    setPreference('pageSize', this.value);
+});
+
+pageOrientationSelect.addEventListener('change', function () {
+    setPreference('pageOrientation', this.value);
+});
+
+pageMarginsSelect.addEventListener('change', function () {
+    setPreference('pageMargins', this.value);
+});
+
+Object.values(runningItemSelects).forEach(select => {
+    select.addEventListener('change', function () {
+        const items = position => RUNNING_ITEMS.filter(item => runningItemSelects[item].value === position);
+        setPreference('pageHeader', items('header'));
+        setPreference('pageFooter', items('footer'));
+    });
+});
+
+confidentialityNoteInput.addEventListener('input', function () {
+    setPreference('confidentialityNote', this.value.trim());
+});
+
+// ============================================
+// REPORT NUMBERS & FILE NAMES
+// ============================================
+// The numbering scheme and the next number are preferences, so the sequence
+// carries on between sessions. A report left without a number is given the
+// next one when it is first downloaded; until then the preview shows the
+// number it will get. A number typed into the form is kept as it is.
+
+// Most digits {number} can be padded to
+const MAX_REPORT_NUMBER_DIGITS = 10;
+
+/**
+ * Writes the number the next report will be given
+ * @returns {string} e.g. "RPT-2024-0007" ('' when numbering is off)
+ */
+function getPendingReportNumber() {
+    if (!preferences.reportNumbering) return '';
+
+    return formatReportNumber(preferences.reportNumberFormat, {
+        prefix: preferences.reportNumberPrefix,
+        sequence: preferences.nextReportNumber,
+        digits: preferences.reportNumberDigits,
+        date: new Date()
+    });
+}
+
+/**
+ * Gives the report in the form the number it was rendered with if it has
+ * none, and moves the sequence on. Called once a rendered report leaves the
+ * app, so a report that fails to render doesn't use up a number.
+ * @param {string} reportNumber - Number the report was rendered with (its model's reportNumber)
+ * @returns {string} The number given ('' if the form already had one or numbering is off)
+ */
+function claimReportNumber(reportNumber) {
+    if (!reportNumber || reportNumberInput.value.trim()) return '';
+
+    reportNumberInput.value = reportNumber;
+    // Another tab may have moved the sequence on since this one read it
+    preferences = loadPreferences();
+    setPreference('nextReportNumber', preferences.nextReportNumber + 1);
+    renderReportNumbering();
+    scheduleDraftSave();
+    return reportNumber;
+}
+
+/**
+ * Shows the saved numbering scheme, and the next number as the Report Number placeholder
+ */
+function renderReportNumbering() {
+    reportNumberingCheckbox.checked = preferences.reportNumbering;
+    reportNumberPrefixInput.value = preferences.reportNumberPrefix;
+    reportNumberFormatInput.value = preferences.reportNumberFormat;
+    reportNumberDigitsInput.value = String(preferences.reportNumberDigits);
+    nextReportNumberInput.value = String(preferences.nextReportNumber);
+    filenamePatternInput.value = preferences.filenamePattern;
+    renderPendingReportNumber();
+}
+
+/**
+ * Shows the number the report will be given in the empty Report Number field
+ */
+function renderPendingReportNumber() {
+    const reportNumber = getPendingReportNumber();
+    reportNumberInput.placeholder = reportNumber
+        ? t('{number} (given when the report is downloaded)', { number: reportNumber })
+        : t('Enter report number');
+}
+
+/**
+ * Reads a whole number typed into a number field
+ * @param {HTMLInputElement} input - Number field
+ * @param {number} min - Lowest allowed
+ * @param {number} max - Highest allowed
+ * @returns {number|null} The number, within min and max (null if nothing usable was typed)
+ */
+function readWholeNumber(input, min, max) {
+    const value = parseInt(input.value, 10);
+    return Number.isNaN(value) ? null : Math.min(max, Math.max(min, value));
+}
+
+reportNumberingCheckbox.addEventListener('change', function () {
+    setPreference('reportNumbering', this.checked);
+    renderPendingReportNumber();
+});
+
+reportNumberPrefixInput.addEventListener('input', function () {
+    setPreference('reportNumberPrefix', this.value.trim());
+    renderPendingReportNumber();
+});
+
+reportNumberFormatInput.addEventListener('input', function () {
+    setPreference('reportNumberFormat', this.value.trim() || DEFAULT_REPORT_NUMBER_FORMAT);
+    renderPendingReportNumber();
+});
+
+// Number fields are read once typing is finished, then shown as saved
+reportNumberDigitsInput.addEventListener('change', function () {
+    const digits = readWholeNumber(this, 1, MAX_REPORT_NUMBER_DIGITS);
+    if (digits !== null) {
+        setPreference('reportNumberDigits', digits);
+    }
+    renderReportNumbering();
+});
+
+nextReportNumberInput.addEventListener('change', function () {
+    const next = readWholeNumber(this, 1, Number.MAX_SAFE_INTEGER);
+    if (next !== null) {
+        setPreference('nextReportNumber', next);
+    }
+    renderReportNumbering();
+});
+
+filenamePatternInput.addEventListener('input', function () {
+    setPreference('filenamePattern', this.value.trim() || DEFAULT_FILENAME_PATTERN);
+});
+
+// Another tab numbered a report or changed a setting: take up its
+// preferences, so this tab neither offers the same number nor saves its
+// older copy over them
+window.addEventListener('storage', function (event) {
+    if (event.key !== PREFERENCES_KEY) return;
+
+    preferences = loadPreferences();
+    renderReportNumbering();
+    schedulePreviewRefresh();
+});
+
+// ============================================
+// SIGN-OFF SIGNATURES
+// ============================================
+
+/**
+ * How Signing Works:
+ * - Each signatory has a canvas pad drawn on with a mouse, finger or stylus,
+ *   plus a printed name and date
+ * - The inspector always signs; the client/attendee signature is optional
+ *   and is labelled with the role from the Attendance field
+ * - Finished strokes are stored as a PNG data URL with the inspection
+ *   (drafts, saved reports and project files) and printed on the last page
+ */
+
+// Pixel size of the signature pads (CSS scales them to the page width)
+const SIGNATURE_WIDTH = 600;
+const SIGNATURE_HEIGHT = 200;
+
+// Form elements of each signatory
+const SIGNATORIES = {
+    inspector: {
+        canvas: document.getElementById('inspectorSignaturePad'),
+        nameInput: document.getElementById('inspectorSignatureName'),
+        dateInput: document.getElementById('inspectorSignatureDate'),
+        clearBtn: document.getElementById('clearInspectorSignatureBtn')
+    },
+    client: {
+        canvas: document.getElementById('clientSignaturePad'),
+        nameInput: document.getElementById('clientSignatureName'),
+        dateInput: document.getElementById('clientSignatureDate'),
+        clearBtn: document.getElementById('clearClientSignatureBtn')
+    }
+};
+
+const clientSignatureEnabledCheckbox = document.getElementById('clientSignatureEnabled');
+const clientSignatureFields = document.getElementById('clientSignatureFields');
+const clientSignatureRoleSpan = document.getElementById('clientSignatureRole');
+
+// Signature images by signatory ('' = not signed)
+let signatureImages = { inspector: '', client: '' };
+
+// Pad being drawn on: { role, lastPoint }
+let activeSignatureStroke = null;
+
+/**
+ * Gets the role printed for the client/attendee signature
+ * @returns {string} Role, e.g. "Owner"
+ */
+function getAttendeeRole() {
+    return ATTENDEE_ROLES[getFieldValue('attendance')] || 'Client';
+}
+
+/**
+ * Captures the signatures and their printed names and dates
+ * @returns {Object} { inspector, client } with name, date and image, plus client.enabled
+ */
+function collectSignatures() {
+    const signatures = {};
+    Object.keys(SIGNATORIES).forEach(role => {
+        signatures[role] = {
+            name: SIGNATORIES[role].nameInput.value,
+            date: SIGNATORIES[role].dateInput.value,
+            image: signatureImages[role]
+        };
+    });
+    signatures.client.enabled = clientSignatureEnabledCheckbox.checked;
+    return signatures;
+}
+
+/**
+ * Loads signatures into the pads, clearing any that are missing
+ * @param {Object} [signatures] - As returned by collectSignatures
+ */
+function applySignatures(signatures) {
+    Object.keys(SIGNATORIES).forEach(role => {
+        const signature = (signatures && signatures[role]) || {};
+        SIGNATORIES[role].nameInput.value = typeof signature.name === 'string' ? signature.name : '';
+        SIGNATORIES[role].dateInput.value = typeof signature.date === 'string' ? signature.date : '';
+        signatureImages[role] = isImageDataUrl(signature.image) ? signature.image : '';
+        renderSignaturePad(role);
+    });
+
+    clientSignatureEnabledCheckbox.checked = Boolean(signatures && signatures.client && signatures.client.enabled);
+    renderClientSignatureOptions();
+}
+
+/**
+ * Redraws a pad from its stored signature
+ * @param {string} role - Key of SIGNATORIES
+ */
+async function renderSignaturePad(role) {
+    const { canvas, clearBtn } = SIGNATORIES[role];
+    const ctx = canvas.getContext('2d');
+    const image = signatureImages[role];
+
+    // A white background keeps the saved PNG opaque
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    canvas.classList.toggle('signed', Boolean(image));
+    clearBtn.disabled = !image;
+
+    if (image) {
+        try {
+            const img = await loadImage(image);
+            // Another signature may have been loaded while this one decoded
+            if (signatureImages[role] === image) {
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            }
+        } catch (error) {
+            console.error('Signature Load Error:', error);
+        }
+    }
+}
+
+/**
+ * Shows or hides the client/attendee signature and updates its role label
+ */
+function renderClientSignatureOptions() {
+    clientSignatureFields.hidden = !clientSignatureEnabledCheckbox.checked;
+    clientSignatureRoleSpan.textContent = t(getAttendeeRole());
+}
+
+/**
+ * Converts a pointer position to pad pixel coordinates
+ * @param {HTMLCanvasElement} canvas - Signature pad
+ * @param {PointerEvent} e - Pointer event
+ * @returns {{x: number, y: number}} Point on the pad
+ */
+function getSignaturePoint(canvas, e) {
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (e.clientX - rect.left) * canvas.width / rect.width,
+        y: (e.clientY - rect.top) * canvas.height / rect.height
+    };
+}
+
+/**
+ * Stores what is on a pad once a stroke ends, dating the signature if needed
+ * @param {string} role - Key of SIGNATORIES
+ */
+function saveSignaturePad(role) {
+    const { canvas, dateInput, clearBtn } = SIGNATORIES[role];
+    signatureImages[role] = canvas.toDataURL('image/png');
+    canvas.classList.add('signed');
+    clearBtn.disabled = false;
+
+    if (!dateInput.value) {
+        dateInput.value = getTodayDateString();
+    }
+    scheduleDraftSave();
+}
+
+/**
+ * Clears a signature
+ * @param {string} role - Key of SIGNATORIES
+ */
+function clearSignature(role) {
+    signatureImages[role] = '';
+    renderSignaturePad(role);
+    scheduleDraftSave();
+}
+
+Object.keys(SIGNATORIES).forEach(role => {
+    const { canvas, clearBtn } = SIGNATORIES[role];
+    canvas.width = SIGNATURE_WIDTH;
+    canvas.height = SIGNATURE_HEIGHT;
+
+    canvas.addEventListener('pointerdown', function (e) {
+        if (e.button !== 0) return;
+
+        activeSignatureStroke = { role, lastPoint: getSignaturePoint(canvas, e) };
+        canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
+    });
+
+    canvas.addEventListener('pointermove', function (e) {
+        if (!activeSignatureStroke || activeSignatureStroke.role !== role) return;
+
+        const point = getSignaturePoint(canvas, e);
+        const ctx = canvas.getContext('2d');
+
+        // Stylus pressure varies the line; mouse and touch draw a steady line
+        ctx.lineWidth = e.pointerType === 'pen' && e.pressure > 0 ? 1.5 + e.pressure * 3 : 3;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.strokeStyle = '#1a202c';
+        ctx.beginPath();
+        ctx.moveTo(activeSignatureStroke.lastPoint.x, activeSignatureStroke.lastPoint.y);
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+
+        activeSignatureStroke.lastPoint = point;
+        activeSignatureStroke.drawn = true;
+    });
+
+    const endStroke = function () {
+        if (!activeSignatureStroke || activeSignatureStroke.role !== role) return;
+
+        const drawn = activeSignatureStroke.drawn;
+        activeSignatureStroke = null;
+        if (drawn) {
+            saveSignaturePad(role);
+        }
+    };
+    canvas.addEventListener('pointerup', endStroke);
+    canvas.addEventListener('pointercancel', endStroke);
+
+    clearBtn.addEventListener('click', () => clearSignature(role));
+});
+
+clientSignatureEnabledCheckbox.addEventListener('change', renderClientSignatureOptions);
+document.getElementById('attendance').addEventListener('change', renderClientSignatureOptions);
+
+// ============================================
+// PDF GENERATION
+// ============================================
+
+/**
+ * Shows a message in a status box (generation or preview)
+ * @param {HTMLElement} element - Status box
+ * @param {string} message - Status message
+ * @param {string} type - Status type (loading, success, warning, error)
+ * @param {string[]} [details] - Individual problems, listed under the message
+ */
+function showStatusMessage(element, message, type, details = []) {
+    element.textContent = message;
+    if (details.length > 0) {
+        const list = document.createElement('ul');
+        list.className = 'generation-status-details';
+        details.forEach(detail => {
+            const item = document.createElement('li');
+            item.textContent = detail;
+            list.appendChild(item);
+        });
+        element.appendChild(list);
+    }
+    element.className = 'generation-status show ' + type;
+}
+
+/**
+ * Updates the generation status display
+ * @param {string} message - Status message
+ * @param {string} type - Status type (loading, success, warning, error)
+ * @param {string[]} [details] - Individual problems, listed under the message
+ */
+function updateStatus(message, type, details = []) {
+    showStatusMessage(generationStatus, message, type, details);
+}
+
+/**
+ * Hides the generation status
+ */
+function hideStatus() {
+    generationStatus.className = 'generation-status';
+}
+
+// Rough size (bytes) of the PDF without photos: fonts, text, charts
+const PDF_BASE_SIZE = 40 * 1024;
+// Rough size (bytes) of the text and drawing for one defect
+const PDF_SIZE_PER_DEFECT = 3 * 1024;
+// Above this the estimate suggests choosing a smaller photo size
+const PDF_LARGE_SIZE = 15 * 1024 * 1024;
+
+/**
+ * Formats a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "850 KB" or "4.2 MB"
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024 * 1024) {
+        return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Estimates the size of the PDF from the photos it will embed. Photos are
+ * embedded as-is, so their decoded size is almost the whole file.
+ * @param {Object[]} defectList - Defects in report order
+ * @returns {{ bytes: number, photos: number }} Estimated size and photo count
+ */
+function estimatePdfSize(defectList) {
+    let bytes = PDF_BASE_SIZE;
+    let photos = 0;
+    defectList.forEach(defect => {
+        bytes += PDF_SIZE_PER_DEFECT;
+        defect.images.concat(defect.afterImages || []).forEach(img => {
+            const base64Length = img.data.length - img.data.indexOf(',') - 1;
+            bytes += Math.round(base64Length * 3 / 4);
+            photos++;
+        });
+    });
+    return { bytes, photos };
+}
+
+/**
+ * Shows the estimated PDF size next to the Generate button
+ */
+function updatePdfSizeEstimate() {
+    if (defects.length === 0) {
+        pdfSizeEstimate.textContent = '';
+        return;
+    }
+
+    const { bytes, photos } = estimatePdfSize(defects);
+    let message = t(photos === 1 ? 'Estimated PDF size: about {size} ({count} photo).' : 'Estimated PDF size: about {size} ({count} photos).',
+        { size: formatFileSize(bytes), count: photos });
+    if (bytes > PDF_LARGE_SIZE) {
+        message += ' ' + t('Large files can be hard to email - choose a smaller photo size before adding photos.');
+    }
+    pdfSizeEstimate.textContent = message;
+}
+
+/**
+ * Decodes the first bytes of a base64 data URL
+ * @param {string} dataUrl - Image data URL
+ * @param {number} byteCount - Number of bytes wanted
+ * @returns {Uint8Array} Up to byteCount bytes (empty if not base64)
+ */
+function readDataUrlBytes(dataUrl, byteCount) {
+    const comma = dataUrl.indexOf(',');
+    if (comma < 0 || !dataUrl.slice(0, comma).endsWith(';base64')) {
+        return new Uint8Array(0);
+    }
+
+    // Whole base64 groups only, so atob never sees a truncated quantum
+    const chunk = dataUrl.slice(comma + 1, comma + 1 + Math.ceil(byteCount / 3) * 4);
+    try {
+        return Uint8Array.from(atob(chunk), char => char.charCodeAt(0));
+    } catch (error) {
+        return new Uint8Array(0);
+    }
+}
+
+/**
+ * Identifies an image format from its magic bytes, falling back to the
+ * type declared in the data URL only when the data isn't base64. The declared
+ * type alone can't be trusted: files are often misnamed.
+ * @param {string} dataUrl - Image data URL
+ * @returns {string|null} 'JPEG', 'PNG', 'WEBP', 'GIF', 'BMP', 'HEIC', 'AVIF', another declared type, or null
+ */
+function detectImageFormat(dataUrl) {
+    const bytes = readDataUrlBytes(dataUrl, 12);
+    const ascii = (start, end) => String.fromCharCode(...bytes.slice(start, end));
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+        return 'JPEG';
+    }
+    if (ascii(0, 8) === '\x89PNG\r\n\x1a\n') {
+        return 'PNG';
+    }
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+        return 'WEBP';
+    }
+    if (ascii(0, 4) === 'GIF8') {
+        return 'GIF';
+    }
+    if (ascii(0, 2) === 'BM') {
+        return 'BMP';
+    }
+    // ISO media file ("ftyp" box): HEIC/HEIF from phones, or AVIF
+    if (ascii(4, 8) === 'ftyp') {
+        return ascii(8, 12) === 'avif' ? 'AVIF' : 'HEIC';
+    }
+
+    if (bytes.length >= 3) {
+        return null;
+    }
+    const declared = /^data:image\/([\w.+-]+)/i.exec(dataUrl);
+    return declared ? declared[1].toUpperCase().replace(/^JPG$/, 'JPEG') : null;
+}
+
+/**
+ * Checks whether a PNG may contain transparency: an alpha channel in the
+ * colour type, or a tRNS chunk before the image data
+ * @param {string} dataUrl - PNG data URL
+ * @returns {boolean} True if the PNG has (or might have) transparent pixels
+ */
+function pngHasTransparency(dataUrl) {
+    const bytes = readDataUrlBytes(dataUrl, 4096);
+    const colorType = bytes[25];
+    if (colorType === 4 || colorType === 6) {
+        return true;
+    }
+
+    // Walk the chunks: 4-byte length, 4-byte type, data, 4-byte CRC
+    let offset = 8;
+    while (offset + 8 <= bytes.length) {
+        const length = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+        const type = String.fromCharCode(...bytes.slice(offset + 4, offset + 8));
+        if (type === 'tRNS') {
+            return true;
+        }
+        if (type === 'IDAT') {
+            return false;
+        }
+        offset += 12 + length;
+    }
+    // Ran out of header bytes before the image data: assume the worst
+    return true;
+}
+
+/**
+ * Decodes an image in the browser, with a message that says why it failed
+ * @param {string} dataUrl - Image data URL
+ * @param {string|null} format - Format from detectImageFormat
+ * @returns {Promise<HTMLImageElement>} The loaded image
+ * @throws {Error} If the image can't be decoded or has no size
+ */
+async function decodeImage(dataUrl, format) {
+    let img;
+    try {
+        img = await loadImage(dataUrl);
+    } catch (error) {
+        if (!format) {
+            throw new Error('not a recognised image format');
+        }
+        if (format === 'JPEG' || format === 'PNG') {
+            throw new Error(`the ${format} data is damaged`);
+        }
+        throw new Error(`this browser cannot open ${format} images - convert the photo to JPEG first`);
+    }
+
+    if (!img.naturalWidth || !img.naturalHeight) {
+        throw new Error('the image has no size');
+    }
+    return img;
+}
+
+/**
+ * Redraws an image on a white background, removing any transparency
+ * @param {HTMLImageElement} img - Loaded image
+ * @param {string} mimeType - Output type ('image/png' or 'image/jpeg')
+ * @param {number} [quality] - JPEG quality (0-1)
+ * @returns {string} Data URL of the flattened image
+ */
+function flattenImage(img, mimeType, quality) {
+    const canvas = document.createElement('canvas');
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0);
+
+    const data = canvas.toDataURL(mimeType, quality);
+    canvas.width = 0;
+    canvas.height = 0;
+    return data;
+}
+
+/**
+ * Gets an image ready for doc.addImage. JPEGs are embedded as they are.
+ * PNGs are embedded as PNG, flattened onto white first if transparent (so
+ * transparent areas don't print black in some viewers). Anything else the
+ * browser can decode is converted to JPEG.
+ * @param {string} dataUrl - Image data URL
+ * @returns {Promise<Object>} { data, format, width, height } in image pixels
+ * @throws {Error} Describing why the image can't be used
+ */
+async function prepareImageForPdf(dataUrl) {
+    if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) {
+        throw new Error('the image data is missing');
+    }
+
+    const format = detectImageFormat(dataUrl);
+    const img = await decodeImage(dataUrl, format);
+    const size = { width: img.naturalWidth, height: img.naturalHeight };
+
+    if (format === 'JPEG') {
+        return { data: dataUrl, format, ...size };
+    }
+    if (format === 'PNG') {
+        const data = pngHasTransparency(dataUrl) ? flattenImage(img, 'image/png') : dataUrl;
+        return { data, format, ...size };
+    }
+    return { data: flattenImage(img, 'image/jpeg', Number(preferences.imageQuality) || DEFAULT_PREFERENCES.imageQuality), format: 'JPEG', ...size };
+}
+
+/**
+ * Formats the inspection date field for the report ("March 5, 2024", or
+ * "5 March 2024" in en-GB)
+ * @param {string} value - Date in YYYY-MM-DD form
+ * @returns {string} Formatted date
+ */
+function formatInspectionDate(value) {
+    return formatReportDate(value, getDateLocale());
+}
+
+/**
+ * Gets the value of a form field by ID
+ * @param {string} id - Element ID
+ * @returns {string} Field value
+ */
+function getFieldValue(id) {
+    const element = document.getElementById(id);
+    return element ? element.value.trim() : '';
+}
+
+/**
+ * Lists the defect categories from the optgroups in the defect type select
+ * @returns {Object[]} { name, types } per category, in display order
+ */
+function getDefectCategories() {
+    return Array.from(defectTypeSelect.querySelectorAll('optgroup')).map(group => ({
+        name: getOriginalLabel(group),
+        types: Array.from(group.querySelectorAll('option')).map(option => option.value).filter(Boolean)
+    }));
+}
+
+/**
+ * Builds the report model from the form, the defects and the preferences
+ * @returns {Object} Report model (see buildReportModel in report.js)
+ */
+function getReportModel() {
+    const state = collectReportState();
+
+    // An unnumbered report shows the number it will be given when downloaded
+    if (!state.fields.reportNumber.trim()) {
+        state.fields.reportNumber = getPendingReportNumber();
+    }
+
+    return buildReportModel(state, {
+        branding: getBranding(),
+        pageSetup: getPageSetup(),
+        categories: getDefectCategories(),
+        language: preferences.language,
+        dateLocale: getDateLocale()
+    });
+}
+
+/**
+ * Gets the filename the report is downloaded as, from the file name pattern
+ * @param {Object} model - Report model
+ * @param {string} [format] - Key of REPORT_FORMATS (PDF if omitted)
+ * @returns {string} e.g. "Inspection_Report_RPT-2024-0007_Pat Lee_2024-03-05.pdf"
+ */
+function getReportFilename(model, format = DEFAULT_REPORT_FORMAT) {
+    return `${buildReportFilename(preferences.filenamePattern, model)}.${REPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Gives the form the number a rendered report was printed with, if it has
+ * none yet (see claimReportNumber), and names the report's file
+ * @param {Object} model - Model the report was rendered from
+ * @param {string} [format] - Key of REPORT_FORMATS (PDF if omitted)
+ * @returns {string} Filename to download the report as
+ */
+function claimReportFilename(model, format = DEFAULT_REPORT_FORMAT) {
+    claimReportNumber(model.reportNumber);
+    return getReportFilename(model, format);
+}
+
+/**
+ * Gets the format chosen next to the generate button
+ * @returns {string} Key of REPORT_FORMATS
+ */
+function getReportFormat() {
+    return REPORT_FORMATS[reportFormatSelect.value] ? reportFormatSelect.value : DEFAULT_REPORT_FORMAT;
+}
+
+/**
+ * Renders the report as it is in the form
+ * @param {string} [format] - Key of REPORT_FORMATS (PDF if omitted)
+ * @returns {Promise<Object>} { file: Blob, model, filename, imageErrors, fontErrors }
+ */
+async function renderCurrentReport(format = DEFAULT_REPORT_FORMAT) {
+    // Problems that don't stop the report, listed once it is made
+    const imageErrors = [];
+    const fontErrors = [];
+
+    const model = getReportModel();
+    const file = await renderReport(model, format, {
+        jsPDF: window.jspdf && window.jspdf.jsPDF,
+        prepareImage: prepareImageForPdf,
+        imageErrors: imageErrors,
+        fontErrors: fontErrors
+    });
+    return { file, model, filename: getReportFilename(model, format), imageErrors, fontErrors };
+}
+
+/**
+ * Generates the report in the chosen format and downloads it
+ *
+ * The layouts live in report.js (renderReportPdf) and formats.js (Word,
+ * HTML, CSV, Excel); this handler collects the report model, lets the
+ * browser convert photos jsPDF can't read, and reports what couldn't be added.
+ */
+generatePdfBtn.addEventListener('click', async function () {
+    const format = getReportFormat();
+
+    try {
+        // jsPDF is a local file, but a page saved or cached without it
+        // would otherwise fail with a TypeError below
+        if (format === 'pdf' && !window.jspdf) {
+            updateStatus(t('The PDF library (jsPDF) is not loaded, so the report cannot be generated. Reload the page with a connection, then try again.'), 'error');
+            return;
+        }
+
+        updateStatus(t('Generating report...'), 'loading');
+
+        const { file, model, imageErrors, fontErrors } = await renderCurrentReport(format);
+
+        // Number the report only now that it exists, then download it
+        const filename = claimReportFilename(model, format);
+        downloadBlob(file, filename);
+
+        if (imageErrors.length > 0) {
+            // Leave the list up so the photos can be found and replaced
+            updateStatus(t(imageErrors.length > 1
+                ? 'Report generated, but {count} images could not be added. File: {filename}'
+                : 'Report generated, but {count} image could not be added. File: {filename}',
+            { count: imageErrors.length, filename }), 'warning', [...imageErrors, ...fontErrors]);
+            return;
+        }
+
+        if (fontErrors.length > 0) {
+            updateStatus(t('Report generated, but some characters could not be printed. File: {filename}', { filename }), 'warning', fontErrors);
+            return;
+        }
+
+        updateStatus(t('Report generated successfully! File: {filename}', { filename }), 'success');
+
+        // Hide status after 5 seconds
+        setTimeout(hideStatus, 5000);
+
+    } catch (error) {
+        console.error('Report Generation Error:', error);
+        updateStatus(t('Error generating report: {error}', { error: error.message }), 'error');
+    }
+});
+
+reportFormatSelect.addEventListener('change', function () {
+    setPreference('reportFormat', getReportFormat());
+});
+
+// ============================================
+// PDF PREVIEW
+// ============================================
+
+/**
+ * How the Preview Works:
+ * - The report is rendered exactly as "Generate Report" renders a PDF and
+ *   shown in an iframe through an object URL, so the browser's own PDF
+ *   viewer displays it
+ * - While the pane is open, every edit (anything that schedules a draft
+ *   save) re-renders it PREVIEW_REFRESH_DELAY after the last change. With
+ *   "Refresh after edits" off, the pane only says it is out of date.
+ * - Rendering takes a moment with many photos, so an edit made meanwhile
+ *   queues one more pass instead of starting a second render
+ * - Download and Open in New Tab use the PDF on screen: what was checked
+ *   is what gets sent
+ */
+
+// Delay (ms) between the last edit and the preview re-rendering
+const PREVIEW_REFRESH_DELAY = 1500;
+
+// PDF shown in the pane: { pdf, model, filename, url } (null = none)
+let previewReport = null;
+
+let previewRefreshTimer = null;
+
+// Set while a preview renders; an edit meanwhile sets previewOutdated
+let previewRendering = false;
+let previewOutdated = false;
+
+/**
+ * Checks whether the preview pane is open
+ * @returns {boolean} True if open
+ */
+function isPreviewOpen() {
+    return !pdfPreviewPane.hidden;
+}
+
+/**
+ * Shows a rendered PDF in the pane, releasing the one shown before
+ * @param {Object|null} report - { file, model, filename } from renderCurrentReport, or null to clear the pane
+ */
+function setPreviewReport(report) {
+    if (previewReport) {
+        URL.revokeObjectURL(previewReport.url);
+    }
+    previewReport = report
+        ? { pdf: report.file, model: report.model, filename: report.filename, url: URL.createObjectURL(report.file) }
+        : null;
+
+    pdfPreviewFrame.src = previewReport ? previewReport.url : 'about:blank';
+    pdfPreviewFilename.textContent = previewReport ? previewReport.filename : '';
+    downloadPdfPreviewBtn.disabled = !previewReport;
+    openPdfPreviewBtn.disabled = !previewReport;
+}
+
+/**
+ * Renders the report into the preview pane
+ */
+async function refreshPreview() {
+    clearTimeout(previewRefreshTimer);
+    if (!isPreviewOpen()) return;
+
+    if (previewRendering) {
+        previewOutdated = true;
+        return;
+    }
+
+    if (!window.jspdf) {
+        showStatusMessage(pdfPreviewStatus, t('The PDF library (jsPDF) is not loaded, so the report cannot be generated. Reload the page with a connection, then try again.'), 'error');
+        return;
+    }
+
+    previewRendering = true;
+    previewOutdated = false;
+    showStatusMessage(pdfPreviewStatus, t('Updating preview...'), 'loading');
+
+    try {
+        const report = await renderCurrentReport();
+
+        // Closed while rendering
+        if (!isPreviewOpen()) return;
+
+        setPreviewReport(report);
+        const problems = [...report.imageErrors, ...report.fontErrors];
+        const time = new Date().toLocaleTimeString(getDateLocale());
+        if (problems.length > 0) {
+            showStatusMessage(pdfPreviewStatus, t('Preview updated at {time}, but some content could not be added:', { time }), 'warning', problems);
+        } else {
+            showStatusMessage(pdfPreviewStatus, t('Preview updated at {time}.', { time }), 'success');
+        }
+    } catch (error) {
+        console.error('Preview Error:', error);
+        showStatusMessage(pdfPreviewStatus, t('The preview could not be generated: {error}', { error: error.message }), 'error');
+    } finally {
+        previewRendering = false;
+    }
+
+    if (previewOutdated) {
+        schedulePreviewRefresh();
+    }
+}
+
+/**
+ * Re-renders the open preview shortly after an edit, or marks it as out of
+ * date when automatic refreshing is off
+ */
+function schedulePreviewRefresh() {
+    if (!isPreviewOpen()) return;
+
+    clearTimeout(previewRefreshTimer);
+    if (previewRendering) {
+        previewOutdated = true;
+    } else if (preferences.previewAutoRefresh) {
+        previewRefreshTimer = setTimeout(refreshPreview, PREVIEW_REFRESH_DELAY);
+    } else {
+        showStatusMessage(pdfPreviewStatus, t('The report has changed since this preview. Click Refresh to update it.'), 'warning');
+    }
+}
+
+/**
+ * Opens the preview pane beside the form and renders the report
+ */
+function openPreview() {
+    pdfPreviewPane.hidden = false;
+    document.body.classList.add('previewing');
+    pdfPreviewAutoRefreshCheckbox.checked = preferences.previewAutoRefresh;
+    previewPdfBtn.setAttribute('aria-expanded', 'true');
+    refreshPreview();
+}
+
+/**
+ * Closes the preview pane and frees the PDF it was showing
+ */
+function closePreview() {
+    clearTimeout(previewRefreshTimer);
+    previewOutdated = false;
+    pdfPreviewPane.hidden = true;
+    document.body.classList.remove('previewing');
+    previewPdfBtn.setAttribute('aria-expanded', 'false');
+    setPreviewReport(null);
+    pdfPreviewStatus.className = 'generation-status';
+    previewPdfBtn.focus();
+}
+
+// With the pane open the button brings the preview up to date
+previewPdfBtn.addEventListener('click', function () {
+    if (isPreviewOpen()) {
+        refreshPreview();
+    } else {
+        openPreview();
+    }
+});
+
+refreshPdfPreviewBtn.addEventListener('click', refreshPreview);
+closePdfPreviewBtn.addEventListener('click', closePreview);
+
+// The preview already shows the number an unnumbered report is given here
+downloadPdfPreviewBtn.addEventListener('click', function () {
+    if (previewReport) {
+        downloadBlob(previewReport.pdf, claimReportFilename(previewReport.model));
+    }
+});
+
+openPdfPreviewBtn.addEventListener('click', function () {
+    if (previewReport) {
+        claimReportNumber(previewReport.model.reportNumber);
+        window.open(previewReport.url, '_blank');
+    }
+});
+
+pdfPreviewAutoRefreshCheckbox.addEventListener('change', function () {
+    setPreference('previewAutoRefresh', this.checked);
+    if (this.checked) {
+        refreshPreview();
+    }
+});
+
+// ============================================
+// DRAFT PERSISTENCE (IndexedDB)
+// ============================================
+
+/**
+ * How Draft Saving Works:
+ * 1. Any input in the form (or change to the defect list) schedules a save
+ * 2. Saves are debounced so typing doesn't write on every keystroke
+ * 3. The whole inspection, including base64 images, is stored as one record
+ *    in IndexedDB (localStorage is far too small for photos)
+ * 4. On page load the draft is read back and the UI is re-rendered from it
+ * 5. Each tab keeps its own draft, so two inspections open side by side
+ *    don't overwrite each other. The draft's key is kept in sessionStorage
+ *    (it survives reloading the tab), and an open tab holds a Web Lock
+ *    named after it. A new tab takes over the newest draft no open tab
+ *    holds, so work left in a closed or crashed tab comes back.
+ */
+
+// Report fields, as saved with the inspection and read into the report model
+const REPORT_FIELD_IDS = [
+    'companyName', 'companyPhone', 'companyEmail', 'reportTitle', 'reportNumber',
+    'clientName', 'inspectionDate', 'clientAddress', 'inspectorName', 'inspectorCredentials',
+    'attendance', 'occupancy', 'buildingType', 'weatherCondition',
+    'disclaimer', 'photoLayout'
+];
+
+// Fields of the "Add New Defect" form, so a half-entered defect survives too
+const DEFECT_ENTRY_FIELD_IDS = ['defectType', 'customDefectType', 'defectDescription', ...Object.values(DEFECT_DETAIL_FIELDS)];
+
+const DB_NAME = 'defectpro';
+const DB_VERSION = 3;
+const DRAFT_STORE = 'drafts';
+const REPORTS_STORE = 'reports';
+const TEMPLATES_STORE = 'templates';
+// Draft key of this tab, in sessionStorage
+const DRAFT_KEY_STORAGE = 'defectpro.draftKey';
+// Web Lock held while a tab uses a draft (followed by the draft key)
+const DRAFT_LOCK_PREFIX = 'defectpro-draft-';
+// The one draft shared by every tab before drafts were kept per tab, and
+// still used where Web Locks aren't supported
+const SHARED_DRAFT_KEY = 'current';
+
+// Delay (ms) between the last edit and the draft being written
+const DRAFT_SAVE_DELAY = 500;
+
+let dbPromise = null;
+let draftSaveTimer = null;
+
+// { key, restoreKey } once chosen: the key this tab saves under, and the
+// draft it starts from (another tab's when the tab was duplicated)
+let draftKeysPromise = null;
+
+// Set while a draft is being applied so the restore itself doesn't trigger saves
+let isRestoringDraft = false;
+
+/**
+ * Opens (and creates/upgrades if needed) the app database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = function () {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(DRAFT_STORE)) {
+                    db.createObjectStore(DRAFT_STORE);
+                }
+                if (!db.objectStoreNames.contains(REPORTS_STORE)) {
+                    db.createObjectStore(REPORTS_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+                if (!db.objectStoreNames.contains(TEMPLATES_STORE)) {
+                    db.createObjectStore(TEMPLATES_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against an object store and waits for the transaction
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store and returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runStoreRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Reads the raw (untrimmed) values of the given fields
+ * @param {string[]} ids - Element IDs
+ * @returns {Object} Map of ID to value
+ */
+function readFieldValues(ids) {
+    const values = {};
+    ids.forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            values[id] = element.value;
+        }
+    });
+    return values;
+}
+
+/**
+ * Writes values back into form fields, skipping unknown IDs
+ * @param {Object} values - Map of ID to value
+ */
+function writeFieldValues(values) {
+    Object.keys(values || {}).forEach(id => {
+        const element = document.getElementById(id);
+        if (element && typeof values[id] === 'string') {
+            element.value = values[id];
+        }
+    });
+}
+
+/**
+ * Restores fields to the values they have in index.html
+ * @param {string[]} ids - Element IDs
+ */
+function resetFieldValues(ids) {
+    ids.forEach(id => {
+        const element = document.getElementById(id);
+        if (!element) return;
+
+        if (element.tagName === 'SELECT') {
+            const defaultOption = Array.from(element.options).find(option => option.defaultSelected);
+            element.value = defaultOption ? defaultOption.value : '';
+        } else {
+            element.value = element.defaultValue;
+        }
+    });
+}
+
+/**
+ * Captures the current inspection (report fields and defects) as plain data
+ * @returns {Object} Report state
+ */
+function collectReportState() {
+    return {
+        fields: readFieldValues(REPORT_FIELD_IDS),
+        defects: defects,
+        defectCounter: defectCounter,
+        signatures: collectSignatures(),
+        followUp: followUp
+    };
+}
+
+/**
+ * Loads an inspection into the form and re-renders the defect list
+ * @param {Object} state - Report state as returned by collectReportState
+ */
+function applyReportState(state) {
+    resetFieldValues(REPORT_FIELD_IDS);
+    writeFieldValues(state.fields);
+    applySignatures(state.signatures);
+
+    defects = Array.isArray(state.defects) ? state.defects.map(normalizeDefect) : [];
+    followUp = state.followUp || null;
+
+    // Never hand out an ID that is already in use
+    const highestId = defects.reduce((max, d) => Math.max(max, d.id || 0), 0);
+    defectCounter = Math.max(state.defectCounter || 0, highestId);
+
+    renderDefects();
+}
+
+/**
+ * Shows the autosave state next to the discard button
+ * @param {string} message - Status message
+ */
+function updateDraftStatus(message) {
+    draftStatus.textContent = message;
+}
+
+/**
+ * Schedules a debounced draft save
+ */
+function scheduleDraftSave() {
+    // Anything worth saving shows in the PDF too
+    schedulePreviewRefresh();
+    if (isRestoringDraft) return;
+
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = setTimeout(saveDraft, DRAFT_SAVE_DELAY);
+}
+
+/**
+ * Holds the Web Lock for a draft until the tab closes
+ * @param {string} key - Draft key
+ * @returns {Promise<boolean>} False if another tab holds it
+ */
+function holdDraftLock(key) {
+    return new Promise(resolve => {
+        navigator.locks.request(DRAFT_LOCK_PREFIX + key, { ifAvailable: true }, lock => {
+            resolve(lock !== null);
+            // Never settles, so the lock is released only when the tab closes
+            return lock ? new Promise(() => {}) : undefined;
+        });
+    });
+}
+
+/**
+ * Works out which draft this tab uses (see "How Draft Saving Works")
+ * @returns {Promise<Object>} { key, restoreKey }
+ */
+async function chooseDraftKeys() {
+    if (!navigator.locks) {
+        return { key: SHARED_DRAFT_KEY, restoreKey: SHARED_DRAFT_KEY };
+    }
+
+    let storedKey = null;
+    try {
+        storedKey = sessionStorage.getItem(DRAFT_KEY_STORAGE);
+    } catch (error) {
+        console.error('Draft Key Error:', error);
+    }
+
+    // A reloaded tab carries on with its draft. A duplicated tab finds its
+    // key held by the original, and continues from a copy of that draft.
+    let keys = null;
+    if (storedKey && await holdDraftLock(storedKey)) {
+        keys = { key: storedKey, restoreKey: storedKey };
+    }
+
+    // A new tab takes over the newest draft left by a closed tab
+    if (!keys && !storedKey) {
+        try {
+            const held = new Set((await navigator.locks.query()).held.map(lock => lock.name));
+            const draftKeys = await runStoreRequest(DRAFT_STORE, 'readonly', store => store.getAllKeys());
+            const drafts = await runStoreRequest(DRAFT_STORE, 'readonly', store => store.getAll());
+            const unused = draftKeys
+                .map((key, index) => ({ key, savedAt: (drafts[index] && drafts[index].savedAt) || '' }))
+                .filter(draft => !held.has(DRAFT_LOCK_PREFIX + draft.key))
+                .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+            for (const draft of unused) {
+                // Another new tab may have taken it meanwhile
+                if (await holdDraftLock(draft.key)) {
+                    keys = { key: draft.key, restoreKey: draft.key };
+                    break;
+                }
+            }
+        } catch (error) {
+            console.error('Draft Key Error:', error);
+        }
+    }
+
+    if (!keys) {
+        const key = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        await holdDraftLock(key);
+        keys = { key: key, restoreKey: storedKey };
+    }
+
+    try {
+        sessionStorage.setItem(DRAFT_KEY_STORAGE, keys.key);
+    } catch (error) {
+        console.error('Draft Key Error:', error);
+    }
+    return keys;
+}
+
+/**
+ * Gets the draft this tab uses, choosing it on first use
+ * @returns {Promise<Object>} { key, restoreKey } (see chooseDraftKeys)
+ */
+function getDraftKeys() {
+    if (!draftKeysPromise) {
+        draftKeysPromise = chooseDraftKeys();
+    }
+    return draftKeysPromise;
+}
+
+/**
+ * Writes the current inspection, including the defect being entered, to IndexedDB
+ */
+async function saveDraft() {
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = null;
+
+    const draft = collectReportState();
+    draft.entry = {
+        fields: readFieldValues(DEFECT_ENTRY_FIELD_IDS),
+        selectedImages: selectedImages,
+        editingDefectId: editingDefectId
+    };
+    draft.reportId = currentReportId;
+    draft.reportName = reportNameInput.value;
+    draft.savedAt = new Date().toISOString();
+
+    try {
+        const { key } = await getDraftKeys();
+        await runStoreRequest(DRAFT_STORE, 'readwrite', store => store.put(draft, key));
+        updateDraftStatus(t('Draft saved at {time}', { time: new Date(draft.savedAt).toLocaleTimeString(getDateLocale()) }));
+    } catch (error) {
+        console.error('Draft Save Error:', error);
+        updateDraftStatus(t('Draft could not be saved: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Saves immediately if a save is pending (used when the page is being hidden)
+ */
+function flushDraftSave() {
+    if (draftSaveTimer) {
+        saveDraft();
+    }
+}
+
+/**
+ * Loads the saved draft, if any, back into the UI
+ */
+async function restoreDraft() {
+    let draft;
+    try {
+        const { restoreKey } = await getDraftKeys();
+        draft = restoreKey ? await runStoreRequest(DRAFT_STORE, 'readonly', store => store.get(restoreKey)) : undefined;
+    } catch (error) {
+        console.error('Draft Restore Error:', error);
+        updateDraftStatus(t('Autosave unavailable: {error}', { error: error.message }));
+        return;
+    }
+
+    if (!draft) {
+        updateDraftStatus(t('Changes are saved automatically as a draft'));
+        return;
+    }
+
+    isRestoringDraft = true;
+    try {
+        applyReportState(draft);
+        currentReportId = draft.reportId || null;
+        reportNameInput.value = draft.reportName || '';
+
+        const entry = draft.entry || {};
+        writeFieldValues(entry.fields);
+        customDefectInput.style.display = defectTypeSelect.value === 'Other' ? 'block' : 'none';
+        selectedImages = Array.isArray(entry.selectedImages) ? entry.selectedImages : [];
+        renderImagePreviewGallery();
+        setEditingDefect(entry.editingDefectId ?? null);
+        renderDefects();
+    } finally {
+        isRestoringDraft = false;
+    }
+
+    updateDraftStatus(t('Draft restored (last saved {timestamp})', { timestamp: formatDateTime(new Date(draft.savedAt)) }));
+}
+
+/**
+ * Deletes the saved draft and resets the form to a blank inspection
+ */
+async function discardDraft() {
+    if (!confirm(t('Discard this draft? All entered details, defects and images will be cleared.'))) {
+        return;
+    }
+
+    clearTimeout(draftSaveTimer);
+    draftSaveTimer = null;
+
+    try {
+        const { key } = await getDraftKeys();
+        await runStoreRequest(DRAFT_STORE, 'readwrite', store => store.delete(key));
+    } catch (error) {
+        console.error('Draft Discard Error:', error);
+    }
+
+    isRestoringDraft = true;
+    try {
+        clearReportForm();
+    } finally {
+        isRestoringDraft = false;
+    }
+
+    updateDraftStatus(t('Draft discarded'));
+}
+
+/**
+ * Resets the form to a blank, unsaved inspection
+ */
+function clearReportForm() {
+    applyReportState({ fields: {}, defects: [], defectCounter: 0 });
+    setDefaultInspectionDate();
+    currentReportId = null;
+    reportNameInput.value = '';
+
+    resetDefectEntryForm();
+}
+
+// Any edit in the form schedules a save
+reportForm.addEventListener('input', scheduleDraftSave);
+reportForm.addEventListener('change', scheduleDraftSave);
+
+discardDraftBtn.addEventListener('click', discardDraft);
+
+// Don't lose the last few keystrokes when the tab is closed or backgrounded
+window.addEventListener('pagehide', flushDraftSave);
+document.addEventListener('visibilitychange', function () {
+    if (document.visibilityState === 'hidden') {
+        flushDraftSave();
+    }
+});
+
+// ============================================
+// REPORT LIBRARY
+// ============================================
+
+/**
+ * Saved reports live in their own IndexedDB store. Each record holds the
+ * same state as a draft (fields, defects, defectCounter) plus a name and
+ * save time, so reopening one is just applyReportState().
+ */
+
+// ID of the library record the form was opened from (null = not saved yet)
+let currentReportId = null;
+
+/**
+ * Builds the library record for the current form
+ * @param {string} name - Report name
+ * @returns {Object} Library record (without an ID)
+ */
+function buildReportRecord(name) {
+    const record = collectReportState();
+    record.name = name;
+    record.savedAt = new Date().toISOString();
+    return record;
+}
+
+/**
+ * Suggests a report name from the client and address when none is entered
+ * @returns {string} Report name
+ */
+function suggestReportName() {
+    const parts = [getFieldValue('clientName'), getFieldValue('clientAddress').split('\n')[0]]
+        .filter(Boolean);
+    const date = getFieldValue('inspectionDate');
+    if (date) parts.push(date);
+    return parts.length > 0 ? parts.join(' - ') : t('Untitled Inspection');
+}
+
+/**
+ * Saves the current form to the library, updating the record it was opened from
+ */
+async function saveCurrentReport() {
+    const name = reportNameInput.value.trim() || suggestReportName();
+    const record = buildReportRecord(name);
+
+    if (currentReportId !== null) {
+        record.id = currentReportId;
+    }
+
+    try {
+        currentReportId = await runStoreRequest(REPORTS_STORE, 'readwrite', store => store.put(record));
+        reportNameInput.value = name;
+        scheduleDraftSave();
+        await renderSavedReports();
+    } catch (error) {
+        console.error('Report Save Error:', error);
+        alert(t('The report could not be saved: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Checks whether the form holds anything worth warning about before replacing it
+ * @returns {boolean} True if there are defects or client details
+ */
+function formHasContent() {
+    return defects.length > 0 || selectedImages.length > 0 ||
+        ['clientName', 'clientAddress'].some(id => getFieldValue(id));
+}
+
+/**
+ * Loads a saved report into the form
+ * @param {number} id - Library record ID
+ */
+async function openSavedReport(id) {
+    if (formHasContent() && currentReportId !== id &&
+        !confirm(t('Open this report? Unsaved changes to the current form will be lost.'))) {
+        return;
+    }
+
+    try {
+        const record = await runStoreRequest(REPORTS_STORE, 'readonly', store => store.get(id));
+        if (!record) {
+            alert(t('This report no longer exists.'));
+            await renderSavedReports();
+            return;
+        }
+
+        clearReportForm();
+        applyReportState(record);
+        currentReportId = record.id;
+        reportNameInput.value = record.name;
+        scheduleDraftSave();
+        await renderSavedReports();
+
+        document.getElementById('company-section').scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('Report Open Error:', error);
+        alert(t('The report could not be opened: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Copies a saved report as the starting point for a re-inspection and opens the copy
+ * @param {number} id - Library record ID
+ */
+async function duplicateSavedReport(id) {
+    try {
+        const record = await runStoreRequest(REPORTS_STORE, 'readonly', store => store.get(id));
+        if (!record) return;
+
+        // A re-inspection happens today, not on the original date, and is
+        // signed again and numbered as a report of its own
+        const copy = {
+            ...record,
+            name: `${record.name} (Re-inspection)`,
+            fields: { ...record.fields, inspectionDate: getTodayDateString(), reportNumber: '' },
+            savedAt: new Date().toISOString()
+        };
+        delete copy.id;
+        delete copy.signatures;
+
+        const copyId = await runStoreRequest(REPORTS_STORE, 'readwrite', store => store.add(copy));
+        await openSavedReport(copyId);
+    } catch (error) {
+        console.error('Report Duplicate Error:', error);
+        alert(t('The report could not be duplicated: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Copies a saved report as a follow-up inspection and opens the copy. The
+ * defects keep their photos (now the "before" photos) and statuses.
+ * @param {number} id - Library record ID
+ */
+async function startFollowUpReport(id) {
+    try {
+        const record = await runStoreRequest(REPORTS_STORE, 'readonly', store => store.get(id));
+        if (!record) return;
+
+        const fields = record.fields || {};
+        const copy = {
+            ...record,
+            name: `${record.name} (Follow-Up)`,
+            fields: { ...fields, inspectionDate: getTodayDateString(), reportNumber: '' },
+            followUp: { reportName: record.name, inspectionDate: fields.inspectionDate || '' },
+            savedAt: new Date().toISOString()
+        };
+        delete copy.id;
+        delete copy.signatures;
+
+        const copyId = await runStoreRequest(REPORTS_STORE, 'readwrite', store => store.add(copy));
+        await openSavedReport(copyId);
+        document.getElementById('defects-section').scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        console.error('Follow-Up Error:', error);
+        alert(t('The follow-up could not be started: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Deletes a report from the library
+ * @param {number} id - Library record ID
+ */
+async function deleteSavedReport(id) {
+    if (!confirm(t('Delete this saved report? This cannot be undone.'))) {
+        return;
+    }
+
+    try {
+        await runStoreRequest(REPORTS_STORE, 'readwrite', store => store.delete(id));
+
+        // The form keeps its contents but is no longer linked to a saved record
+        if (currentReportId === id) {
+            currentReportId = null;
+            scheduleDraftSave();
+        }
+        await renderSavedReports();
+    } catch (error) {
+        console.error('Report Delete Error:', error);
+        alert(t('The report could not be deleted: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Starts a blank report (the current one stays in the library if it was saved)
+ */
+function startNewReport() {
+    if (formHasContent() && !confirm(t('Start a new report? Unsaved changes to the current form will be lost.'))) {
+        return;
+    }
+
+    clearReportForm();
+    const template = getActiveTemplate();
+    if (template) {
+        applyTemplate(template);
+    }
+    renderSavedReports();
+}
+
+/**
+ * Renders the list of saved reports, newest first
+ */
+async function renderSavedReports() {
+    let records;
+    try {
+        records = await runStoreRequest(REPORTS_STORE, 'readonly', store => store.getAll());
+    } catch (error) {
+        console.error('Report List Error:', error);
+        savedReportsContainer.innerHTML = `<p class="no-defects">${t('Saved reports are unavailable: {error}', { error: escapeHtml(error.message) })}</p>`;
+        return;
+    }
+
+    savedReportCountSpan.textContent = `(${records.length})`;
+    saveReportBtn.textContent = t(currentReportId !== null ? 'Update Saved Report' : 'Save Report');
+
+    if (records.length === 0) {
+        savedReportsContainer.innerHTML = `<p class="no-defects">${t('No saved reports yet. Fill in the form and click "Save Report".')}</p>`;
+        return;
+    }
+
+    records.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+    let html = '';
+    records.forEach(record => {
+        const fields = record.fields || {};
+        const address = (fields.clientAddress || '').split('\n')[0];
+        const defectTotal = Array.isArray(record.defects) ? record.defects.length : 0;
+        const isCurrent = record.id === currentReportId;
+
+        html += `
+            <div class="saved-report-card${isCurrent ? ' current' : ''}" data-id="${record.id}">
+                <div class="saved-report-content">
+                    <div class="saved-report-name">${escapeHtml(record.name)}${isCurrent ? ` <span class="saved-report-badge">${t('status|Open')}</span>` : ''}${record.followUp ? ` <span class="saved-report-badge follow-up">${t('Follow-Up')}</span>` : ''}</div>
+                    <div class="saved-report-meta">
+                        <span><strong>${t('Client:')}</strong> ${escapeHtml(fields.clientName || t('N/A'))}</span>
+                        <span><strong>${t('Address:')}</strong> ${escapeHtml(address || t('N/A'))}</span>
+                        <span><strong>${t('Inspected:')}</strong> ${escapeHtml(fields.inspectionDate ? formatInspectionDate(fields.inspectionDate) : t('N/A'))}</span>
+                        <span><strong>${t('Defects:')}</strong> ${defectTotal}</span>
+                    </div>
+                    <div class="saved-report-saved">${t('Saved {timestamp}', { timestamp: formatDateTime(new Date(record.savedAt)) })}</div>
+                </div>
+                <div class="saved-report-actions">
+                    <button type="button" class="btn btn-secondary" onclick="openSavedReport(${record.id})">${t('Open')}</button>
+                    <button type="button" class="btn btn-secondary" onclick="duplicateSavedReport(${record.id})">${t('Duplicate')}</button>
+                    <button type="button" class="btn btn-secondary" onclick="startFollowUpReport(${record.id})"
+                        title="${t('Open a copy to record which defects have been fixed')}">${t('Follow-Up')}</button>
+                    <button type="button" class="btn btn-danger" onclick="deleteSavedReport(${record.id})">${t('Delete')}</button>
+                </div>
+            </div>
+        `;
+    });
+
+    savedReportsContainer.innerHTML = html;
+}
+
+saveReportBtn.addEventListener('click', saveCurrentReport);
+newReportBtn.addEventListener('click', startNewReport);
+
+// ============================================
+// PROJECT EXPORT / IMPORT
+// ============================================
+
+/**
+ * A project file is a single JSON document holding every report field, the
+ * defect list and the images as base64 data URLs, so it can be moved to
+ * another device and opened there exactly as it was.
+ */
+
+const PROJECT_FORMAT = 'defectpro-project';
+const PROJECT_SCHEMA_VERSION = 1;
+
+/**
+ * Triggers a browser download of a Blob
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Downloads the current inspection as a project file
+ */
+function exportProject() {
+    const state = collectReportState();
+    const project = {
+        format: PROJECT_FORMAT,
+        schemaVersion: PROJECT_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        reportName: reportNameInput.value.trim(),
+        fields: state.fields,
+        defects: state.defects,
+        defectCounter: state.defectCounter,
+        signatures: state.signatures,
+        followUp: state.followUp
+    };
+
+    const blob = new Blob([JSON.stringify(project)], { type: 'application/json' });
+    downloadBlob(blob, `Inspection_Project_${getTodayDateString()}.json`);
+}
+
+/**
+ * Validates a parsed project file and converts it to report state
+ * @param {*} project - Parsed JSON
+ * @returns {Object} Report state for applyReportState
+ * @throws {Error} Describing the first problem found
+ */
+function parseProject(project) {
+    if (!project || typeof project !== 'object' || project.format !== PROJECT_FORMAT) {
+        throw new Error(t('This is not a DefectPro project file.'));
+    }
+
+    if (typeof project.schemaVersion !== 'number' || project.schemaVersion > PROJECT_SCHEMA_VERSION) {
+        throw new Error(t('Unsupported project version "{version}". Please update the app.', { version: project.schemaVersion }));
+    }
+
+    if (!project.fields || typeof project.fields !== 'object') {
+        throw new Error(t('The project has no report fields.'));
+    }
+
+    // Only take known report fields, and only as strings
+    const fields = {};
+    REPORT_FIELD_IDS.forEach(id => {
+        if (typeof project.fields[id] === 'string') {
+            fields[id] = project.fields[id];
+        }
+    });
+
+    if (!Array.isArray(project.defects)) {
+        throw new Error(t('The project has no defect list.'));
+    }
+
+    const importedDefects = project.defects.map((raw, index) => {
+        const label = t('Defect #{number}', { number: index + 1 });
+
+        if (!raw || typeof raw !== 'object') {
+            throw new Error(t('{label} is not a valid defect.', { label }));
+        }
+        if (typeof raw.defectType !== 'string' || !raw.defectType.trim()) {
+            throw new Error(t('{label} has no defect type.', { label }));
+        }
+        if (typeof raw.description !== 'string') {
+            throw new Error(t('{label} has no description.', { label }));
+        }
+
+        const defect = normalizeDefect(raw);
+        if (defect.afterImages !== undefined && !Array.isArray(defect.afterImages)) {
+            throw new Error(t('{label} has an invalid list of after photos.', { label }));
+        }
+        if (defect.status !== undefined && !Object.hasOwn(DEFECT_STATUSES, defect.status)) {
+            throw new Error(t('{label} has an unknown status "{status}".', { label, status: defect.status }));
+        }
+
+        [['image {number}', defect.images], ['after photo {number}', defect.afterImages || []]].forEach(([kind, images]) => {
+            images.forEach((img, imgIndex) => {
+                const imageLabel = { label: `${label}, ${t(kind, { number: imgIndex + 1 })}` };
+                if (!img || !isImageDataUrl(img.data)) {
+                    throw new Error(t('{label} is not an embedded image.', imageLabel));
+                }
+                if ((img.original !== undefined && !isImageDataUrl(img.original)) ||
+                    (img.annotations !== undefined && !Array.isArray(img.annotations))) {
+                    throw new Error(t('{label} has invalid annotations.', imageLabel));
+                }
+                if (img.caption !== undefined && typeof img.caption !== 'string') {
+                    throw new Error(t('{label} has an invalid caption.', imageLabel));
+                }
+                if (img.cover !== undefined && typeof img.cover !== 'boolean') {
+                    throw new Error(t('{label} has an invalid cover photo setting.', imageLabel));
+                }
+            });
+        });
+
+        return defect;
+    });
+
+    // Follow-up details are optional (older project files don't have them)
+    const projectFollowUp = project.followUp === undefined ? null : project.followUp;
+    if (projectFollowUp !== null && (typeof projectFollowUp !== 'object' ||
+        typeof projectFollowUp.reportName !== 'string' || typeof projectFollowUp.inspectionDate !== 'string')) {
+        throw new Error(t('The project has invalid follow-up details.'));
+    }
+
+    // Signatures are optional (older project files don't have them)
+    const signatures = project.signatures === undefined ? {} : project.signatures;
+    if (!signatures || typeof signatures !== 'object') {
+        throw new Error(t('The project has invalid signatures.'));
+    }
+    Object.keys(SIGNATORIES).forEach(role => {
+        const signature = signatures[role];
+        if (signature === undefined) return;
+        if (!signature || typeof signature !== 'object' ||
+            (signature.name !== undefined && typeof signature.name !== 'string') ||
+            (signature.date !== undefined && typeof signature.date !== 'string') ||
+            (signature.image && !isImageDataUrl(signature.image))) {
+            throw new Error(t(role === 'inspector' ? 'The inspector signature is invalid.' : 'The client signature is invalid.'));
+        }
+    });
+
+    // Re-number defects whose IDs are missing or duplicated
+    const usedIds = new Set();
+    let nextId = importedDefects.reduce((max, d) => Math.max(max, Number.isInteger(d.id) ? d.id : 0), 0);
+    importedDefects.forEach(defect => {
+        if (!Number.isInteger(defect.id) || usedIds.has(defect.id)) {
+            defect.id = ++nextId;
+        }
+        usedIds.add(defect.id);
+    });
+
+    return {
+        fields: fields,
+        defects: importedDefects,
+        defectCounter: Math.max(Number(project.defectCounter) || 0, nextId),
+        signatures: signatures,
+        followUp: projectFollowUp,
+        reportName: typeof project.reportName === 'string' ? project.reportName : ''
+    };
+}
+
+/**
+ * Reads a project file chosen by the user and loads it into the form
+ * @param {File} file - Selected file
+ */
+async function importProject(file) {
+    let state;
+    try {
+        const text = await file.text();
+
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (parseError) {
+            throw new Error(t('The file is not valid JSON.'));
+        }
+
+        state = parseProject(project);
+    } catch (error) {
+        console.error('Project Import Error:', error);
+        alert(t('Could not import "{name}": {error}', { name: file.name, error: error.message }));
+        return;
+    }
+
+    if (formHasContent() && !confirm(t('Import this project? The current form will be replaced.'))) {
+        return;
+    }
+
+    clearReportForm();
+    applyReportState(state);
+    reportNameInput.value = state.reportName;
+    scheduleDraftSave();
+    renderSavedReports();
+
+    alert(t(state.defects.length === 1 ? 'Imported "{name}" with {count} defect.' : 'Imported "{name}" with {count} defects.',
+        { name: file.name, count: state.defects.length }));
+}
+
+exportProjectBtn.addEventListener('click', exportProject);
+
+importProjectBtn.addEventListener('click', function () {
+    importProjectInput.click();
+});
+
+importProjectInput.addEventListener('change', function () {
+    const file = this.files[0];
+
+    // Reset so the same file can be imported again
+    this.value = '';
+
+    if (file) {
+        importProject(file);
+    }
+});
+
+// ============================================
+// TEMPLATES
+// ============================================
+
+/**
+ * A template is a named set of defaults kept in its own IndexedDB store:
+ * - disclaimer and default values for TEMPLATE_FIELD_IDS, copied into the
+ *   form by "Apply to Report" (and when a new report is started)
+ * - extra defect types, added to the defect type list under their category
+ * - description/recommendation snippets per defect type, offered next to
+ *   those fields in the defect form
+ * The active template is a preference; its types and snippets are used
+ * while it stays selected. Templates are exported and imported as one file
+ * so a team can share a single library.
+ */
+
+const TEMPLATES_FORMAT = 'defectpro-templates';
+const TEMPLATES_SCHEMA_VERSION = 1;
+
+// Report fields (besides the disclaimer) a template provides defaults for
+const TEMPLATE_FIELD_IDS = [
+    'reportTitle', 'inspectorName', 'inspectorCredentials',
+    'attendance', 'occupancy', 'buildingType', 'weatherCondition', 'photoLayout'
+];
+
+// Defect form fields snippets can be inserted into, with the texts shown
+// in their snippet picker
+const SNIPPET_FIELDS = {
+    description: {
+        label: 'Description', input: defectDescriptionInput, select: descriptionSnippetSelect,
+        pickLabel: 'Insert saved description...', emptyLabel: 'No saved descriptions'
+    },
+    recommendation: {
+        label: 'Recommendation', input: document.getElementById('defectRecommendedAction'), select: recommendationSnippetSelect,
+        pickLabel: 'Insert saved recommendation...', emptyLabel: 'No saved recommendations'
+    }
+};
+
+// Category used when a type is added without choosing one
+const DEFAULT_TEMPLATE_CATEGORY = 'Custom Defects';
+
+// All templates, loaded from IndexedDB at startup and kept in sync
+let templates = [];
+
+/**
+ * Gets the template chosen in the Templates section
+ * @returns {Object|null} Template, or null if none is active
+ */
+function getActiveTemplate() {
+    return templates.find(template => template.id === preferences.activeTemplateId) || null;
+}
+
+/**
+ * Gets the defect type currently entered in the defect form
+ * @returns {string} Defect type (the custom text when "Other" is selected)
+ */
+function getEnteredDefectType() {
+    return defectTypeSelect.value === 'Other' ? customDefectTypeInput.value.trim() : defectTypeSelect.value;
+}
+
+/**
+ * Builds a template from the current form
+ * @param {string} name - Template name
+ * @param {Object|null} base - Template whose defect types and snippets are kept
+ * @returns {Object} Template record (without an ID)
+ */
+function buildTemplateRecord(name, base) {
+    return {
+        name: name,
+        disclaimer: getFieldValue('disclaimer'),
+        fields: readFieldValues(TEMPLATE_FIELD_IDS),
+        defectTypes: base ? base.defectTypes.map(entry => ({ ...entry })) : [],
+        snippets: base ? base.snippets.map(snippet => ({ ...snippet })) : [],
+        savedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Writes a template to IndexedDB and refreshes the in-memory list
+ * @param {Object} template - Template record (with or without an ID)
+ * @returns {Promise<number>} Template ID
+ */
+async function storeTemplate(template) {
+    const id = await runStoreRequest(TEMPLATES_STORE, 'readwrite', store => store.put(template));
+    await loadTemplates();
+    return id;
+}
+
+/**
+ * Loads all templates from IndexedDB and refreshes everything that uses them
+ */
+async function loadTemplates() {
+    try {
+        templates = await runStoreRequest(TEMPLATES_STORE, 'readonly', store => store.getAll());
+    } catch (error) {
+        console.error('Template Load Error:', error);
+        templates = [];
+    }
+    // Files imported before snippet fields were checked strictly could
+    // hold snippets for fields that don't exist; they can't be shown
+    templates.forEach(template => {
+        template.snippets = template.snippets.filter(snippet => Object.hasOwn(SNIPPET_FIELDS, snippet.field));
+    });
+    templates.sort((a, b) => a.name.localeCompare(b.name));
+    renderTemplates();
+}
+
+/**
+ * Copies a template's disclaimer and default details into the form
+ * @param {Object} template - Template to apply
+ */
+function applyTemplate(template) {
+    if (template.disclaimer) {
+        document.getElementById('disclaimer').value = template.disclaimer;
+    }
+    Object.keys(template.fields).forEach(id => {
+        const element = document.getElementById(id);
+        if (element && template.fields[id]) {
+            element.value = template.fields[id];
+        }
+    });
+    scheduleDraftSave();
+}
+
+/**
+ * Saves the form's disclaimer and details as a template. Saving under the
+ * name of an existing template updates it; a new name creates a template
+ * that starts with the active template's defect types and snippets.
+ */
+async function saveFormAsTemplate() {
+    const active = getActiveTemplate();
+    const name = (prompt(t('Template name:'), active ? active.name : '') || '').trim();
+    if (!name) return;
+
+    const existing = templates.find(template => template.name.toLowerCase() === name.toLowerCase());
+    if (existing && !confirm(t('Replace the disclaimer and default details of "{name}" with the ones in the form?', { name: existing.name }))) {
+        return;
+    }
+
+    try {
+        const record = buildTemplateRecord(name, existing || active);
+        if (existing) {
+            record.id = existing.id;
+        }
+        const id = await storeTemplate(record);
+        setPreference('activeTemplateId', id);
+        renderTemplates();
+    } catch (error) {
+        console.error('Template Save Error:', error);
+        alert(t('The template could not be saved: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Deletes the active template
+ */
+async function deleteActiveTemplate() {
+    const template = getActiveTemplate();
+    if (!template || !confirm(t('Delete the template "{name}"? This cannot be undone.', { name: template.name }))) {
+        return;
+    }
+
+    try {
+        await runStoreRequest(TEMPLATES_STORE, 'readwrite', store => store.delete(template.id));
+        setPreference('activeTemplateId', null);
+        await loadTemplates();
+    } catch (error) {
+        console.error('Template Delete Error:', error);
+        alert(t('The template could not be deleted: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Adds the custom defect type in the defect form to the active template
+ */
+async function addDefectTypeToTemplate() {
+    const template = getActiveTemplate();
+    const type = customDefectTypeInput.value.trim();
+    if (!template) {
+        alert(t('Choose or save a template first.'));
+        return;
+    }
+    if (!type) {
+        alert(t('Please enter the custom defect type first.'));
+        return;
+    }
+
+    const categories = Array.from(defectTypeSelect.querySelectorAll('optgroup'), group => group.label);
+    const entered = (prompt(t('Category for "{type}" (e.g. {examples}):', { type, examples: categories.slice(0, 3).join(', ') }),
+        t(DEFAULT_TEMPLATE_CATEGORY)) || '').trim();
+    if (!entered) return;
+
+    // Categories are kept in English so they still match in other languages
+    const category = getEnglishText(entered, preferences.language);
+
+    if (!template.defectTypes.some(entry => entry.type === type)) {
+        template.defectTypes.push({ category, type });
+    }
+
+    try {
+        await storeTemplate(template);
+        defectTypeSelect.value = type;
+        customDefectTypeInput.value = '';
+        customDefectInput.style.display = 'none';
+        renderSnippetOptions();
+        scheduleDraftSave();
+    } catch (error) {
+        console.error('Template Save Error:', error);
+        alert(t('The defect type could not be added: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Saves the text of a defect form field as a snippet for the entered defect type
+ * @param {string} field - Key of SNIPPET_FIELDS
+ */
+async function saveSnippet(field) {
+    const template = getActiveTemplate();
+    const defectType = getEnteredDefectType();
+    const text = SNIPPET_FIELDS[field].input.value.trim();
+    if (!template) {
+        alert(t('Choose or save a template first.'));
+        return;
+    }
+    if (!defectType || !text) {
+        alert(t(field === 'description'
+            ? 'Please select a defect type and enter the description to save.'
+            : 'Please select a defect type and enter the recommendation to save.'));
+        return;
+    }
+
+    if (template.snippets.some(snippet => snippet.defectType === defectType && snippet.field === field && snippet.text === text)) {
+        return;
+    }
+    template.snippets.push({ defectType, field, text });
+
+    try {
+        await storeTemplate(template);
+    } catch (error) {
+        console.error('Template Save Error:', error);
+        alert(t('The snippet could not be saved: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Inserts a snippet at the cursor of its field, ready to be edited
+ * @param {string} field - Key of SNIPPET_FIELDS
+ * @param {string} text - Snippet text
+ */
+function insertSnippet(field, text) {
+    const input = SNIPPET_FIELDS[field].input;
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? input.value.length;
+    const before = input.value.slice(0, start);
+    const after = input.value.slice(end);
+
+    // Keep snippets apart from text already in the field
+    const separator = before && !/\s$/.test(before) ? ' ' : '';
+    input.value = before + separator + text + after;
+    input.focus();
+    input.setSelectionRange(before.length + separator.length + text.length, before.length + separator.length + text.length);
+    scheduleDraftSave();
+}
+
+/**
+ * Removes a defect type from the active template
+ * @param {number} index - Index in the template's defectTypes
+ */
+async function removeTemplateDefectType(index) {
+    const template = getActiveTemplate();
+    if (!template) return;
+
+    template.defectTypes.splice(index, 1);
+    try {
+        await storeTemplate(template);
+    } catch (error) {
+        console.error('Template Save Error:', error);
+        alert(t('The defect type could not be removed: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Removes a snippet from the active template
+ * @param {number} index - Index in the template's snippets
+ */
+async function removeTemplateSnippet(index) {
+    const template = getActiveTemplate();
+    if (!template) return;
+
+    template.snippets.splice(index, 1);
+    try {
+        await storeTemplate(template);
+    } catch (error) {
+        console.error('Template Save Error:', error);
+        alert(t('The snippet could not be removed: {error}', { error: error.message }));
+    }
+}
+
+/**
+ * Adds the active template's defect types to the defect type list, under
+ * the matching built-in category or a new one before "Other"
+ */
+function renderTemplateDefectTypes() {
+    const selected = defectTypeSelect.value;
+    defectTypeSelect.querySelectorAll('[data-template]').forEach(element => element.remove());
+
+    const template = getActiveTemplate();
+    const otherOption = defectTypeSelect.querySelector('option[value="Other"]');
+    (template ? template.defectTypes : []).forEach(entry => {
+        // A built-in type doesn't need adding twice
+        if (Array.from(defectTypeSelect.options).some(option => option.value === entry.type)) {
+            return;
+        }
+
+        let group = Array.from(defectTypeSelect.querySelectorAll('optgroup')).find(g => getOriginalLabel(g) === entry.category);
+        if (!group) {
+            group = document.createElement('optgroup');
+            group.label = t(entry.category);
+            group.dataset.template = 'true';
+            defectTypeSelect.insertBefore(group, otherOption);
+        }
+
+        const option = document.createElement('option');
+        option.value = entry.type;
+        option.textContent = t(entry.type);
+        option.dataset.template = 'true';
+        group.appendChild(option);
+    });
+
+    // Keep the selection if the type is still listed
+    defectTypeSelect.value = selected;
+    if (defectTypeSelect.value !== selected) {
+        defectTypeSelect.value = '';
+    }
+}
+
+/**
+ * Lists the active template's snippets for the entered defect type
+ */
+function renderSnippetOptions() {
+    const template = getActiveTemplate();
+    const defectType = getEnteredDefectType();
+
+    Object.keys(SNIPPET_FIELDS).forEach(field => {
+        const { select, pickLabel, emptyLabel } = SNIPPET_FIELDS[field];
+        const snippets = template && defectType
+            ? template.snippets.filter(snippet => snippet.defectType === defectType && snippet.field === field)
+            : [];
+
+        let html = `<option value="">${t(snippets.length > 0 ? pickLabel : emptyLabel)}</option>`;
+        snippets.forEach(snippet => {
+            const preview = snippet.text.length > 70 ? snippet.text.slice(0, 67) + '...' : snippet.text;
+            html += `<option value="${template.snippets.indexOf(snippet)}">${escapeHtml(preview)}</option>`;
+        });
+        select.innerHTML = html;
+        select.disabled = snippets.length === 0;
+    });
+
+    const hasTemplate = template !== null;
+    addTypeToTemplateBtn.disabled = !hasTemplate;
+    saveDescriptionSnippetBtn.disabled = !hasTemplate;
+    saveRecommendationSnippetBtn.disabled = !hasTemplate;
+}
+
+/**
+ * Renders the template picker, the active template's contents, and the
+ * defect types and snippets it adds to the defect form
+ */
+function renderTemplates() {
+    const template = getActiveTemplate();
+    templateCountSpan.textContent = `(${templates.length})`;
+
+    let options = `<option value="">${t('None')}</option>`;
+    templates.forEach(item => {
+        options += `<option value="${item.id}">${escapeHtml(item.name)}</option>`;
+    });
+    activeTemplateSelect.innerHTML = options;
+    activeTemplateSelect.value = template ? String(template.id) : '';
+    applyTemplateBtn.disabled = !template;
+    deleteTemplateBtn.disabled = !template;
+    saveTemplateBtn.textContent = t(template ? 'Update or Save as New Template' : 'Save Form as Template');
+
+    if (!template) {
+        templateDetails.innerHTML = templates.length === 0
+            ? `<p class="no-defects">${t('No templates yet. Fill in the disclaimer and inspection details, then click "Save Form as Template".')}</p>`
+            : `<p class="no-defects">${t('No template is active.')}</p>`;
+    } else {
+        const typesHtml = template.defectTypes.map((entry, index) => `
+            <li>
+                <span><strong>${escapeHtml(entry.type)}</strong> <span class="template-item-meta">${escapeHtml(t(entry.category))}</span></span>
+                <button type="button" class="template-remove-btn" onclick="removeTemplateDefectType(${index})"
+                    aria-label="${t('Remove defect type {type}', { type: escapeHtml(entry.type) })}" title="${t('Remove')}">×</button>
+            </li>`).join('');
+        const snippetsHtml = template.snippets.map((snippet, index) => `
+            <li>
+                <span><strong>${escapeHtml(t(snippet.defectType))}</strong> <span class="template-item-meta">${t(SNIPPET_FIELDS[snippet.field].label)}</span>
+                    ${escapeHtml(snippet.text)}</span>
+                <button type="button" class="template-remove-btn" onclick="removeTemplateSnippet(${index})"
+                    aria-label="${t('Remove snippet')}" title="${t('Remove')}">×</button>
+            </li>`).join('');
+
+        templateDetails.innerHTML = `
+            <div class="template-detail-group">
+                <h4>${t('Defect Types ({count})', { count: template.defectTypes.length })}</h4>
+                ${typesHtml ? `<ul class="template-item-list">${typesHtml}</ul>` : `<p class="template-empty">${t('Add one with "Other (Custom Entry)" and "Add to Template" in the defect form.')}</p>`}
+            </div>
+            <div class="template-detail-group">
+                <h4>${t('Snippets ({count})', { count: template.snippets.length })}</h4>
+                ${snippetsHtml ? `<ul class="template-item-list">${snippetsHtml}</ul>` : `<p class="template-empty">${t('Write a description or recommendation in the defect form and click "Save as Snippet".')}</p>`}
+            </div>
+        `;
+    }
+
+    renderTemplateDefectTypes();
+    renderSnippetOptions();
+}
+
+/**
+ * Downloads every template as one file
+ */
+function exportTemplates() {
+    if (templates.length === 0) {
+        alert(t('There are no templates to export.'));
+        return;
+    }
+
+    const data = {
+        format: TEMPLATES_FORMAT,
+        schemaVersion: TEMPLATES_SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        templates: templates.map(({ id, ...template }) => template)
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `DefectPro_Templates_${getTodayDateString()}.json`);
+}
+
+/**
+ * Validates one template from a templates file
+ * @param {*} raw - Parsed template
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object} Template record (without an ID)
+ * @throws {Error} Describing the first problem found
+ */
+function parseTemplate(raw, index) {
+    const label = t('Template #{number}', { number: index + 1 });
+    if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) {
+        throw new Error(t('{label} has no name.', { label }));
+    }
+
+    // Only take known fields, and only as strings
+    const fields = {};
+    TEMPLATE_FIELD_IDS.forEach(id => {
+        if (raw.fields && typeof raw.fields[id] === 'string') {
+            fields[id] = raw.fields[id];
+        }
+    });
+
+    const defectTypes = raw.defectTypes === undefined ? [] : raw.defectTypes;
+    if (!Array.isArray(defectTypes) || defectTypes.some(entry => !entry ||
+        typeof entry.type !== 'string' || !entry.type.trim() || typeof entry.category !== 'string' || !entry.category.trim())) {
+        throw new Error(t('{label} ("{name}") has an invalid defect type list.', { label, name: raw.name }));
+    }
+
+    const snippets = raw.snippets === undefined ? [] : raw.snippets;
+    if (!Array.isArray(snippets) || snippets.some(snippet => !snippet || typeof snippet.defectType !== 'string' ||
+        !Object.hasOwn(SNIPPET_FIELDS, snippet.field) || typeof snippet.text !== 'string' || !snippet.text.trim())) {
+        throw new Error(t('{label} ("{name}") has an invalid snippet list.', { label, name: raw.name }));
+    }
+
+    return {
+        name: raw.name.trim(),
+        disclaimer: typeof raw.disclaimer === 'string' ? raw.disclaimer : '',
+        fields: fields,
+        defectTypes: defectTypes.map(entry => ({ category: entry.category.trim(), type: entry.type.trim() })),
+        snippets: snippets.map(snippet => ({ defectType: snippet.defectType, field: snippet.field, text: snippet.text.trim() })),
+        savedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Reads a templates file and adds its templates, replacing any with the same name
+ * @param {File} file - Selected file
+ */
+async function importTemplates(file) {
+    let imported;
+    try {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (parseError) {
+            throw new Error(t('The file is not valid JSON.'));
+        }
+
+        if (!data || data.format !== TEMPLATES_FORMAT || !Array.isArray(data.templates)) {
+            throw new Error(t('This is not a DefectPro templates file.'));
+        }
+        if (typeof data.schemaVersion !== 'number' || data.schemaVersion > TEMPLATES_SCHEMA_VERSION) {
+            throw new Error(t('Unsupported templates version "{version}". Please update the app.', { version: data.schemaVersion }));
+        }
+        imported = data.templates.map(parseTemplate);
+    } catch (error) {
+        console.error('Template Import Error:', error);
+        alert(t('The templates could not be imported: {error}', { error: error.message }));
+        return;
+    }
+
+    try {
+        for (const template of imported) {
+            const existing = templates.find(item => item.name.toLowerCase() === template.name.toLowerCase());
+            if (existing) {
+                template.id = existing.id;
+            }
+            await runStoreRequest(TEMPLATES_STORE, 'readwrite', store => store.put(template));
+        }
+        await loadTemplates();
+        alert(t(imported.length === 1 ? 'Imported {count} template.' : 'Imported {count} templates.', { count: imported.length }));
+    } catch (error) {
+        console.error('Template Import Error:', error);
+        alert(t('The templates could not be saved: {error}', { error: error.message }));
+    }
+}
+
+activeTemplateSelect.addEventListener('change', function () {
+    setPreference('activeTemplateId', this.value ? Number(this.value) : null);
+    renderTemplates();
+});
+
+applyTemplateBtn.addEventListener('click', function () {
+    const template = getActiveTemplate();
+    if (template) {
+        applyTemplate(template);
+    }
+});
+
+saveTemplateBtn.addEventListener('click', saveFormAsTemplate);
+deleteTemplateBtn.addEventListener('click', deleteActiveTemplate);
+addTypeToTemplateBtn.addEventListener('click', addDefectTypeToTemplate);
+saveDescriptionSnippetBtn.addEventListener('click', () => saveSnippet('description'));
+saveRecommendationSnippetBtn.addEventListener('click', () => saveSnippet('recommendation'));
+
+Object.keys(SNIPPET_FIELDS).forEach(field => {
+    SNIPPET_FIELDS[field].select.addEventListener('change', function () {
+        const template = getActiveTemplate();
+        const snippet = template && template.snippets[Number(this.value)];
+        this.value = '';
+        if (snippet) {
+            insertSnippet(field, snippet.text);
+        }
+    });
+});
+
+exportTemplatesBtn.addEventListener('click', exportTemplates);
+importTemplatesBtn.addEventListener('click', () => importTemplatesInput.click());
+importTemplatesInput.addEventListener('change', function () {
+    const file = this.files[0];
+    this.value = '';
+    if (file) {
+        importTemplates(file);
+    }
+});
+
+// ============================================
+// OFFLINE SUPPORT
+// ============================================
+// sw.js caches the app, the vendored jsPDF and the PDF fonts, so once the
+// app has been opened online it keeps working with no signal. Drafts and
+// saved reports are already local (IndexedDB). Service workers only run
+// over http(s), not from a file opened directly.
+
+/**
+ * Shows the offline banner while there is no connection
+ */
+function updateOfflineBanner() {
+    offlineBanner.hidden = navigator.onLine;
+}
+
+/**
+ * Registers the service worker that makes the app available offline
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service Worker Error:', error);
+    });
+}
+
+window.addEventListener('online', updateOfflineBanner);
+window.addEventListener('offline', updateOfflineBanner);
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Gets today's local date in the YYYY-MM-DD format used by date inputs
+ * (toISOString would give the UTC date, which is a day out in the evening
+ * or early morning depending on the time zone)
+ * @returns {string} Today's date
+ */
+function getTodayDateString() {
+    return formatIsoDate(new Date());
+}
+
+/**
+ * Sets the inspection date field to today
+ */
+function setDefaultInspectionDate() {
+    document.getElementById('inspectionDate').value = getTodayDateString();
+}
+
+// Set default inspection date to today, then bring back any saved draft
+document.addEventListener('DOMContentLoaded', async function () {
+    setDefaultInspectionDate();
+
+    // Everything rendered from here on uses the language already
+    languageSelect.value = preferences.language;
+    dateLocaleSelect.value = preferences.dateLocale;
+    translatePage();
+    updateOfflineBanner();
+
+    // Show the saved photo settings
+    imageMaxDimensionSelect.value = String(preferences.imageMaxDimension);
+    imageQualitySelect.value = String(preferences.imageQuality);
+    captionFromFileNameCheckbox.checked = preferences.captionFromFileName;
+    renderBranding();
+    renderPageSetup();
+    renderReportNumbering();
+
+    // And the format last generated
+    reportFormatSelect.value = preferences.reportFormat;
+
+    // Template defect types must be in the list before a draft selects one
+    await loadTemplates();
+
+    await restoreDraft();
+    renderSavedReports();
+
+    registerServiceWorker();
 });
@@ -0,0 +1,101 @@
+/**
+ * ============================================
+ * HOME DEFECT INSPECTION REPORT GENERATOR
+ * Service Worker (offline support)
+ * ============================================
+ *
+ * Inspections happen in basements and rural sites without signal, so
+ * everything the app needs to open and generate a report is cached when
+ * the service worker installs:
+ * 1. The page, styles and scripts (including the vendored jsPDF)
+ * 2. The bundled PDF fonts, so Unicode text still prints offline
+ *
+ * Requests for cached files are answered from the cache straight away and
+ * refreshed from the network in the background, so a new version is picked
+ * up on the next visit. Bump CACHE_VERSION when the file list changes.
+ */
+
+const CACHE_VERSION = 'v3';
+const CACHE_NAME = `defectpro-${CACHE_VERSION}`;
+
+// Files cached on install (relative to this script)
+const APP_FILES = [
+    './',
+    'index.html',
+    'style.css',
+    'translations.js',
+    'report.js',
+    'formats.js',
+    'script.js',
+    'vendor/jspdf.umd.min.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'fonts/NotoSans-Regular.ttf',
+    'fonts/NotoSans-Bold.ttf',
+    'fonts/NotoSansArabic-Regular.ttf',
+    'fonts/NotoSansArabic-Bold.ttf',
+    'fonts/NotoSansTamil-Regular.ttf',
+    'fonts/NotoSansTamil-Bold.ttf',
+    'fonts/NotoSansSC-Regular.ttf',
+    'fonts/NotoEmoji-Regular.ttf'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('defectpro-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Fetches a request and stores a good response in the cache
+ * @param {Request} request - Request to fetch
+ * @returns {Promise<Response>} Network response
+ */
+function fetchAndCache(request) {
+    return fetch(request).then(response => {
+        if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    });
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+
+    // Only the app's own files; anything else goes to the network as usual
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { ignoreSearch: true }).then(cached => {
+            const network = fetchAndCache(request);
+            if (cached) {
+                // Keep the cached copy fresh for next time, but don't wait for it
+                event.waitUntil(network.catch(() => {}));
+                return cached;
+            }
+            // Offline, any other page in the app's folder opens the app
+            return network.catch(() => request.mode === 'navigate'
+                ? caches.match('index.html')
+                : Promise.reject(new Error(`${request.url} is not available offline`)));
+        })
+    );
+});
@@ -0,0 +1,170 @@
+/**
+ * ============================================
+ * HOME DEFECT INSPECTION REPORT GENERATOR
+ * Tests: Word, HTML and defect register formats (formats.js)
+ * ============================================
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JPEG, loadReport, readZip } = require('./load-report');
+
+const report = loadReport();
+
+// Fixed so footers don't depend on the clock
+const GENERATED_AT = new Date(2024, 2, 5, 9, 30);
+
+/**
+ * Builds a report model for an inspection with two defects
+ * @param {Object} [settings] - Settings for buildReportModel
+ * @param {Object} [fields] - Report fields to set or override
+ * @returns {Object} Report model
+ */
+function makeModel(settings = {}, fields = {}) {
+    return report.buildReportModel({
+        fields: { clientName: 'Pat <Smith> & Co', ...fields },
+        defects: [
+            {
+                id: 1,
+                defectType: 'Water Stain',
+                images: [{ data: JPEG, name: 'crack.jpg' }],
+                afterImages: [{ data: JPEG, name: 'repaired.jpg' }],
+                description: 'Crack above the window, "hairline", 2mm',
+                severity: 'Major',
+                status: 'Rectified',
+                locationArea: 'Kitchen'
+            },
+            {
+                id: 2,
+                defectType: 'Leaks',
+                images: [{ data: 'data:image/webp;base64,UklGRg==', name: 'leak.webp' }],
+                description: '=SUM(A1:A2)',
+                severity: 'Minor'
+            }
+        ]
+    }, { generatedAt: GENERATED_AT, ...settings });
+}
+
+/**
+ * Reads a Blob as UTF-8 text
+ * @param {Blob} blob - File
+ * @returns {Promise<string>} Text
+ */
+async function readText(blob) {
+    return Buffer.from(await blob.arrayBuffer()).toString('utf8');
+}
+
+// ----------------------------------------
+// SHARED HELPERS
+// ----------------------------------------
+
+test('readImageData reads the size of JPEG and PNG images', () => {
+    const jpeg = report.readImageData(JPEG);
+    assert.deepStrictEqual([jpeg.format, jpeg.width, jpeg.height], ['JPEG', 2, 1]);
+
+    // 3x5 PNG header
+    const png = Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0, 0, 13]),
+        Buffer.from('IHDR'),
+        Buffer.from([0, 0, 0, 3, 0, 0, 0, 5, 8, 2, 0, 0, 0])
+    ]);
+    const image = report.readImageData(`data:image/png;base64,${png.toString('base64')}`);
+    assert.deepStrictEqual([image.format, image.width, image.height], ['PNG', 3, 5]);
+
+    assert.throws(() => report.readImageData(undefined), /^Error: the image data is missing$/);
+    assert.throws(() => report.readImageData('data:image/gif;base64,R0lG'), /^Error: image\/gif is not supported$/);
+    assert.throws(() => report.readImageData('data:image/jpeg;base64,/9j/'), /^Error: the image data is damaged$/);
+});
+
+test('buildDefectRegister has a row per defect in the report\'s language', () => {
+    const model = makeModel({ language: 'es', categories: [{ name: 'Water & Moisture Issues', types: ['Water Stain'] }] });
+    const register = JSON.parse(JSON.stringify(report.buildDefectRegister(model)));
+
+    assert.strictEqual(register.title, 'Registro de defectos');
+    assert.strictEqual(register.columns.length, 13);
+    assert.deepStrictEqual(register.rows[0].slice(0, 6), [1, 'Mancha de agua', 'Problemas de agua y humedad', 'Grave', 'Corregido', 'Kitchen']);
+    assert.deepStrictEqual(register.rows[0].slice(-2), [1, 1]);
+    assert.deepStrictEqual(register.rows[1].slice(-2), [1, 0]);
+});
+
+// ----------------------------------------
+// FORMATS
+// ----------------------------------------
+
+test('the defect register CSV quotes fields and defuses formulas', async () => {
+    const blob = await report.renderReport(makeModel(), 'csv');
+    const csv = await readText(blob);
+
+    assert.strictEqual(blob.type, 'text/csv;charset=utf-8');
+    assert.ok(csv.startsWith('\uFEFFNo.,Type,Category,Severity,Status,'));
+    const lines = csv.slice(1).split('\r\n');
+    assert.strictEqual(lines.length, 4, 'header, two defects and a final line break');
+    assert.ok(lines[1].includes(',"Crack above the window, ""hairline"", 2mm",'));
+    assert.ok(lines[2].includes(',\'=SUM(A1:A2),'));
+});
+
+test('the defect register workbook is a valid xlsx package', async () => {
+    const blob = await report.renderReport(makeModel(), 'xlsx');
+    const files = await readZip(blob);
+
+    assert.deepStrictEqual(Object.keys(files).sort(), [
+        '[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml', 'xl/workbook.xml', 'xl/worksheets/sheet1.xml'
+    ]);
+    const sheet = files['xl/worksheets/sheet1.xml'].toString('utf8');
+    assert.ok(sheet.includes('<c r="A2" s="2"><v>1</v></c>'));
+    assert.ok(sheet.includes('<t xml:space="preserve">=SUM(A1:A2)</t>'), 'text cells are never formulas');
+    assert.ok(sheet.includes('<autoFilter ref="A1:M3"/>'));
+    assert.ok(files['xl/workbook.xml'].toString('utf8').includes('<sheet name="Defect Register"'));
+});
+
+test('the Word document embeds each photo once and lists the ones it could not add', async () => {
+    const imageErrors = [];
+    const blob = await report.renderReport(makeModel(), 'docx', { imageErrors });
+    const files = await readZip(blob);
+
+    const media = Object.keys(files).filter(name => name.startsWith('word/media/'));
+    assert.strictEqual(media.length, 1);
+    assert.deepStrictEqual([...files[media[0]]], [...Buffer.from(JPEG.split(',')[1], 'base64')]);
+
+    const document = files['word/document.xml'].toString('utf8');
+    assert.ok(document.includes('Pat &lt;Smith&gt; &amp; Co'));
+    assert.strictEqual((document.match(/<w:drawing>/g) || []).length, 2, 'before and after photos');
+    assert.ok(document.includes('[Image 1 could not be loaded]'));
+    assert.deepStrictEqual(imageErrors, ['Defect #2, image 1 (leak.webp): image/webp is not supported']);
+    assert.ok(files['word/footer1.xml'].toString('utf8').includes('NUMPAGES'));
+});
+
+test('the Word document uses the page setup', async () => {
+    const files = await readZip(await report.renderReport(makeModel({
+        pageSetup: { size: 'legal', orientation: 'landscape', margins: 'wide', header: ['companyName'], footer: ['confidentiality'], confidentialityNote: 'Private' }
+    }, { companyName: 'Acme' }), 'docx'));
+
+    const document = files['word/document.xml'].toString('utf8');
+    assert.ok(document.includes('<w:pgSz w:w="20160" w:h="12240" w:orient="landscape"/>'));
+    assert.ok(document.includes('<w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440"'));
+    assert.ok(document.includes('<w:headerReference w:type="default" r:id="rIdHeader"/>'));
+    assert.ok(files['word/header1.xml'].toString('utf8').includes('>Acme<'));
+    assert.ok(files['word/footer1.xml'].toString('utf8').includes('>Private<'));
+});
+
+test('the HTML report is one self-contained file', async () => {
+    const blob = await report.renderReport(makeModel({ language: 'fr' }), 'html');
+    const html = await readText(blob);
+
+    assert.strictEqual(blob.type, 'text/html;charset=utf-8');
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.ok(html.includes('<html lang="fr">'));
+    assert.ok(html.includes('Pat &lt;Smith&gt; &amp; Co'));
+    assert.ok(html.includes(`src="${JPEG}"`));
+    assert.ok(!/(src|href)="(?!data:)/.test(html), 'nothing is loaded from outside the file');
+});
+
+test('renderReport falls back to the PDF', async () => {
+    const { jsPDF } = require('jspdf');
+    const blob = await report.renderReport(makeModel(), 'pdf', { jsPDF });
+
+    assert.strictEqual(blob.type, 'application/pdf');
+});
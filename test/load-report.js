@@ -0,0 +1,128 @@
+/**
+ * ============================================
+ * HOME DEFECT INSPECTION REPORT GENERATOR
+ * Test helpers: the report scripts under Node
+ * ============================================
+ *
+ * translations.js, report.js and formats.js are classic browser scripts, so
+ * they are run in one shared vm context (as the page does) with the few
+ * globals they use. jsPDF comes from node_modules (the same version as vendor/).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const zlib = require('zlib');
+const { jsPDF } = require('jspdf');
+
+const ROOT = path.join(__dirname, '..');
+
+// 2x1 JPEG
+const JPEG = 'data:image/jpeg;base64,/9j/4QAiRXhpZgAATU0AKgAAAAgAAQESAAMAAAABAAYAAAAAAAD/4AAQSkZJRgABAQEAYABgAAD/2wBDABALDA4MChAODQ4SERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hnPk1xeXBkeFxlZ2P/2wBDARASEhgVGC8aGi9jQjhCY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2P/wgARCAABAAIDAREAAhEBAxEB/8QAFAABAAAAAAAAAAAAAAAAAAAABf/EABQBAQAAAAAAAAAAAAAAAAAAAAD/2gAMAwEAAhADEAAAARz/xAAVEAEBAAAAAAAAAAAAAAAAAAAENP/aAAgBAQABBQJFH//EABQRAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQMBAT8Bf//EABQRAQAAAAAAAAAAAAAAAAAAAAD/2gAIAQIBAT8Bf//EABcQAAMBAAAAAAAAAAAAAAAAAAABA3L/2gAIAQEABj8Cppn/xAAWEAADAAAAAAAAAAAAAAAAAAAAUfD/2gAIAQEAAT8hjM//2gAMAwEAAgADAAAAEB//xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oACAEDAQE/EH//xAAUEQEAAAAAAAAAAAAAAAAAAAAA/9oACAECAQE/EH//xAAWEAADAAAAAAAAAAAAAAAAAAAAUfD/2gAIAQEAAT8Qnuf/2Q==';
+
+/**
+ * Runs the report scripts in a fresh context
+ * @returns {Object} The context; its properties are the scripts' functions
+ */
+function loadReport() {
+    const context = vm.createContext({ console, atob, btoa, fetch, Blob, TextEncoder });
+    ['translations.js', 'report.js', 'formats.js'].forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * Reads a bundled font from fonts/, as the page would fetch it
+ * @param {string} url - Font file, relative to the app
+ * @returns {Promise<string>} Base64 font data
+ */
+async function loadFontFile(url) {
+    return fs.readFileSync(path.join(ROOT, url)).toString('base64');
+}
+
+/**
+ * Builds a report model and copies it into this realm, so assert's deep
+ * comparisons see plain objects and arrays
+ * @param {Object} report - Context from loadReport
+ * @param {Object} state - Inspection: { fields, defects, signatures, followUp }
+ * @param {Object} [settings] - Settings for buildReportModel
+ * @returns {Object} Report model (generatedAt as an ISO string)
+ */
+function buildModel(report, state, settings) {
+    return JSON.parse(JSON.stringify(report.buildReportModel(state, settings)));
+}
+
+/**
+ * Builds and renders a report
+ * @param {Object} report - Context from loadReport
+ * @param {Object} state - Inspection: { fields, defects, signatures, followUp }
+ * @param {Object} [settings] - Settings for buildReportModel
+ * @param {Object} [options] - Options for renderReportPdf (jsPDF is added)
+ * @returns {Promise<Object>} { model, blob, pdf } with the PDF as a Latin-1 string
+ */
+async function renderReport(report, state, settings = {}, options = {}) {
+    const model = report.buildReportModel(state, settings);
+    const blob = await report.renderReportPdf(model, { jsPDF, ...options });
+    const pdf = Buffer.from(await blob.arrayBuffer()).toString('latin1');
+    return { model, blob, pdf };
+}
+
+/**
+ * Counts the pages of a PDF
+ * @param {string} pdf - PDF as a Latin-1 string
+ * @returns {number} Page count
+ */
+function countPages(pdf) {
+    return (pdf.match(/\/Type \/Page\n/g) || []).length;
+}
+
+/**
+ * Counts the images embedded in a PDF
+ * @param {string} pdf - PDF as a Latin-1 string
+ * @returns {number} Image count
+ */
+function countImages(pdf) {
+    return (pdf.match(/\/Subtype \/Image/g) || []).length;
+}
+
+/**
+ * Checks whether a PDF draws a line of text in a built-in font
+ * @param {string} pdf - PDF as a Latin-1 string
+ * @param {string} text - Whole line, as drawn
+ * @returns {boolean} True if the line is drawn
+ */
+function hasText(pdf, text) {
+    const escaped = text.replace(/[\\()]/g, '\\$&');
+    return pdf.includes(`(${escaped}) Tj`);
+}
+
+/**
+ * Reads the files out of an uncompressed ZIP archive (as createZip writes
+ * them), checking each file's CRC
+ * @param {Blob} blob - The archive
+ * @returns {Promise<Object>} Buffer per file name, in archive order
+ */
+async function readZip(blob) {
+    const bytes = Buffer.from(await blob.arrayBuffer());
+    const end = bytes.lastIndexOf(Buffer.from([0x50, 0x4B, 0x05, 0x06]));
+    const files = {};
+    let offset = bytes.readUInt32LE(end + 16);
+    for (let index = 0; index < bytes.readUInt16LE(end + 10); index++) {
+        const size = bytes.readUInt32LE(offset + 20);
+        const nameLength = bytes.readUInt16LE(offset + 28);
+        const name = bytes.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const local = bytes.readUInt32LE(offset + 42);
+        const start = local + 30 + bytes.readUInt16LE(local + 26) + bytes.readUInt16LE(local + 28);
+        files[name] = bytes.subarray(start, start + size);
+        if (zlib.crc32(files[name]) !== bytes.readUInt32LE(offset + 16)) {
+            throw new Error(`${name} fails its CRC check`);
+        }
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+module.exports = { JPEG, loadReport, loadFontFile, buildModel, renderReport, countPages, countImages, hasText, readZip };
@@ -0,0 +1,341 @@
+/**
+ * ============================================
+ * HOME DEFECT INSPECTION REPORT GENERATOR
+ * Tests: report model and PDF layout (report.js)
+ * ============================================
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { JPEG, loadReport, loadFontFile, buildModel, renderReport, countPages, countImages, hasText } = require('./load-report');
+
+const report = loadReport();
+
+// Fixed so footers don't depend on the clock
+const GENERATED_AT = new Date(2024, 2, 5, 9, 30);
+
+/**
+ * Makes a defect as the app stores it
+ * @param {Object} [details] - Properties to set or override
+ * @returns {Object} Defect
+ */
+function makeDefect(details = {}) {
+    return {
+        id: 1,
+        defectType: 'Cracks',
+        images: [{ data: JPEG, name: 'crack.jpg' }],
+        description: 'Crack above the window.',
+        severity: 'Major',
+        ...details
+    };
+}
+
+// ----------------------------------------
+// REPORT MODEL
+// ----------------------------------------
+
+test('buildReportModel fills in every field of an empty inspection', () => {
+    const model = buildModel(report, {});
+
+    assert.strictEqual(model.language, 'en');
+    assert.strictEqual(model.title, '');
+    assert.strictEqual(model.reportNumber, '');
+    assert.deepStrictEqual(model.company, { name: '', phone: '', email: '' });
+    assert.strictEqual(model.inspection.attendance, '');
+    assert.strictEqual(model.photoLayout, 'single');
+    assert.strictEqual(model.coverPhoto, null);
+    assert.strictEqual(model.followUp, null);
+    assert.strictEqual(model.trackRectification, false);
+    assert.strictEqual(model.defects.length, 0);
+    assert.strictEqual(model.summary.total, 0);
+    assert.deepStrictEqual(model.signOffs.map(signOff => signOff.role), ['Inspector']);
+    assert.deepStrictEqual(model.branding.primaryColor, [44, 82, 130]);
+    assert.deepStrictEqual(model.pageSetup, {
+        size: 'a4', orientation: 'portrait', margins: 'normal', header: [], footer: [], confidentialityNote: ''
+    });
+});
+
+test('buildReportModel replaces an unknown page setup and prints each item once', () => {
+    const model = buildModel(report, {}, {
+        pageSetup: {
+            size: 'tabloid',
+            orientation: 'sideways',
+            margins: 'wide',
+            header: ['reportNumber', 'companyName', 'logo'],
+            footer: ['companyName', 'confidentiality'],
+            confidentialityNote: '  Private  '
+        }
+    });
+
+    assert.deepStrictEqual(model.pageSetup, {
+        size: 'a4',
+        orientation: 'portrait',
+        margins: 'wide',
+        header: ['companyName', 'reportNumber'],
+        footer: ['confidentiality'],
+        confidentialityNote: 'Private'
+    });
+});
+
+test('buildReportModel trims fields and resolves defect details', () => {
+    const model = buildModel(report, {
+        fields: { companyName: '  Acme Inspections ', photoLayout: 'grid3', attendance: 'Tenant Present' },
+        defects: [
+            makeDefect({ severity: 'Catastrophic', status: 'Done', photoLayout: 'poster' }),
+            makeDefect({ defectType: 'Water Stain', severity: 'Minor', status: 'Rectified' })
+        ],
+        signatures: { inspector: { name: ' ' }, client: { enabled: true, name: 'Sam' } }
+    }, {
+        categories: [{ name: 'Water & Moisture Issues', types: ['Water Stain', 'Leaks'] }]
+    });
+
+    assert.strictEqual(model.company.name, 'Acme Inspections');
+    assert.strictEqual(model.photoLayout, 'grid3');
+
+    const [unknown, rectified] = model.defects;
+    assert.strictEqual(unknown.severity, '');
+    assert.strictEqual(unknown.status, 'Open');
+    assert.strictEqual(report.getDefectStatus({ status: 'toString' }), 'Open');
+    assert.strictEqual(unknown.photoLayout, '');
+    assert.strictEqual(unknown.category, 'Other');
+    assert.strictEqual(rectified.category, 'Water & Moisture Issues');
+    assert.strictEqual(model.trackRectification, true);
+
+    assert.deepStrictEqual(model.summary.byCategory.map(row => row.label), ['Water & Moisture Issues', 'Other']);
+    assert.deepStrictEqual(model.summary.bySeverity.map(row => `${row.label}: ${row.count}`),
+        ['Minor: 1', 'Moderate: 0', 'Major: 0', 'Safety Critical: 0', 'Not rated: 1']);
+
+    assert.deepStrictEqual(model.signOffs.map(signOff => `${signOff.role}: ${signOff.name}`), ['Inspector: ', 'Tenant: Sam']);
+});
+
+test('isImageDataUrl refuses image data that could carry markup', () => {
+    assert.strictEqual(report.isImageDataUrl(JPEG), true);
+    assert.strictEqual(report.isImageDataUrl('data:image/png;base64,iVBORw0KGgo='), true);
+
+    // As it would arrive in a shared project file
+    assert.strictEqual(report.isImageDataUrl('data:image/png;base64,x" onerror="alert(document.domain)'), false);
+    assert.strictEqual(report.isImageDataUrl('data:image/svg+xml;base64,PHN2Zz4='), false);
+    assert.strictEqual(report.isImageDataUrl('data:image/png,<svg>'), false);
+    assert.strictEqual(report.isImageDataUrl({ toString: () => JPEG }), false);
+});
+
+test('buildReportModel upgrades defects saved with a single imageData', () => {
+    const model = buildModel(report, {
+        defects: [{ id: 1, defectType: 'Leaks', imageData: JPEG, imageName: 'leak.jpg', description: 'Leaking tap' }]
+    });
+
+    const [defect] = model.defects;
+    assert.strictEqual(defect.images.length, 1);
+    assert.strictEqual(defect.images[0].data, JPEG);
+    assert.strictEqual(defect.images[0].name, 'leak.jpg');
+    assert.strictEqual(defect.afterImages.length, 0);
+    assert.strictEqual('imageData' in defect, false);
+});
+
+// ----------------------------------------
+// REPORT NUMBERS & FILE NAMES
+// ----------------------------------------
+
+test('formatReportNumber fills in the format and pads the number', () => {
+    const numbering = { prefix: 'RPT-', sequence: 7, digits: 4, date: GENERATED_AT };
+
+    assert.strictEqual(report.formatReportNumber('', numbering), 'RPT-2024-0007');
+    assert.strictEqual(report.formatReportNumber('{year}{month}{day}/{number}', { ...numbering, digits: 2 }), '20240305/07');
+    assert.strictEqual(report.formatReportNumber('{prefix}{job}', numbering), 'RPT-{job}0007', '{number} is never left out');
+});
+
+test('buildReportFilename drops empty tokens and makes the name safe to save', () => {
+    const filename = (pattern, fields) => report.buildReportFilename(pattern, buildModel(report, { fields }, { generatedAt: GENERATED_AT }));
+
+    assert.strictEqual(filename('', {}), 'Inspection_Report_2024-03-05');
+    assert.strictEqual(filename('', { reportNumber: 'RPT-0007', clientName: 'Pat / Lee: "Home"?', inspectionDate: '2024-03-01' }),
+        'Inspection_Report_RPT-0007_Pat-Lee-Home_2024-03-01');
+    assert.strictEqual(filename('{address} {company}', { clientAddress: '1 Main St\nSpringfield', companyName: 'Acme.' }),
+        '1 Main St, Springfield Acme');
+    assert.strictEqual(filename('{client}', { clientName: '..' }), 'Inspection_Report');
+    assert.strictEqual(filename('{client}', { clientName: 'con' }), 'Inspection_Report_con');
+    assert.strictEqual(filename('{client}', { clientName: 'x'.repeat(300) }).length, 120);
+});
+
+// ----------------------------------------
+// PDF RENDERING
+// ----------------------------------------
+
+test('renderReportPdf returns a PDF Blob', async () => {
+    const { blob, pdf } = await renderReport(report, { defects: [makeDefect()] }, { generatedAt: GENERATED_AT });
+
+    assert.ok(blob instanceof Blob);
+    assert.strictEqual(blob.type, 'application/pdf');
+    assert.ok(pdf.startsWith('%PDF-'));
+    assert.ok(hasText(pdf, 'Defect #1: Cracks (1 image)'));
+    assert.strictEqual(countImages(pdf), 1);
+});
+
+test('an empty inspection prints defaults instead of missing values', async () => {
+    const { pdf } = await renderReport(report, {}, { generatedAt: GENERATED_AT });
+
+    assert.ok(hasText(pdf, 'Inspection Company'));
+    assert.ok(hasText(pdf, 'Home Defect Inspection Report'));
+    assert.ok(hasText(pdf, 'N/A'));
+    assert.ok(!pdf.includes('undefined'));
+    assert.ok(!hasText(pdf, 'Executive Summary'));
+    assert.ok(hasText(pdf, 'Sign-Off'));
+});
+
+test('defects with missing text still render', async () => {
+    const { pdf } = await renderReport(report, {
+        defects: [{ id: 1, images: [{ data: JPEG }] }, { id: 2, defectType: 'Leaks', images: [] }]
+    }, { generatedAt: GENERATED_AT });
+
+    assert.ok(hasText(pdf, 'Identified Defects (2 Total)'));
+    assert.ok(pdf.includes('(Defect #2: Leaks'));
+    assert.ok(!pdf.includes('undefined'));
+});
+
+test('every page is numbered out of the final page count', async () => {
+    const defects = Array.from({ length: 12 }, (unused, index) => makeDefect({ id: index + 1 }));
+    const { pdf } = await renderReport(report, { defects }, { generatedAt: GENERATED_AT });
+
+    const pages = countPages(pdf);
+    assert.ok(pages > 6, `expected the defects to span several pages, got ${pages}`);
+    for (let page = 1; page <= pages; page++) {
+        assert.ok(hasText(pdf, `Page ${page} of ${pages}`), `page ${page} is not numbered`);
+    }
+    assert.ok(!hasText(pdf, `Page ${pages + 1} of ${pages}`));
+    assert.strictEqual(countImages(pdf), 1, 'the same photo is embedded once');
+});
+
+test('the cover page is counted but not numbered', async () => {
+    const defect = makeDefect({ images: [{ data: JPEG, name: 'front.jpg', cover: true }] });
+    const branding = { ...buildModel(report, {}).branding, coverPage: true };
+    const { model, pdf } = await renderReport(report, { defects: [defect] }, { branding, generatedAt: GENERATED_AT });
+
+    const pages = countPages(pdf);
+    assert.strictEqual(model.coverPhoto.name, 'front.jpg');
+    assert.ok(!hasText(pdf, `Page 1 of ${pages}`));
+    assert.ok(hasText(pdf, `Page 2 of ${pages}`));
+});
+
+test('a long description flows onto following pages without losing words', async () => {
+    const words = Array.from({ length: 1500 }, (unused, index) => `word${String(index).padStart(4, '0')}`);
+    const { pdf } = await renderReport(report, {
+        defects: [makeDefect({ description: words.join(' ') })]
+    }, { generatedAt: GENERATED_AT });
+
+    const printed = pdf.match(/\((.*?)\) Tj/g).join(' ');
+    const missing = words.filter(word => !printed.includes(word));
+    assert.deepStrictEqual(missing, []);
+
+    const withDescription = pdf.split('/Type /Page\n').filter(page => page.includes('word'));
+    assert.ok(countPages(pdf) >= 8);
+    assert.ok(withDescription.length > 1, 'the description should span pages');
+});
+
+test('long locations and trades wrap instead of being cut off', async () => {
+    const words = prefix => Array.from({ length: 40 }, (unused, index) => `${prefix}${index}`);
+    const area = words('room');
+    const trade = words('trade');
+    const { pdf } = await renderReport(report, {
+        defects: [makeDefect({ status: 'Open', locationArea: area.join(' '), responsibleTrade: trade.join(' ') })]
+    }, { generatedAt: GENERATED_AT });
+
+    // The register prints the location too, so only the defect's own page is read
+    const defectPage = pdf.split('/Type /Page\n').find(page => hasText(page, 'Responsible Trade:'));
+    const lines = defectPage.match(/\((.*?)\) Tj/g);
+    const printed = lines.join(' ').split(/[\s()]+/);
+    const missing = [...area, ...trade].filter(word => !printed.includes(word));
+    assert.deepStrictEqual(missing, []);
+    assert.ok(lines.filter(line => line.includes('trade')).length > 1, 'the trade should wrap');
+});
+
+test('images that cannot be read are listed and marked in the PDF', async () => {
+    const imageErrors = [];
+    const { pdf } = await renderReport(report, {
+        defects: [makeDefect({ images: [{ data: 'data:image/webp;base64,UklGRg==', name: 'photo.webp' }, { name: 'lost.jpg' }] })]
+    }, { generatedAt: GENERATED_AT }, { imageErrors });
+
+    assert.strictEqual(imageErrors.length, 2);
+    assert.match(imageErrors[0], /^Defect #1, image 1 \(photo\.webp\): image\/webp is not supported$/);
+    assert.match(imageErrors[1], /^Defect #1, image 2 \(lost\.jpg\): the image data is missing$/);
+    assert.ok(hasText(pdf, '[Image 1 could not be loaded]'));
+    assert.strictEqual(countImages(pdf), 0);
+});
+
+test('the page setup sets the paper, and the header and footer run on every page', async () => {
+    const defects = Array.from({ length: 4 }, (unused, index) => makeDefect({ id: index + 1 }));
+    const { pdf } = await renderReport(report, {
+        fields: { companyName: 'Acme', reportNumber: 'R-0042', clientAddress: '1 Main St\nSpringfield' },
+        defects
+    }, {
+        generatedAt: GENERATED_AT,
+        pageSetup: { size: 'letter', orientation: 'landscape', margins: 'narrow', header: ['companyName', 'reportNumber'], footer: ['address', 'confidentiality'] }
+    });
+
+    const pages = countPages(pdf);
+    assert.ok(hasText(pdf, 'Report No. R-0042'), 'the number is printed under the title');
+    assert.strictEqual((pdf.match(/\/MediaBox \[0 0 792\. 612\.\]/g) || []).length, pages);
+    const header = pdf.split('(Acme  |  Report No. R-0042) Tj').length - 1;
+    const footer = pdf.split('(1 Main St, Springfield  |  Confidential) Tj').length - 1;
+    assert.strictEqual(header, pages);
+    assert.strictEqual(footer, pages);
+});
+
+test('the table of contents gets enough pages for any paper and margins', async () => {
+    // Counts where too few pages used to be inserted
+    for (const [size, margins, count] of [['a4', 'wide', 61], ['letter', 'wide', 87]]) {
+        const defects = Array.from({ length: count }, (unused, index) => makeDefect({ id: index + 1 }));
+        const { pdf } = await renderReport(report, { defects }, { generatedAt: GENERATED_AT, pageSetup: { size, margins } });
+
+        // Only table of contents rows have dotted leaders, and the
+        // executive summary is the first page after the contents
+        const pages = pdf.split('/Type /Page\n').slice(1);
+        const tocPages = pages.map((page, index) => (/\[[\d.]+ [\d.]+\] 0\. d/.test(page) ? index + 1 : 0)).filter(Boolean);
+        const summaryPage = Number(/\(Executive Summary\) Tj\n[\s\S]*?\((\d+)\) Tj/.exec(pdf)[1]);
+        assert.deepStrictEqual(tocPages, Array.from({ length: summaryPage - 2 }, (unused, index) => index + 2), `${size} ${margins}`);
+    }
+});
+
+test('the report is printed in the model\'s language', async () => {
+    const { pdf } = await renderReport(report, {}, { language: 'fr', generatedAt: GENERATED_AT });
+
+    assert.ok(hasText(pdf, 'Société d\'inspection'));
+    assert.ok(hasText(pdf, 'Page 1 sur ' + countPages(pdf)));
+});
+
+test('custom text that matches an Object property name is printed as written', async () => {
+    assert.strictEqual(report.translate('fr', 'constructor'), 'constructor');
+    assert.strictEqual(report.translate('toString', 'hasOwnProperty'), 'hasOwnProperty');
+
+    const { pdf } = await renderReport(report, {
+        defects: [makeDefect({ defectType: 'constructor', responsibleTrade: 'toString' })]
+    }, { language: 'es', generatedAt: GENERATED_AT });
+    assert.ok(pdf.includes('(Defecto n.\xba 1: constructor'));
+    assert.ok(hasText(pdf, 'toString'));
+});
+
+test('text outside Latin-1 is drawn with the bundled fonts', async () => {
+    const fontErrors = [];
+    const { pdf } = await renderReport(report, {
+        fields: { clientName: '“Chen 陈先生”' }
+    }, { generatedAt: GENERATED_AT }, { loadFont: loadFontFile, fontErrors });
+
+    assert.deepStrictEqual(fontErrors, []);
+    assert.match(pdf, /\/BaseFont \/NotoSans\n/);
+    assert.match(pdf, /\/BaseFont \/NotoSansSC\n/);
+});
+
+test('fonts that cannot be loaded are reported, and the PDF is still made', async () => {
+    const fontErrors = [];
+    const { pdf } = await renderReport(report, {
+        fields: { clientName: '陈先生' }
+    }, { generatedAt: GENERATED_AT }, { loadFont: () => Promise.reject(new Error('offline')), fontErrors });
+
+    assert.deepStrictEqual(fontErrors, [
+        'Font NotoSans could not be loaded: offline',
+        'Font NotoSansSC could not be loaded: offline',
+        'No bundled font has these characters: 陈 先 生'
+    ]);
+    assert.strictEqual(countPages(pdf), 3);
+});
@@ -0,0 +1,1173 @@
+/**
+ * ============================================
+ * HOME DEFECT INSPECTION REPORT GENERATOR
+ * Interface Translations
+ * ============================================
+ *
+ * English is the source language. Each table maps the English text used in
+ * index.html and script.js to its translation; anything missing is shown in
+ * English. Keep placeholders in braces, such as {count}, exactly as they are.
+ * Keys starting with a context, such as 'status|Open', translate one meaning
+ * of a text that has several.
+ *
+ * To add a language, add a table here and an option to the language picker
+ * in index.html, and list it in LANGUAGES in script.js.
+ */
+
+const TRANSLATIONS = {
+    // Español
+    es: {
+        // Page text (index.html)
+        'Home Defect Inspection Report Generator': 'Generador de informes de inspección de defectos de viviendas',
+        'Create professional inspection reports and export as PDF': 'Cree informes de inspección profesionales y expórtelos en PDF',
+        'You are offline.': 'Sin conexión.',
+        'Drafts, saved reports and PDF generation keep working on this device.': 'Los borradores, los informes guardados y la generación de PDF siguen funcionando en este dispositivo.',
+        'Loading draft...': 'Cargando borrador...',
+        'Language': 'Idioma',
+        'Date Format': 'Formato de fecha',
+        'Automatic': 'Automático',
+        'Discard Draft': 'Descartar borrador',
+        'Saved Reports': 'Informes guardados',
+        'Save the current inspection under a name, then reopen it later or duplicate it as the starting point for a re-inspection.': 'Guarde la inspección actual con un nombre para volver a abrirla más tarde o duplicarla como punto de partida de una reinspección.',
+        'Report Name': 'Nombre del informe',
+        'Save Report': 'Guardar informe',
+        'New Report': 'Nuevo informe',
+        'Loading saved reports...': 'Cargando informes guardados...',
+        'Move an inspection between devices:': 'Mover una inspección entre dispositivos:',
+        'Export Project': 'Exportar proyecto',
+        'Import Project': 'Importar proyecto',
+        'Templates': 'Plantillas',
+        'A template stores a disclaimer, default inspection details, extra defect types and saved descriptions and recommendations. The active template\'s defect types and saved text are offered in the defect form.': 'Una plantilla guarda un aviso legal, datos de inspección predeterminados, tipos de defecto adicionales y descripciones y recomendaciones guardadas. Los tipos de defecto y textos guardados de la plantilla activa se ofrecen en el formulario de defectos.',
+        'Active Template': 'Plantilla activa',
+        'None': 'Ninguna',
+        'Apply to Report': 'Aplicar al informe',
+        'Save Form as Template': 'Guardar formulario como plantilla',
+        'Delete': 'Eliminar',
+        'Share templates with your team:': 'Comparta plantillas con su equipo:',
+        'Export Templates': 'Exportar plantillas',
+        'Import Templates': 'Importar plantillas',
+        'Company Information': 'Datos de la empresa',
+        'Company Name': 'Nombre de la empresa',
+        'Company Phone Number': 'Teléfono de la empresa',
+        'Company Email': 'Correo electrónico de la empresa',
+        'Report Title': 'Título del informe',
+        'Report Number': 'Número de informe',
+        'Branding': 'Imagen corporativa',
+        'Logo, colours, fonts and the cover page setting are saved in this browser and used for every report.': 'El logotipo, los colores, las fuentes y la portada se guardan en este navegador y se usan en todos los informes.',
+        'Company Logo': 'Logotipo de la empresa',
+        'No logo': 'Sin logotipo',
+        'Remove Logo': 'Quitar logotipo',
+        'Primary Colour': 'Color principal',
+        'Accent Colour': 'Color de acento',
+        'Heading Font': 'Fuente de títulos',
+        'Helvetica (sans-serif)': 'Helvetica (sans serifa)',
+        'Times (serif)': 'Times (con serifa)',
+        'Courier (monospace)': 'Courier (monoespaciada)',
+        'Body Font': 'Fuente del texto',
+        'Add a cover page': 'Añadir una portada',
+        'Cover Photo (this report)': 'Foto de portada (este informe)',
+        'No photo': 'Sin foto',
+        'Property & Client Details': 'Datos de la propiedad y del cliente',
+        'Client Name': 'Nombre del cliente',
+        'Inspection Date': 'Fecha de inspección',
+        'Client Address': 'Dirección del cliente',
+        'Inspector Name': 'Nombre del inspector',
+        'Inspector Credentials': 'Credenciales del inspector',
+        'Inspection Details': 'Detalles de la inspección',
+        'Attendance': 'Asistencia',
+        'Select...': 'Seleccione...',
+        'Owner Present': 'Propietario presente',
+        'Tenant Present': 'Inquilino presente',
+        'Agent Present': 'Agente presente',
+        'No One Present': 'Nadie presente',
+        'Builder Present': 'Constructor presente',
+        'Multiple Parties Present': 'Varias partes presentes',
+        'Occupancy': 'Ocupación',
+        'Vacant': 'Desocupada',
+        'Occupied': 'Ocupada',
+        'Partially Occupied': 'Parcialmente ocupada',
+        'Under Construction': 'En construcción',
+        'Furnished but Vacant': 'Amueblada pero desocupada',
+        'Type of Building': 'Tipo de edificio',
+        'Single Family Home': 'Vivienda unifamiliar',
+        'Condominium': 'Condominio',
+        'Bungalow': 'Bungaló',
+        'Townhouse': 'Casa adosada',
+        'Apartment/Unit': 'Apartamento/Unidad',
+        'Studio Apartment': 'Estudio',
+        'Penthouse': 'Ático',
+        'Loft': 'Loft',
+        'Duplex': 'Dúplex',
+        'Triplex': 'Tríplex',
+        'Semi-Detached': 'Pareada',
+        'Terrace House': 'Casa en hilera',
+        'Villa': 'Villa',
+        'Cottage': 'Casa de campo',
+        'Mansion': 'Mansión',
+        'HDB Flat': 'Piso HDB',
+        'Landed Property': 'Propiedad con terreno',
+        'Multi-Family': 'Plurifamiliar',
+        'Mixed-Use': 'Uso mixto',
+        'Commercial': 'Comercial',
+        'Industrial': 'Industrial',
+        'New Construction': 'Obra nueva',
+        'Weather Condition': 'Condiciones meteorológicas',
+        'Clear/Sunny': 'Despejado/Soleado',
+        'Partly Cloudy': 'Parcialmente nublado',
+        'Overcast': 'Cubierto',
+        'Raining': 'Lloviendo',
+        'Light Rain': 'Lluvia ligera',
+        'Heavy Rain': 'Lluvia intensa',
+        'Windy': 'Ventoso',
+        'Cold': 'Frío',
+        'Hot': 'Caluroso',
+        'General Disclaimer': 'Aviso legal general',
+        'Disclaimer Text': 'Texto del aviso legal',
+        'Defect List': 'Lista de defectos',
+        'Add all identified defects with images and descriptions. Each defect will appear as a separate entry in the PDF report.': 'Añada todos los defectos identificados con imágenes y descripciones. Cada defecto aparecerá como una entrada independiente en el informe PDF.',
+        'Add New Defect': 'Añadir nuevo defecto',
+        'Defect Type': 'Tipo de defecto',
+        'Select a defect type...': 'Seleccione un tipo de defecto...',
+        'Crack in Wall': 'Grieta en pared',
+        'Crack in Ceiling': 'Grieta en techo',
+        'Crack in Foundation': 'Grieta en cimentación',
+        'Uneven/Sagging Floor': 'Suelo desnivelado/hundido',
+        'Bulging Wall': 'Pared abombada',
+        'Damaged Beam/Joist': 'Viga/vigueta dañada',
+        'Water Stain': 'Mancha de agua',
+        'Water Damage': 'Daños por agua',
+        'Mold/Mildew': 'Moho',
+        'Dampness/Moisture': 'Humedad',
+        'Leaking Pipe': 'Tubería con fuga',
+        'Leaking Roof': 'Goteras en cubierta',
+        'Poor Drainage': 'Drenaje deficiente',
+        'Condensation': 'Condensación',
+        'Faulty Wiring': 'Cableado defectuoso',
+        'Exposed Wires': 'Cables expuestos',
+        'Non-functional Outlet': 'Enchufe que no funciona',
+        'Non-functional Switch': 'Interruptor que no funciona',
+        'Overloaded Circuit': 'Circuito sobrecargado',
+        'Improper Grounding': 'Puesta a tierra inadecuada',
+        'Blocked Drain': 'Desagüe obstruido',
+        'Low Water Pressure': 'Baja presión de agua',
+        'Dripping Faucet': 'Grifo que gotea',
+        'Running Toilet': 'Cisterna que pierde agua',
+        'Corroded Pipes': 'Tuberías corroídas',
+        'Water Heater Issue': 'Problema del calentador de agua',
+        'Damaged Door': 'Puerta dañada',
+        'Damaged Window': 'Ventana dañada',
+        'Broken Glass': 'Vidrio roto',
+        'Poor Sealing/Draft': 'Mal sellado/corrientes de aire',
+        'Sticking Door/Window': 'Puerta/ventana que se atasca',
+        'Broken Lock/Hardware': 'Cerradura/herraje roto',
+        'Damaged Flooring': 'Suelo dañado',
+        'Loose/Missing Tiles': 'Baldosas sueltas/faltantes',
+        'Cracked Tiles': 'Baldosas agrietadas',
+        'Carpet Damage/Stain': 'Moqueta dañada/manchada',
+        'Wood Floor Damage': 'Suelo de madera dañado',
+        'Peeling Paint': 'Pintura desconchada',
+        'Bubbling Paint': 'Pintura con ampollas',
+        'Discoloration': 'Decoloración',
+        'Scratches/Scuffs': 'Arañazos/marcas',
+        'Damaged Siding': 'Revestimiento exterior dañado',
+        'Damaged Roofing': 'Cubierta dañada',
+        'Damaged Gutters': 'Canalones dañados',
+        'Foundation Crack': 'Grieta en los cimientos',
+        'Deck/Patio Damage': 'Terraza/patio dañado',
+        'AC Not Working': 'Aire acondicionado averiado',
+        'Heating Not Working': 'Calefacción averiada',
+        'Poor Ventilation': 'Ventilación deficiente',
+        'Dirty/Clogged Filter': 'Filtro sucio/obstruido',
+        'Missing Smoke Detector': 'Falta detector de humo',
+        'Handrail Issue': 'Problema de pasamanos',
+        'Trip Hazard': 'Riesgo de tropiezo',
+        'Unsecured Item': 'Elemento sin fijar',
+        'Other (Custom Entry)': 'Otro (entrada personalizada)',
+        'Add to Template': 'Añadir a la plantilla',
+        'Upload Images (JPEG, PNG, WebP, HEIC) - You can select multiple images': 'Subir imágenes (JPEG, PNG, WebP, HEIC) - Puede seleccionar varias imágenes',
+        'Resize photos to': 'Redimensionar fotos a',
+        '1600 px (recommended)': '1600 px (recomendado)',
+        'Original size': 'Tamaño original',
+        'JPEG quality': 'Calidad JPEG',
+        'Low (60%)': 'Baja (60%)',
+        'Medium (75%)': 'Media (75%)',
+        'High (85%)': 'Alta (85%)',
+        'Maximum (95%)': 'Máxima (95%)',
+        'Use file name as caption': 'Usar el nombre del archivo como pie de foto',
+        'Applies to photos added from now on.': 'Se aplica a las fotos que se añadan a partir de ahora.',
+        'Image previews will appear here': 'Las vistas previas de las imágenes aparecerán aquí',
+        'Severity': 'Gravedad',
+        'Select severity...': 'Seleccione la gravedad...',
+        'Minor': 'Leve',
+        'Moderate': 'Moderado',
+        'Major': 'Grave',
+        'Safety Critical': 'Crítico para la seguridad',
+        'Status': 'Estado',
+        'status|Open': 'Abierto',
+        'Partially Rectified': 'Parcialmente corregido',
+        'Rectified': 'Corregido',
+        'Not Accessible': 'No accesible',
+        'Location (Room/Area)': 'Ubicación (habitación/zona)',
+        'Floor/Level': 'Planta/nivel',
+        'Elevation': 'Fachada',
+        'Not applicable': 'No aplicable',
+        'Front': 'Delantera',
+        'Rear': 'Trasera',
+        'Left Side': 'Lateral izquierdo',
+        'Right Side': 'Lateral derecho',
+        'North': 'Norte',
+        'South': 'Sur',
+        'East': 'Este',
+        'West': 'Oeste',
+        'Internal': 'Interior',
+        'Defect Description': 'Descripción del defecto',
+        'No saved descriptions': 'No hay descripciones guardadas',
+        'Save as Snippet': 'Guardar como fragmento',
+        'Recommended Action': 'Acción recomendada',
+        'No saved recommendations': 'No hay recomendaciones guardadas',
+        'Responsible Trade': 'Gremio responsable',
+        'Photo Layout': 'Disposición de fotos',
+        'Report default': 'Predeterminado del informe',
+        '1 per row': '1 por fila',
+        '2 x 2 grid': 'Cuadrícula de 2 x 2',
+        '3 x 3 contact sheet': 'Hoja de contactos de 3 x 3',
+        'Full page': 'Página completa',
+        'Add Defect': 'Añadir defecto',
+        'Cancel Edit': 'Cancelar edición',
+        'Added Defects': 'Defectos añadidos',
+        'No defects added yet. Use the form above to add defects.': 'Aún no se han añadido defectos. Use el formulario de arriba para añadirlos.',
+        'Sign-Off': 'Firma y conformidad',
+        'Sign with a mouse, finger or stylus. The signatures are printed on a sign-off page at the end of the report; leave a pad empty to sign the printed copy by hand.': 'Firme con el ratón, el dedo o un lápiz óptico. Las firmas se imprimen en una página de conformidad al final del informe; deje un recuadro vacío para firmar a mano la copia impresa.',
+        'Inspector': 'Inspector',
+        'Clear': 'Borrar',
+        'Printed Name': 'Nombre en letra de imprenta',
+        'Date Signed': 'Fecha de la firma',
+        'Include a signature from the': 'Incluir una firma del',
+        'Client': 'Cliente',
+        'Generate Report': 'Generar informe',
+        'Preview the report beside the form as you work, then download it as a PDF, Word document or web page, or download the defect register as a spreadsheet.': 'Previsualice el informe junto al formulario mientras trabaja y, después, descárguelo como PDF, documento de Word o página web, o descargue el registro de defectos como hoja de cálculo.',
+        'Page Setup': 'Configuración de página',
+        'Paper, margins and the header and footer are saved in this browser and used for every report. Page numbers and the time generated are always in the footer.': 'El papel, los márgenes, el encabezado y el pie de página se guardan en este navegador y se usan en todos los informes. Los números de página y la hora de generación siempre aparecen en el pie de página.',
+        'Paper Size': 'Tamaño del papel',
+        'Letter (8.5 x 11 in)': 'Carta (8,5 x 11 in)',
+        'Legal (8.5 x 14 in)': 'Oficio (8,5 x 14 in)',
+        'Orientation': 'Orientación',
+        'Portrait': 'Vertical',
+        'Landscape': 'Horizontal',
+        'Margins': 'Márgenes',
+        'Narrow (12.7 mm)': 'Estrechos (12,7 mm)',
+        'Normal (20 mm)': 'Normales (20 mm)',
+        'Wide (25.4 mm)': 'Anchos (25,4 mm)',
+        'Not shown': 'No se muestra',
+        'Header': 'Encabezado',
+        'Footer': 'Pie de página',
+        'Property Address': 'Dirección de la propiedad',
+        'Confidentiality Note': 'Nota de confidencialidad',
+        'Confidentiality Note Text': 'Texto de la nota de confidencialidad',
+        'Report Numbers & File Names': 'Números de informe y nombres de archivo',
+        'A report without a number is given the next one when it is downloaded. Number format: {prefix}, {year}, {month}, {day} and {number}. File name: {reportNumber}, {client}, {address}, {company} and {date} (the inspection date).': 'Un informe sin número recibe el siguiente al descargarse. Formato del número: {prefix}, {year}, {month}, {day} y {number}. Nombre de archivo: {reportNumber}, {client}, {address}, {company} y {date} (la fecha de inspección).',
+        'Number new reports automatically': 'Numerar automáticamente los informes nuevos',
+        'Prefix': 'Prefijo',
+        'Number Format': 'Formato del número',
+        'Digits': 'Dígitos',
+        'Next Number': 'Número siguiente',
+        'File Name': 'Nombre de archivo',
+        'Format': 'Formato',
+        'Word document (.docx)': 'Documento de Word (.docx)',
+        'Web page (.html)': 'Página web (.html)',
+        'Defect register (.csv)': 'Registro de defectos (.csv)',
+        'Defect register (.xlsx)': 'Registro de defectos (.xlsx)',
+        'Preview PDF': 'Vista previa del PDF',
+        'PDF Preview': 'Vista previa del PDF',
+        'Close': 'Cerrar',
+        'File:': 'Archivo:',
+        'Refresh': 'Actualizar',
+        'Download': 'Descargar',
+        'Open in New Tab': 'Abrir en una pestaña nueva',
+        'Refresh after edits': 'Actualizar tras cada cambio',
+        'PDF preview': 'Vista previa del PDF',
+        'Some phones and tablets can\'t show a PDF inside the page; use Open in New Tab there.': 'Algunos teléfonos y tabletas no pueden mostrar un PDF dentro de la página; en ellos, use Abrir en una pestaña nueva.',
+        'Home Defect Inspection Report Generator © 2024': 'Generador de informes de inspección de defectos de viviendas © 2024',
+        'Annotate Image': 'Anotar imagen',
+        'Drag on the photo to draw an arrow': 'Arrastre sobre la foto para dibujar una flecha',
+        '↗ Arrow': '↗ Flecha',
+        '◯ Circle': '◯ Círculo',
+        '▭ Rectangle': '▭ Rectángulo',
+        '✎ Freehand': '✎ Mano alzada',
+        'T Text': 'T Texto',
+        '↔ Measure': '↔ Medida',
+        'Colour': 'Color',
+        'Size': 'Tamaño',
+        'Thin': 'Fino',
+        'Medium': 'Mediano',
+        'Thick': 'Grueso',
+        '↶ Undo': '↶ Deshacer',
+        '↷ Redo': '↷ Rehacer',
+        'Clear All': 'Borrar todo',
+        'Cancel': 'Cancelar',
+        'Save Annotations': 'Guardar anotaciones',
+        'How dates and times are written in the app and in reports': 'Cómo se escriben las fechas y horas en la aplicación y en los informes',
+        'Defaults to client name, address and date': 'Por defecto: nombre del cliente, dirección y fecha',
+        'Enter company name': 'Introduzca el nombre de la empresa',
+        'Enter phone number': 'Introduzca el número de teléfono',
+        'Enter email address': 'Introduzca la dirección de correo electrónico',
+        'Enter report title': 'Introduzca el título del informe',
+        'Enter report number': 'Introduzca el número de informe',
+        'Home Defect Inspection Report': 'Informe de inspección de defectos de la vivienda',
+        'Enter client name': 'Introduzca el nombre del cliente',
+        'Enter property address': 'Introduzca la dirección de la propiedad',
+        'Enter inspector name': 'Introduzca el nombre del inspector',
+        'Enter credentials, certifications, qualifications': 'Introduzca credenciales, certificaciones y titulaciones',
+        'Structural Defects': 'Defectos estructurales',
+        'Water & Moisture Issues': 'Problemas de agua y humedad',
+        'Electrical Issues': 'Problemas eléctricos',
+        'Plumbing Issues': 'Problemas de fontanería',
+        'Doors & Windows': 'Puertas y ventanas',
+        'Flooring Issues': 'Problemas de suelos',
+        'Paint & Finish': 'Pintura y acabados',
+        'Exterior Issues': 'Problemas exteriores',
+        'HVAC Issues': 'Problemas de climatización',
+        'Safety Hazards': 'Riesgos para la seguridad',
+        'Enter custom defect type': 'Introduzca un tipo de defecto personalizado',
+        'Add this type to the active template': 'Añadir este tipo a la plantilla activa',
+        'e.g. Master Bedroom': 'p. ej., Dormitorio principal',
+        'e.g. Level 1': 'p. ej., Planta 1',
+        'Describe the defect in detail': 'Describa el defecto en detalle',
+        'Insert saved description': 'Insertar descripción guardada',
+        'Save this description to the active template': 'Guardar esta descripción en la plantilla activa',
+        'e.g. Seal the crack and repaint the affected area': 'p. ej., Sellar la grieta y repintar la zona afectada',
+        'Insert saved recommendation': 'Insertar recomendación guardada',
+        'Save this recommendation to the active template': 'Guardar esta recomendación en la plantilla activa',
+        'e.g. Builder': 'p. ej., Constructor',
+        'Inspector signature pad': 'Recuadro de firma del inspector',
+        'Defaults to the inspector name': 'Por defecto, el nombre del inspector',
+        'Client signature pad': 'Recuadro de firma del cliente',
+        'Defaults to the client name': 'Por defecto, el nombre del cliente',
+        'Annotation tools': 'Herramientas de anotación',
+        'Undo (Ctrl+Z)': 'Deshacer (Ctrl+Z)',
+        'Redo (Ctrl+Y)': 'Rehacer (Ctrl+Y)',
+
+        // Messages, defect cards and report text (script.js)
+        'File "{name}" is not an image and will be skipped.': 'El archivo "{name}" no es una imagen y se omitirá.',
+        'Processing photo {current} of {total}...': 'Procesando foto {current} de {total}...',
+        'File "{name}" will be skipped: {error}.': 'Se omitirá el archivo "{name}": {error}.',
+        'Caption for image {number} (printed under the photo in the report):': 'Pie de foto de la imagen {number} (se imprime bajo la foto en el informe):',
+        'Add a caption': 'Añadir un pie de foto',
+        'Edit caption of image {number}': 'Editar el pie de foto de la imagen {number}',
+        'Add caption to image {number}': 'Añadir pie de foto a la imagen {number}',
+        '+ Caption': '+ Pie de foto',
+        'Edit annotations on image {number}': 'Editar las anotaciones de la imagen {number}',
+        'Annotate image {number}': 'Anotar la imagen {number}',
+        'Edit annotations': 'Editar anotaciones',
+        'Annotate image': 'Anotar imagen',
+        'Defect image {number}': 'Imagen del defecto {number}',
+        'Remove image': 'Quitar imagen',
+        '{side} elevation': 'Fachada: {side}',
+        'Please select or enter a defect type.': 'Seleccione o introduzca un tipo de defecto.',
+        'Please select at least one image for the defect.': 'Seleccione al menos una imagen para el defecto.',
+        'Please enter a description for the defect.': 'Introduzca una descripción del defecto.',
+        'Please select a severity for the defect.': 'Seleccione la gravedad del defecto.',
+        'Edit Defect #{number}': 'Editar defecto n.º {number}',
+        'Save Changes': 'Guardar cambios',
+        'Are you sure you want to remove this defect?': '¿Seguro que desea eliminar este defecto?',
+        'Defect {number} - Image {image}': 'Defecto {number} - Imagen {image}',
+        'Defect {number}': 'Defecto {number}',
+        'Drag to reorder': 'Arrastre para reordenar',
+        'Defect #{number}': 'Defecto n.º {number}',
+        'Type:': 'Tipo:',
+        '{count} image': '{count} imagen',
+        '{count} images': '{count} imágenes',
+        'Location:': 'Ubicación:',
+        'Move defect #{number} up': 'Subir el defecto n.º {number}',
+        'Move up': 'Subir',
+        'Move defect #{number} down': 'Bajar el defecto n.º {number}',
+        'Move down': 'Bajar',
+        'Edit': 'Editar',
+        'Remove': 'Quitar',
+        'Not rated': 'Sin clasificar',
+        'Status of defect {type}': 'Estado del defecto {type}',
+        'After Photos ({count})': 'Fotos posteriores ({count})',
+        'Defect {number} - After photo {image}': 'Defecto {number} - Foto posterior {image}',
+        'Remove after photo {number}': 'Quitar la foto posterior {number}',
+        '+ Add After Photos': '+ Añadir fotos posteriores',
+        'Recommended Action:': 'Acción recomendada:',
+        'Responsible Trade:': 'Gremio responsable:',
+        'Move image {number} earlier': 'Mover la imagen {number} antes',
+        'Move earlier': 'Mover antes',
+        'Move image {number} later': 'Mover la imagen {number} después',
+        'Move later': 'Mover después',
+        'Remove this after photo?': '¿Quitar esta foto posterior?',
+        ' (inspected {date})': ' (inspeccionado el {date})',
+        'Follow-up of "{name}"': 'Seguimiento de "{name}"',
+        'Set each defect\'s status and add after photos from its card.': 'Indique el estado de cada defecto y añada fotos posteriores desde su tarjeta.',
+        '{outstanding} of {total} item outstanding.': '{outstanding} de {total} elemento pendiente.',
+        '{outstanding} of {total} items outstanding.': '{outstanding} de {total} elementos pendientes.',
+        'End Follow-Up': 'Finalizar seguimiento',
+        'End follow-up mode? Statuses and after photos are kept, but no more after photos can be added.': '¿Finalizar el modo de seguimiento? Se conservan los estados y las fotos posteriores, pero no se podrán añadir más fotos posteriores.',
+        'This image could not be opened for annotation.': 'No se pudo abrir esta imagen para anotarla.',
+        'Label text:': 'Texto de la etiqueta:',
+        'Measurement label (e.g. "25 mm"):': 'Etiqueta de la medida (p. ej., "25 mm"):',
+        'Company logo': 'Logotipo de la empresa',
+        'Defect #{number}: {type}, image {image}': 'Defecto n.º {number}: {type}, imagen {image}',
+        'The logo is too large to be saved in this browser. Please choose a smaller image.': 'El logotipo es demasiado grande para guardarlo en este navegador. Elija una imagen más pequeña.',
+        'The logo could not be used: {error}.': 'No se pudo usar el logotipo: {error}.',
+        'Estimated PDF size: about {size} ({count} photo).': 'Tamaño estimado del PDF: unos {size} ({count} foto).',
+        'Estimated PDF size: about {size} ({count} photos).': 'Tamaño estimado del PDF: unos {size} ({count} fotos).',
+        'Large files can be hard to email - choose a smaller photo size before adding photos.': 'Los archivos grandes pueden ser difíciles de enviar por correo; elija un tamaño de foto menor antes de añadir fotos.',
+        'The PDF library (jsPDF) is not loaded, so the report cannot be generated. Reload the page with a connection, then try again.': 'La biblioteca de PDF (jsPDF) no está cargada, así que no se puede generar el informe. Vuelva a cargar la página con conexión e inténtelo de nuevo.',
+        'Generating report...': 'Generando informe...',
+        'Defect #{number}: {type} (continued)': 'Defecto n.º {number}: {type} (continuación)',
+        'Logo: {error}': 'Logotipo: {error}',
+        'Prepared for': 'Preparado para',
+        'Credentials': 'Credenciales',
+        'Company': 'Empresa',
+        'Contact': 'Contacto',
+        'Cover photo: {error}': 'Foto de portada: {error}',
+        'Inspection Company': 'Empresa de inspección',
+        'Client Name:': 'Nombre del cliente:',
+        'Property Address:': 'Dirección:',
+        'Inspection Date:': 'Fecha de inspección:',
+        'Inspector:': 'Inspector:',
+        'Credentials:': 'Credenciales:',
+        'N/A': 'N/D',
+        'Executive Summary': 'Resumen ejecutivo',
+        'This inspection identified {count} defect': 'Esta inspección identificó {count} defecto',
+        'This inspection identified {count} defects': 'Esta inspección identificó {count} defectos',
+        'across {count} category.': 'en {count} categoría.',
+        'across {count} categories.': 'en {count} categorías.',
+        '{count} defect is rated Safety Critical and should be attended to immediately.': '{count} defecto está clasificado como crítico para la seguridad y debe atenderse de inmediato.',
+        '{count} defects are rated Safety Critical and should be attended to immediately.': '{count} defectos están clasificados como críticos para la seguridad y deben atenderse de inmediato.',
+        'Defects by Category': 'Defectos por categoría',
+        'Defects by Severity': 'Defectos por gravedad',
+        'No.': 'N.º',
+        'Type': 'Tipo',
+        'Defect Register': 'Registro de defectos',
+        'Images': 'Imágenes',
+        'After Photos': 'Fotos posteriores',
+        'Category': 'Categoría',
+        'Location': 'Ubicación',
+        'Rectification Status': 'Estado de corrección',
+        'Defects by Status': 'Defectos por estado',
+        'Follow-up of the inspection "{name}" carried out on {date}.': 'Seguimiento de la inspección "{name}" realizada el {date}.',
+        'Follow-up of the inspection "{name}".': 'Seguimiento de la inspección "{name}".',
+        'All defects have been rectified.': 'Se han corregido todos los defectos.',
+        '{outstanding} of {total} defects is still outstanding.': '{outstanding} de {total} defectos sigue pendiente.',
+        '{outstanding} of {total} defects are still outstanding.': '{outstanding} de {total} defectos siguen pendientes.',
+        'Outstanding Items': 'Elementos pendientes',
+        'Identified Defects ({count} Total)': 'Defectos identificados ({count} en total)',
+        'Defect #{number}: {type}': 'Defecto n.º {number}: {type}',
+        'Defect #{number}: {type} ({count} images)': 'Defecto n.º {number}: {type} ({count} imágenes)',
+        'Defect #{number}: {type} ({count} image)': 'Defecto n.º {number}: {type} ({count} imagen)',
+        'Before {number} of {total}': 'Antes {number} de {total}',
+        'Before': 'Antes',
+        'image {number}': 'imagen {number}',
+        'After {number} of {total}': 'Después {number} de {total}',
+        'After': 'Después',
+        'after photo {number}': 'foto posterior {number}',
+        'Image {number} of {total}': 'Imagen {number} de {total}',
+        '[{name} could not be loaded]': '[No se pudo cargar: {name}]',
+        'I confirm that I carried out this inspection and that this report records my findings.': 'Confirmo que realicé esta inspección y que este informe recoge mis conclusiones.',
+        'I acknowledge that I have received this report.': 'Confirmo que he recibido este informe.',
+        '{role} signature: {error}': 'Firma ({role}): {error}',
+        'Signature': 'Firma',
+        'Name': 'Nombre',
+        'Date': 'Fecha',
+        'Table of Contents': 'Índice',
+        'Page {page} of {total}': 'Página {page} de {total}',
+        'Report generated: {timestamp}': 'Informe generado: {timestamp}',
+        'Report No. {number}': 'Informe n.º {number}',
+        'Confidential': 'Confidencial',
+        '{number} (given when the report is downloaded)': '{number} (se asigna al descargar el informe)',
+        'Report generated, but {count} images could not be added. File: {filename}': 'Informe generado, pero no se pudieron añadir {count} imágenes. Archivo: {filename}',
+        'Report generated, but {count} image could not be added. File: {filename}': 'Informe generado, pero no se pudo añadir {count} imagen. Archivo: {filename}',
+        'Report generated, but some characters could not be printed. File: {filename}': 'Informe generado, pero algunos caracteres no se pudieron imprimir. Archivo: {filename}',
+        'Font {font} could not be loaded: {error}': 'No se pudo cargar la fuente {font}: {error}',
+        'No bundled font has these characters: {characters}': 'Ninguna fuente incluida tiene estos caracteres: {characters}',
+        'Report generated successfully! File: {filename}': '¡Informe generado correctamente! Archivo: {filename}',
+        'Error generating report: {error}': 'Error al generar el informe: {error}',
+        'Updating preview...': 'Actualizando la vista previa...',
+        'Preview updated at {time}.': 'Vista previa actualizada a las {time}.',
+        'Preview updated at {time}, but some content could not be added:': 'Vista previa actualizada a las {time}, pero no se pudo añadir parte del contenido:',
+        'The preview could not be generated: {error}': 'No se pudo generar la vista previa: {error}',
+        'The report has changed since this preview. Click Refresh to update it.': 'El informe ha cambiado desde esta vista previa. Haga clic en Actualizar para ponerla al día.',
+        'Draft saved at {time}': 'Borrador guardado a las {time}',
+        'Draft could not be saved: {error}': 'No se pudo guardar el borrador: {error}',
+        'Autosave unavailable: {error}': 'Guardado automático no disponible: {error}',
+        'Changes are saved automatically as a draft': 'Los cambios se guardan automáticamente como borrador',
+        'Draft restored (last saved {timestamp})': 'Borrador restaurado (guardado por última vez el {timestamp})',
+        'Discard this draft? All entered details, defects and images will be cleared.': '¿Descartar este borrador? Se borrarán todos los datos, defectos e imágenes introducidos.',
+        'Draft discarded': 'Borrador descartado',
+        'Untitled Inspection': 'Inspección sin título',
+        'The report could not be saved: {error}': 'No se pudo guardar el informe: {error}',
+        'Open this report? Unsaved changes to the current form will be lost.': '¿Abrir este informe? Se perderán los cambios no guardados del formulario actual.',
+        'This report no longer exists.': 'Este informe ya no existe.',
+        'The report could not be opened: {error}': 'No se pudo abrir el informe: {error}',
+        'The report could not be duplicated: {error}': 'No se pudo duplicar el informe: {error}',
+        'The follow-up could not be started: {error}': 'No se pudo iniciar el seguimiento: {error}',
+        'Delete this saved report? This cannot be undone.': '¿Eliminar este informe guardado? Esta acción no se puede deshacer.',
+        'The report could not be deleted: {error}': 'No se pudo eliminar el informe: {error}',
+        'Start a new report? Unsaved changes to the current form will be lost.': '¿Empezar un informe nuevo? Se perderán los cambios no guardados del formulario actual.',
+        'Saved reports are unavailable: {error}': 'Los informes guardados no están disponibles: {error}',
+        'Update Saved Report': 'Actualizar informe guardado',
+        'No saved reports yet. Fill in the form and click "Save Report".': 'Aún no hay informes guardados. Rellene el formulario y haga clic en "Guardar informe".',
+        'Open': 'Abrir',
+        'Follow-Up': 'Seguimiento',
+        'Client:': 'Cliente:',
+        'Address:': 'Dirección:',
+        'Inspected:': 'Inspeccionado:',
+        'Defects:': 'Defectos:',
+        'Saved {timestamp}': 'Guardado el {timestamp}',
+        'Duplicate': 'Duplicar',
+        'Open a copy to record which defects have been fixed': 'Abrir una copia para registrar qué defectos se han corregido',
+        'This is not a DefectPro project file.': 'No es un archivo de proyecto de DefectPro.',
+        'Unsupported project version "{version}". Please update the app.': 'Versión de proyecto no compatible "{version}". Actualice la aplicación.',
+        'The project has no report fields.': 'El proyecto no tiene campos de informe.',
+        'The project has no defect list.': 'El proyecto no tiene lista de defectos.',
+        '{label} is not a valid defect.': '{label} no es un defecto válido.',
+        '{label} has no defect type.': '{label} no tiene tipo de defecto.',
+        '{label} has no description.': '{label} no tiene descripción.',
+        '{label} has an invalid list of after photos.': '{label} tiene una lista de fotos posteriores no válida.',
+        '{label} has an unknown status "{status}".': '{label} tiene un estado desconocido "{status}".',
+        '{label} is not an embedded image.': '{label} no es una imagen incrustada.',
+        '{label} has invalid annotations.': '{label} tiene anotaciones no válidas.',
+        '{label} has an invalid caption.': '{label} tiene un pie de foto no válido.',
+        '{label} has an invalid cover photo setting.': '{label} tiene un ajuste de foto de portada no válido.',
+        'The project has invalid follow-up details.': 'El proyecto tiene datos de seguimiento no válidos.',
+        'The project has invalid signatures.': 'El proyecto tiene firmas no válidas.',
+        'The inspector signature is invalid.': 'La firma del inspector no es válida.',
+        'The client signature is invalid.': 'La firma del cliente no es válida.',
+        'The file is not valid JSON.': 'El archivo no es un JSON válido.',
+        'Could not import "{name}": {error}': 'No se pudo importar "{name}": {error}',
+        'Import this project? The current form will be replaced.': '¿Importar este proyecto? Se reemplazará el formulario actual.',
+        'Imported "{name}" with {count} defect.': 'Se importó "{name}" con {count} defecto.',
+        'Imported "{name}" with {count} defects.': 'Se importó "{name}" con {count} defectos.',
+        'Template name:': 'Nombre de la plantilla:',
+        'Replace the disclaimer and default details of "{name}" with the ones in the form?': '¿Reemplazar el aviso legal y los datos predeterminados de "{name}" por los del formulario?',
+        'The template could not be saved: {error}': 'No se pudo guardar la plantilla: {error}',
+        'Delete the template "{name}"? This cannot be undone.': '¿Eliminar la plantilla "{name}"? Esta acción no se puede deshacer.',
+        'The template could not be deleted: {error}': 'No se pudo eliminar la plantilla: {error}',
+        'Choose or save a template first.': 'Primero elija o guarde una plantilla.',
+        'Please enter the custom defect type first.': 'Primero introduzca el tipo de defecto personalizado.',
+        'Category for "{type}" (e.g. {examples}):': 'Categoría de "{type}" (p. ej., {examples}):',
+        'The defect type could not be added: {error}': 'No se pudo añadir el tipo de defecto: {error}',
+        'Please select a defect type and enter the description to save.': 'Seleccione un tipo de defecto e introduzca la descripción que desea guardar.',
+        'Please select a defect type and enter the recommendation to save.': 'Seleccione un tipo de defecto e introduzca la recomendación que desea guardar.',
+        'The snippet could not be saved: {error}': 'No se pudo guardar el fragmento: {error}',
+        'The defect type could not be removed: {error}': 'No se pudo quitar el tipo de defecto: {error}',
+        'The snippet could not be removed: {error}': 'No se pudo quitar el fragmento: {error}',
+        'Update or Save as New Template': 'Actualizar o guardar como nueva plantilla',
+        'No templates yet. Fill in the disclaimer and inspection details, then click "Save Form as Template".': 'Aún no hay plantillas. Rellene el aviso legal y los detalles de la inspección y haga clic en "Guardar formulario como plantilla".',
+        'No template is active.': 'No hay ninguna plantilla activa.',
+        'Remove defect type {type}': 'Quitar el tipo de defecto {type}',
+        'Remove snippet': 'Quitar fragmento',
+        'Defect Types ({count})': 'Tipos de defecto ({count})',
+        'Add one with "Other (Custom Entry)" and "Add to Template" in the defect form.': 'Añada uno con "Otro (entrada personalizada)" y "Añadir a la plantilla" en el formulario de defectos.',
+        'Snippets ({count})': 'Fragmentos ({count})',
+        'Write a description or recommendation in the defect form and click "Save as Snippet".': 'Escriba una descripción o recomendación en el formulario de defectos y haga clic en "Guardar como fragmento".',
+        'There are no templates to export.': 'No hay plantillas para exportar.',
+        'Template #{number}': 'Plantilla n.º {number}',
+        '{label} has no name.': '{label} no tiene nombre.',
+        '{label} ("{name}") has an invalid defect type list.': '{label} ("{name}") tiene una lista de tipos de defecto no válida.',
+        '{label} ("{name}") has an invalid snippet list.': '{label} ("{name}") tiene una lista de fragmentos no válida.',
+        'This is not a DefectPro templates file.': 'No es un archivo de plantillas de DefectPro.',
+        'Unsupported templates version "{version}". Please update the app.': 'Versión de plantillas no compatible "{version}". Actualice la aplicación.',
+        'The templates could not be imported: {error}': 'No se pudieron importar las plantillas: {error}',
+        'Imported {count} template.': 'Se importó {count} plantilla.',
+        'Imported {count} templates.': 'Se importaron {count} plantillas.',
+        'The templates could not be saved: {error}': 'No se pudieron guardar las plantillas: {error}',
+        'Drag from the tail to the point of the arrow': 'Arrastre desde la cola hasta la punta de la flecha',
+        'Drag to draw a circle or ellipse around the area': 'Arrastre para dibujar un círculo o una elipse alrededor de la zona',
+        'Drag to draw a rectangle': 'Arrastre para dibujar un rectángulo',
+        'Hold and drag to draw freely': 'Mantenga pulsado y arrastre para dibujar a mano alzada',
+        'Click where the label should go': 'Haga clic donde debe ir la etiqueta',
+        'Drag along the distance, then enter the measurement': 'Arrastre a lo largo de la distancia y luego introduzca la medida',
+        'Owner': 'Propietario',
+        'Tenant': 'Inquilino',
+        'Agent': 'Agente',
+        'Builder': 'Constructor',
+        'Description': 'Descripción',
+        'Recommendation': 'Recomendación',
+        'Insert saved description...': 'Insertar descripción guardada...',
+        'Insert saved recommendation...': 'Insertar recomendación guardada...',
+        'Other': 'Otros',
+        'Custom Defects': 'Defectos personalizados'
+    },
+
+    // Français
+    fr: {
+        // Page text (index.html)
+        'Home Defect Inspection Report Generator': 'Générateur de rapports d\'inspection des défauts de logement',
+        'Create professional inspection reports and export as PDF': 'Créez des rapports d\'inspection professionnels et exportez-les en PDF',
+        'You are offline.': 'Vous êtes hors ligne.',
+        'Drafts, saved reports and PDF generation keep working on this device.': 'Les brouillons, les rapports enregistrés et la génération de PDF continuent de fonctionner sur cet appareil.',
+        'Loading draft...': 'Chargement du brouillon...',
+        'Language': 'Langue',
+        'Date Format': 'Format de date',
+        'Automatic': 'Automatique',
+        'Discard Draft': 'Supprimer le brouillon',
+        'Saved Reports': 'Rapports enregistrés',
+        'Save the current inspection under a name, then reopen it later or duplicate it as the starting point for a re-inspection.': 'Enregistrez l\'inspection en cours sous un nom pour la rouvrir plus tard ou la dupliquer comme point de départ d\'une contre-visite.',
+        'Report Name': 'Nom du rapport',
+        'Save Report': 'Enregistrer le rapport',
+        'New Report': 'Nouveau rapport',
+        'Loading saved reports...': 'Chargement des rapports enregistrés...',
+        'Move an inspection between devices:': 'Transférer une inspection entre appareils :',
+        'Export Project': 'Exporter le projet',
+        'Import Project': 'Importer un projet',
+        'Templates': 'Modèles',
+        'A template stores a disclaimer, default inspection details, extra defect types and saved descriptions and recommendations. The active template\'s defect types and saved text are offered in the defect form.': 'Un modèle contient une clause de non-responsabilité, des détails d\'inspection par défaut, des types de défaut supplémentaires ainsi que des descriptions et recommandations enregistrées. Les types de défaut et les textes du modèle actif sont proposés dans le formulaire des défauts.',
+        'Active Template': 'Modèle actif',
+        'None': 'Aucun',
+        'Apply to Report': 'Appliquer au rapport',
+        'Save Form as Template': 'Enregistrer le formulaire comme modèle',
+        'Delete': 'Supprimer',
+        'Share templates with your team:': 'Partagez des modèles avec votre équipe :',
+        'Export Templates': 'Exporter les modèles',
+        'Import Templates': 'Importer des modèles',
+        'Company Information': 'Informations sur l\'entreprise',
+        'Company Name': 'Nom de l\'entreprise',
+        'Company Phone Number': 'Téléphone de l\'entreprise',
+        'Company Email': 'E-mail de l\'entreprise',
+        'Report Title': 'Titre du rapport',
+        'Report Number': 'Numéro de rapport',
+        'Branding': 'Image de marque',
+        'Logo, colours, fonts and the cover page setting are saved in this browser and used for every report.': 'Le logo, les couleurs, les polices et le réglage de la page de couverture sont enregistrés dans ce navigateur et utilisés pour tous les rapports.',
+        'Company Logo': 'Logo de l\'entreprise',
+        'No logo': 'Aucun logo',
+        'Remove Logo': 'Retirer le logo',
+        'Primary Colour': 'Couleur principale',
+        'Accent Colour': 'Couleur d\'accent',
+        'Heading Font': 'Police des titres',
+        'Helvetica (sans-serif)': 'Helvetica (sans empattement)',
+        'Times (serif)': 'Times (avec empattement)',
+        'Courier (monospace)': 'Courier (chasse fixe)',
+        'Body Font': 'Police du texte',
+        'Add a cover page': 'Ajouter une page de couverture',
+        'Cover Photo (this report)': 'Photo de couverture (ce rapport)',
+        'No photo': 'Aucune photo',
+        'Property & Client Details': 'Informations sur le bien et le client',
+        'Client Name': 'Nom du client',
+        'Inspection Date': 'Date d\'inspection',
+        'Client Address': 'Adresse du client',
+        'Inspector Name': 'Nom de l\'inspecteur',
+        'Inspector Credentials': 'Qualifications de l\'inspecteur',
+        'Inspection Details': 'Détails de l\'inspection',
+        'Attendance': 'Présence',
+        'Select...': 'Sélectionner...',
+        'Owner Present': 'Propriétaire présent',
+        'Tenant Present': 'Locataire présent',
+        'Agent Present': 'Agent présent',
+        'No One Present': 'Personne de présent',
+        'Builder Present': 'Constructeur présent',
+        'Multiple Parties Present': 'Plusieurs parties présentes',
+        'Occupancy': 'Occupation',
+        'Vacant': 'Inoccupé',
+        'Occupied': 'Occupé',
+        'Partially Occupied': 'Partiellement occupé',
+        'Under Construction': 'En construction',
+        'Furnished but Vacant': 'Meublé mais inoccupé',
+        'Type of Building': 'Type de bâtiment',
+        'Single Family Home': 'Maison individuelle',
+        'Condominium': 'Copropriété',
+        'Bungalow': 'Bungalow',
+        'Townhouse': 'Maison de ville',
+        'Apartment/Unit': 'Appartement/Lot',
+        'Studio Apartment': 'Studio',
+        'Penthouse': 'Penthouse',
+        'Loft': 'Loft',
+        'Duplex': 'Duplex',
+        'Triplex': 'Triplex',
+        'Semi-Detached': 'Maison jumelée',
+        'Terrace House': 'Maison mitoyenne',
+        'Villa': 'Villa',
+        'Cottage': 'Cottage',
+        'Mansion': 'Manoir',
+        'HDB Flat': 'Appartement HDB',
+        'Landed Property': 'Propriété foncière',
+        'Multi-Family': 'Immeuble collectif',
+        'Mixed-Use': 'Usage mixte',
+        'Commercial': 'Commercial',
+        'Industrial': 'Industriel',
+        'New Construction': 'Construction neuve',
+        'Weather Condition': 'Conditions météo',
+        'Clear/Sunny': 'Dégagé/Ensoleillé',
+        'Partly Cloudy': 'Partiellement nuageux',
+        'Overcast': 'Couvert',
+        'Raining': 'Pluie',
+        'Light Rain': 'Pluie légère',
+        'Heavy Rain': 'Forte pluie',
+        'Windy': 'Venteux',
+        'Cold': 'Froid',
+        'Hot': 'Chaud',
+        'General Disclaimer': 'Clause de non-responsabilité',
+        'Disclaimer Text': 'Texte de la clause',
+        'Defect List': 'Liste des défauts',
+        'Add all identified defects with images and descriptions. Each defect will appear as a separate entry in the PDF report.': 'Ajoutez tous les défauts constatés avec des images et des descriptions. Chaque défaut apparaîtra comme une entrée distincte dans le rapport PDF.',
+        'Add New Defect': 'Ajouter un défaut',
+        'Defect Type': 'Type de défaut',
+        'Select a defect type...': 'Sélectionnez un type de défaut...',
+        'Crack in Wall': 'Fissure dans un mur',
+        'Crack in Ceiling': 'Fissure au plafond',
+        'Crack in Foundation': 'Fissure dans les fondations',
+        'Uneven/Sagging Floor': 'Sol inégal/affaissé',
+        'Bulging Wall': 'Mur bombé',
+        'Damaged Beam/Joist': 'Poutre/solive endommagée',
+        'Water Stain': 'Tache d\'eau',
+        'Water Damage': 'Dégât des eaux',
+        'Mold/Mildew': 'Moisissures',
+        'Dampness/Moisture': 'Humidité',
+        'Leaking Pipe': 'Tuyau qui fuit',
+        'Leaking Roof': 'Toiture qui fuit',
+        'Poor Drainage': 'Mauvais drainage',
+        'Condensation': 'Condensation',
+        'Faulty Wiring': 'Câblage défectueux',
+        'Exposed Wires': 'Fils dénudés',
+        'Non-functional Outlet': 'Prise hors service',
+        'Non-functional Switch': 'Interrupteur hors service',
+        'Overloaded Circuit': 'Circuit surchargé',
+        'Improper Grounding': 'Mise à la terre incorrecte',
+        'Blocked Drain': 'Évacuation bouchée',
+        'Low Water Pressure': 'Faible pression d\'eau',
+        'Dripping Faucet': 'Robinet qui goutte',
+        'Running Toilet': 'Chasse d\'eau qui coule',
+        'Corroded Pipes': 'Tuyaux corrodés',
+        'Water Heater Issue': 'Problème de chauffe-eau',
+        'Damaged Door': 'Porte endommagée',
+        'Damaged Window': 'Fenêtre endommagée',
+        'Broken Glass': 'Vitre cassée',
+        'Poor Sealing/Draft': 'Mauvaise étanchéité/courant d\'air',
+        'Sticking Door/Window': 'Porte/fenêtre qui coince',
+        'Broken Lock/Hardware': 'Serrure/quincaillerie cassée',
+        'Damaged Flooring': 'Revêtement de sol endommagé',
+        'Loose/Missing Tiles': 'Carreaux décollés/manquants',
+        'Cracked Tiles': 'Carreaux fissurés',
+        'Carpet Damage/Stain': 'Moquette abîmée/tachée',
+        'Wood Floor Damage': 'Parquet endommagé',
+        'Peeling Paint': 'Peinture écaillée',
+        'Bubbling Paint': 'Peinture cloquée',
+        'Discoloration': 'Décoloration',
+        'Scratches/Scuffs': 'Rayures/éraflures',
+        'Damaged Siding': 'Bardage endommagé',
+        'Damaged Roofing': 'Couverture endommagée',
+        'Damaged Gutters': 'Gouttières endommagées',
+        'Foundation Crack': 'Fissure des fondations',
+        'Deck/Patio Damage': 'Terrasse/patio endommagé',
+        'AC Not Working': 'Climatisation en panne',
+        'Heating Not Working': 'Chauffage en panne',
+        'Poor Ventilation': 'Mauvaise ventilation',
+        'Dirty/Clogged Filter': 'Filtre sale/colmaté',
+        'Missing Smoke Detector': 'Détecteur de fumée manquant',
+        'Handrail Issue': 'Problème de main courante',
+        'Trip Hazard': 'Risque de trébuchement',
+        'Unsecured Item': 'Élément non fixé',
+        'Other (Custom Entry)': 'Autre (saisie libre)',
+        'Add to Template': 'Ajouter au modèle',
+        'Upload Images (JPEG, PNG, WebP, HEIC) - You can select multiple images': 'Importer des images (JPEG, PNG, WebP, HEIC) - Vous pouvez en sélectionner plusieurs',
+        'Resize photos to': 'Redimensionner les photos à',
+        '1600 px (recommended)': '1600 px (recommandé)',
+        'Original size': 'Taille d\'origine',
+        'JPEG quality': 'Qualité JPEG',
+        'Low (60%)': 'Basse (60 %)',
+        'Medium (75%)': 'Moyenne (75 %)',
+        'High (85%)': 'Haute (85 %)',
+        'Maximum (95%)': 'Maximale (95 %)',
+        'Use file name as caption': 'Utiliser le nom du fichier comme légende',
+        'Applies to photos added from now on.': 'S\'applique aux photos ajoutées à partir de maintenant.',
+        'Image previews will appear here': 'Les aperçus des images apparaîtront ici',
+        'Severity': 'Gravité',
+        'Select severity...': 'Sélectionnez la gravité...',
+        'Minor': 'Mineur',
+        'Moderate': 'Modéré',
+        'Major': 'Majeur',
+        'Safety Critical': 'Critique pour la sécurité',
+        'Status': 'Statut',
+        'status|Open': 'Ouvert',
+        'Partially Rectified': 'Partiellement corrigé',
+        'Rectified': 'Corrigé',
+        'Not Accessible': 'Non accessible',
+        'Location (Room/Area)': 'Emplacement (pièce/zone)',
+        'Floor/Level': 'Étage/niveau',
+        'Elevation': 'Façade',
+        'Not applicable': 'Sans objet',
+        'Front': 'Avant',
+        'Rear': 'Arrière',
+        'Left Side': 'Côté gauche',
+        'Right Side': 'Côté droit',
+        'North': 'Nord',
+        'South': 'Sud',
+        'East': 'Est',
+        'West': 'Ouest',
+        'Internal': 'Intérieur',
+        'Defect Description': 'Description du défaut',
+        'No saved descriptions': 'Aucune description enregistrée',
+        'Save as Snippet': 'Enregistrer comme extrait',
+        'Recommended Action': 'Action recommandée',
+        'No saved recommendations': 'Aucune recommandation enregistrée',
+        'Responsible Trade': 'Corps de métier responsable',
+        'Photo Layout': 'Disposition des photos',
+        'Report default': 'Par défaut du rapport',
+        '1 per row': '1 par ligne',
+        '2 x 2 grid': 'Grille 2 x 2',
+        '3 x 3 contact sheet': 'Planche contact 3 x 3',
+        'Full page': 'Pleine page',
+        'Add Defect': 'Ajouter le défaut',
+        'Cancel Edit': 'Annuler la modification',
+        'Added Defects': 'Défauts ajoutés',
+        'No defects added yet. Use the form above to add defects.': 'Aucun défaut ajouté pour l\'instant. Utilisez le formulaire ci-dessus pour en ajouter.',
+        'Sign-Off': 'Signature et validation',
+        'Sign with a mouse, finger or stylus. The signatures are printed on a sign-off page at the end of the report; leave a pad empty to sign the printed copy by hand.': 'Signez à la souris, au doigt ou au stylet. Les signatures sont imprimées sur une page de validation à la fin du rapport ; laissez un cadre vide pour signer l\'exemplaire imprimé à la main.',
+        'Inspector': 'Inspecteur',
+        'Clear': 'Effacer',
+        'Printed Name': 'Nom en toutes lettres',
+        'Date Signed': 'Date de signature',
+        'Include a signature from the': 'Inclure une signature du',
+        'Client': 'Client',
+        'Generate Report': 'Générer le rapport',
+        'Preview the report beside the form as you work, then download it as a PDF, Word document or web page, or download the defect register as a spreadsheet.': 'Prévisualisez le rapport à côté du formulaire pendant que vous travaillez, puis téléchargez-le en PDF, en document Word ou en page web, ou téléchargez le registre des défauts sous forme de feuille de calcul.',
+        'Page Setup': 'Mise en page',
+        'Paper, margins and the header and footer are saved in this browser and used for every report. Page numbers and the time generated are always in the footer.': 'Le papier, les marges, l\'en-tête et le pied de page sont enregistrés dans ce navigateur et utilisés pour tous les rapports. Les numéros de page et l\'heure de génération figurent toujours dans le pied de page.',
+        'Paper Size': 'Format du papier',
+        'Letter (8.5 x 11 in)': 'Lettre US (8,5 x 11 po)',
+        'Legal (8.5 x 14 in)': 'Légal US (8,5 x 14 po)',
+        'Orientation': 'Orientation',
+        'Portrait': 'Portrait',
+        'Landscape': 'Paysage',
+        'Margins': 'Marges',
+        'Narrow (12.7 mm)': 'Étroites (12,7 mm)',
+        'Normal (20 mm)': 'Normales (20 mm)',
+        'Wide (25.4 mm)': 'Larges (25,4 mm)',
+        'Not shown': 'Non affiché',
+        'Header': 'En-tête',
+        'Footer': 'Pied de page',
+        'Property Address': 'Adresse du bien',
+        'Confidentiality Note': 'Mention de confidentialité',
+        'Confidentiality Note Text': 'Texte de la mention de confidentialité',
+        'Report Numbers & File Names': 'Numéros de rapport et noms de fichier',
+        'A report without a number is given the next one when it is downloaded. Number format: {prefix}, {year}, {month}, {day} and {number}. File name: {reportNumber}, {client}, {address}, {company} and {date} (the inspection date).': 'Un rapport sans numéro reçoit le suivant lors de son téléchargement. Format du numéro : {prefix}, {year}, {month}, {day} et {number}. Nom de fichier : {reportNumber}, {client}, {address}, {company} et {date} (la date d\'inspection).',
+        'Number new reports automatically': 'Numéroter automatiquement les nouveaux rapports',
+        'Prefix': 'Préfixe',
+        'Number Format': 'Format du numéro',
+        'Digits': 'Chiffres',
+        'Next Number': 'Numéro suivant',
+        'File Name': 'Nom de fichier',
+        'Format': 'Format',
+        'Word document (.docx)': 'Document Word (.docx)',
+        'Web page (.html)': 'Page web (.html)',
+        'Defect register (.csv)': 'Registre des défauts (.csv)',
+        'Defect register (.xlsx)': 'Registre des défauts (.xlsx)',
+        'Preview PDF': 'Aperçu du PDF',
+        'PDF Preview': 'Aperçu du PDF',
+        'Close': 'Fermer',
+        'File:': 'Fichier :',
+        'Refresh': 'Actualiser',
+        'Download': 'Télécharger',
+        'Open in New Tab': 'Ouvrir dans un nouvel onglet',
+        'Refresh after edits': 'Actualiser après chaque modification',
+        'PDF preview': 'Aperçu du PDF',
+        'Some phones and tablets can\'t show a PDF inside the page; use Open in New Tab there.': 'Certains téléphones et tablettes ne peuvent pas afficher un PDF dans la page ; utilisez alors Ouvrir dans un nouvel onglet.',
+        'Home Defect Inspection Report Generator © 2024': 'Générateur de rapports d\'inspection des défauts de logement © 2024',
+        'Annotate Image': 'Annoter l\'image',
+        'Drag on the photo to draw an arrow': 'Faites glisser sur la photo pour tracer une flèche',
+        '↗ Arrow': '↗ Flèche',
+        '◯ Circle': '◯ Cercle',
+        '▭ Rectangle': '▭ Rectangle',
+        '✎ Freehand': '✎ Main levée',
+        'T Text': 'T Texte',
+        '↔ Measure': '↔ Mesure',
+        'Colour': 'Couleur',
+        'Size': 'Taille',
+        'Thin': 'Fin',
+        'Medium': 'Moyen',
+        'Thick': 'Épais',
+        '↶ Undo': '↶ Annuler',
+        '↷ Redo': '↷ Rétablir',
+        'Clear All': 'Tout effacer',
+        'Cancel': 'Annuler',
+        'Save Annotations': 'Enregistrer les annotations',
+        'How dates and times are written in the app and in reports': 'Comment les dates et heures sont écrites dans l\'application et les rapports',
+        'Defaults to client name, address and date': 'Par défaut : nom du client, adresse et date',
+        'Enter company name': 'Saisissez le nom de l\'entreprise',
+        'Enter phone number': 'Saisissez le numéro de téléphone',
+        'Enter email address': 'Saisissez l\'adresse e-mail',
+        'Enter report title': 'Saisissez le titre du rapport',
+        'Enter report number': 'Saisissez le numéro du rapport',
+        'Home Defect Inspection Report': 'Rapport d\'inspection des défauts du logement',
+        'Enter client name': 'Saisissez le nom du client',
+        'Enter property address': 'Saisissez l\'adresse du bien',
+        'Enter inspector name': 'Saisissez le nom de l\'inspecteur',
+        'Enter credentials, certifications, qualifications': 'Saisissez les qualifications, certifications et diplômes',
+        'Structural Defects': 'Défauts structurels',
+        'Water & Moisture Issues': 'Problèmes d\'eau et d\'humidité',
+        'Electrical Issues': 'Problèmes électriques',
+        'Plumbing Issues': 'Problèmes de plomberie',
+        'Doors & Windows': 'Portes et fenêtres',
+        'Flooring Issues': 'Problèmes de revêtement de sol',
+        'Paint & Finish': 'Peinture et finitions',
+        'Exterior Issues': 'Problèmes extérieurs',
+        'HVAC Issues': 'Problèmes de CVC',
+        'Safety Hazards': 'Risques pour la sécurité',
+        'Enter custom defect type': 'Saisissez un type de défaut personnalisé',
+        'Add this type to the active template': 'Ajouter ce type au modèle actif',
+        'e.g. Master Bedroom': 'ex. : Chambre principale',
+        'e.g. Level 1': 'ex. : Niveau 1',
+        'Describe the defect in detail': 'Décrivez le défaut en détail',
+        'Insert saved description': 'Insérer une description enregistrée',
+        'Save this description to the active template': 'Enregistrer cette description dans le modèle actif',
+        'e.g. Seal the crack and repaint the affected area': 'ex. : Reboucher la fissure et repeindre la zone concernée',
+        'Insert saved recommendation': 'Insérer une recommandation enregistrée',
+        'Save this recommendation to the active template': 'Enregistrer cette recommandation dans le modèle actif',
+        'e.g. Builder': 'ex. : Entrepreneur',
+        'Inspector signature pad': 'Cadre de signature de l\'inspecteur',
+        'Defaults to the inspector name': 'Par défaut, le nom de l\'inspecteur',
+        'Client signature pad': 'Cadre de signature du client',
+        'Defaults to the client name': 'Par défaut, le nom du client',
+        'Annotation tools': 'Outils d\'annotation',
+        'Undo (Ctrl+Z)': 'Annuler (Ctrl+Z)',
+        'Redo (Ctrl+Y)': 'Rétablir (Ctrl+Y)',
+
+        // Messages, defect cards and report text (script.js)
+        'File "{name}" is not an image and will be skipped.': 'Le fichier « {name} » n\'est pas une image et sera ignoré.',
+        'Processing photo {current} of {total}...': 'Traitement de la photo {current} sur {total}...',
+        'File "{name}" will be skipped: {error}.': 'Le fichier « {name} » sera ignoré : {error}.',
+        'Caption for image {number} (printed under the photo in the report):': 'Légende de l\'image {number} (imprimée sous la photo dans le rapport) :',
+        'Add a caption': 'Ajouter une légende',
+        'Edit caption of image {number}': 'Modifier la légende de l\'image {number}',
+        'Add caption to image {number}': 'Ajouter une légende à l\'image {number}',
+        '+ Caption': '+ Légende',
+        'Edit annotations on image {number}': 'Modifier les annotations de l\'image {number}',
+        'Annotate image {number}': 'Annoter l\'image {number}',
+        'Edit annotations': 'Modifier les annotations',
+        'Annotate image': 'Annoter l\'image',
+        'Defect image {number}': 'Image du défaut {number}',
+        'Remove image': 'Retirer l\'image',
+        '{side} elevation': 'Façade : {side}',
+        'Please select or enter a defect type.': 'Veuillez sélectionner ou saisir un type de défaut.',
+        'Please select at least one image for the defect.': 'Veuillez sélectionner au moins une image pour le défaut.',
+        'Please enter a description for the defect.': 'Veuillez saisir une description du défaut.',
+        'Please select a severity for the defect.': 'Veuillez sélectionner la gravité du défaut.',
+        'Edit Defect #{number}': 'Modifier le défaut n° {number}',
+        'Save Changes': 'Enregistrer les modifications',
+        'Are you sure you want to remove this defect?': 'Voulez-vous vraiment supprimer ce défaut ?',
+        'Defect {number} - Image {image}': 'Défaut {number} - Image {image}',
+        'Defect {number}': 'Défaut {number}',
+        'Drag to reorder': 'Faites glisser pour réorganiser',
+        'Defect #{number}': 'Défaut n° {number}',
+        'Type:': 'Type :',
+        '{count} image': '{count} image',
+        '{count} images': '{count} images',
+        'Location:': 'Emplacement :',
+        'Move defect #{number} up': 'Monter le défaut n° {number}',
+        'Move up': 'Monter',
+        'Move defect #{number} down': 'Descendre le défaut n° {number}',
+        'Move down': 'Descendre',
+        'Edit': 'Modifier',
+        'Remove': 'Retirer',
+        'Not rated': 'Non évalué',
+        'Status of defect {type}': 'Statut du défaut {type}',
+        'After Photos ({count})': 'Photos après travaux ({count})',
+        'Defect {number} - After photo {image}': 'Défaut {number} - Photo après travaux {image}',
+        'Remove after photo {number}': 'Retirer la photo après travaux {number}',
+        '+ Add After Photos': '+ Ajouter des photos après travaux',
+        'Recommended Action:': 'Action recommandée :',
+        'Responsible Trade:': 'Corps de métier responsable :',
+        'Move image {number} earlier': 'Déplacer l\'image {number} avant',
+        'Move earlier': 'Déplacer avant',
+        'Move image {number} later': 'Déplacer l\'image {number} après',
+        'Move later': 'Déplacer après',
+        'Remove this after photo?': 'Retirer cette photo après travaux ?',
+        ' (inspected {date})': ' (inspecté le {date})',
+        'Follow-up of "{name}"': 'Suivi de « {name} »',
+        'Set each defect\'s status and add after photos from its card.': 'Indiquez le statut de chaque défaut et ajoutez des photos après travaux depuis sa fiche.',
+        '{outstanding} of {total} item outstanding.': '{outstanding} élément sur {total} en attente.',
+        '{outstanding} of {total} items outstanding.': '{outstanding} éléments sur {total} en attente.',
+        'End Follow-Up': 'Terminer le suivi',
+        'End follow-up mode? Statuses and after photos are kept, but no more after photos can be added.': 'Terminer le mode suivi ? Les statuts et les photos après travaux sont conservés, mais vous ne pourrez plus en ajouter.',
+        'This image could not be opened for annotation.': 'Impossible d\'ouvrir cette image pour l\'annoter.',
+        'Label text:': 'Texte de l\'étiquette :',
+        'Measurement label (e.g. "25 mm"):': 'Étiquette de mesure (ex. : « 25 mm ») :',
+        'Company logo': 'Logo de l\'entreprise',
+        'Defect #{number}: {type}, image {image}': 'Défaut n° {number} : {type}, image {image}',
+        'The logo is too large to be saved in this browser. Please choose a smaller image.': 'Le logo est trop volumineux pour être enregistré dans ce navigateur. Veuillez choisir une image plus petite.',
+        'The logo could not be used: {error}.': 'Impossible d\'utiliser le logo : {error}.',
+        'Estimated PDF size: about {size} ({count} photo).': 'Taille estimée du PDF : environ {size} ({count} photo).',
+        'Estimated PDF size: about {size} ({count} photos).': 'Taille estimée du PDF : environ {size} ({count} photos).',
+        'Large files can be hard to email - choose a smaller photo size before adding photos.': 'Les fichiers volumineux peuvent être difficiles à envoyer par e-mail ; choisissez une taille de photo plus petite avant d\'ajouter des photos.',
+        'The PDF library (jsPDF) is not loaded, so the report cannot be generated. Reload the page with a connection, then try again.': 'La bibliothèque PDF (jsPDF) n\'est pas chargée, le rapport ne peut donc pas être généré. Rechargez la page avec une connexion, puis réessayez.',
+        'Generating report...': 'Génération du rapport...',
+        'Defect #{number}: {type} (continued)': 'Défaut n° {number} : {type} (suite)',
+        'Logo: {error}': 'Logo : {error}',
+        'Prepared for': 'Préparé pour',
+        'Credentials': 'Qualifications',
+        'Company': 'Entreprise',
+        'Contact': 'Contact',
+        'Cover photo: {error}': 'Photo de couverture : {error}',
+        'Inspection Company': 'Société d\'inspection',
+        'Client Name:': 'Nom du client :',
+        'Property Address:': 'Adresse du bien :',
+        'Inspection Date:': 'Date d\'inspection :',
+        'Inspector:': 'Inspecteur :',
+        'Credentials:': 'Qualifications :',
+        'N/A': 'N/D',
+        'Executive Summary': 'Synthèse',
+        'This inspection identified {count} defect': 'Cette inspection a relevé {count} défaut',
+        'This inspection identified {count} defects': 'Cette inspection a relevé {count} défauts',
+        'across {count} category.': 'dans {count} catégorie.',
+        'across {count} categories.': 'dans {count} catégories.',
+        '{count} defect is rated Safety Critical and should be attended to immediately.': '{count} défaut est jugé critique pour la sécurité et doit être traité immédiatement.',
+        '{count} defects are rated Safety Critical and should be attended to immediately.': '{count} défauts sont jugés critiques pour la sécurité et doivent être traités immédiatement.',
+        'Defects by Category': 'Défauts par catégorie',
+        'Defects by Severity': 'Défauts par gravité',
+        'No.': 'N°',
+        'Type': 'Type',
+        'Defect Register': 'Registre des défauts',
+        'Images': 'Images',
+        'After Photos': 'Photos après travaux',
+        'Category': 'Catégorie',
+        'Location': 'Emplacement',
+        'Rectification Status': 'État des corrections',
+        'Defects by Status': 'Défauts par statut',
+        'Follow-up of the inspection "{name}" carried out on {date}.': 'Suivi de l\'inspection « {name} » réalisée le {date}.',
+        'Follow-up of the inspection "{name}".': 'Suivi de l\'inspection « {name} ».',
+        'All defects have been rectified.': 'Tous les défauts ont été corrigés.',
+        '{outstanding} of {total} defects is still outstanding.': '{outstanding} défaut sur {total} reste à corriger.',
+        '{outstanding} of {total} defects are still outstanding.': '{outstanding} défauts sur {total} restent à corriger.',
+        'Outstanding Items': 'Points en attente',
+        'Identified Defects ({count} Total)': 'Défauts relevés ({count} au total)',
+        'Defect #{number}: {type}': 'Défaut n° {number} : {type}',
+        'Defect #{number}: {type} ({count} images)': 'Défaut n° {number} : {type} ({count} images)',
+        'Defect #{number}: {type} ({count} image)': 'Défaut n° {number} : {type} ({count} image)',
+        'Before {number} of {total}': 'Avant {number} sur {total}',
+        'Before': 'Avant',
+        'image {number}': 'image {number}',
+        'After {number} of {total}': 'Après {number} sur {total}',
+        'After': 'Après',
+        'after photo {number}': 'photo après travaux {number}',
+        'Image {number} of {total}': 'Image {number} sur {total}',
+        '[{name} could not be loaded]': '[Impossible de charger : {name}]',
+        'I confirm that I carried out this inspection and that this report records my findings.': 'Je confirme avoir réalisé cette inspection et que ce rapport consigne mes constatations.',
+        'I acknowledge that I have received this report.': 'Je reconnais avoir reçu ce rapport.',
+        '{role} signature: {error}': 'Signature ({role}) : {error}',
+        'Signature': 'Signature',
+        'Name': 'Nom',
+        'Date': 'Date',
+        'Table of Contents': 'Table des matières',
+        'Page {page} of {total}': 'Page {page} sur {total}',
+        'Report generated: {timestamp}': 'Rapport généré le {timestamp}',
+        'Report No. {number}': 'Rapport n° {number}',
+        'Confidential': 'Confidentiel',
+        '{number} (given when the report is downloaded)': '{number} (attribué au téléchargement du rapport)',
+        'Report generated, but {count} images could not be added. File: {filename}': 'Rapport généré, mais {count} images n\'ont pas pu être ajoutées. Fichier : {filename}',
+        'Report generated, but {count} image could not be added. File: {filename}': 'Rapport généré, mais {count} image n\'a pas pu être ajoutée. Fichier : {filename}',
+        'Report generated, but some characters could not be printed. File: {filename}': 'Rapport généré, mais certains caractères n\'ont pas pu être imprimés. Fichier : {filename}',
+        'Font {font} could not be loaded: {error}': 'Impossible de charger la police {font} : {error}',
+        'No bundled font has these characters: {characters}': 'Aucune police fournie ne contient ces caractères : {characters}',
+        'Report generated successfully! File: {filename}': 'Rapport généré avec succès ! Fichier : {filename}',
+        'Error generating report: {error}': 'Erreur lors de la génération du rapport : {error}',
+        'Updating preview...': 'Mise à jour de l\'aperçu...',
+        'Preview updated at {time}.': 'Aperçu mis à jour à {time}.',
+        'Preview updated at {time}, but some content could not be added:': 'Aperçu mis à jour à {time}, mais une partie du contenu n\'a pas pu être ajoutée :',
+        'The preview could not be generated: {error}': 'L\'aperçu n\'a pas pu être généré : {error}',
+        'The report has changed since this preview. Click Refresh to update it.': 'Le rapport a changé depuis cet aperçu. Cliquez sur Actualiser pour le mettre à jour.',
+        'Draft saved at {time}': 'Brouillon enregistré à {time}',
+        'Draft could not be saved: {error}': 'Impossible d\'enregistrer le brouillon : {error}',
+        'Autosave unavailable: {error}': 'Enregistrement automatique indisponible : {error}',
+        'Changes are saved automatically as a draft': 'Les modifications sont enregistrées automatiquement comme brouillon',
+        'Draft restored (last saved {timestamp})': 'Brouillon restauré (dernier enregistrement le {timestamp})',
+        'Discard this draft? All entered details, defects and images will be cleared.': 'Supprimer ce brouillon ? Toutes les informations, tous les défauts et toutes les images saisis seront effacés.',
+        'Draft discarded': 'Brouillon supprimé',
+        'Untitled Inspection': 'Inspection sans titre',
+        'The report could not be saved: {error}': 'Impossible d\'enregistrer le rapport : {error}',
+        'Open this report? Unsaved changes to the current form will be lost.': 'Ouvrir ce rapport ? Les modifications non enregistrées du formulaire actuel seront perdues.',
+        'This report no longer exists.': 'Ce rapport n\'existe plus.',
+        'The report could not be opened: {error}': 'Impossible d\'ouvrir le rapport : {error}',
+        'The report could not be duplicated: {error}': 'Impossible de dupliquer le rapport : {error}',
+        'The follow-up could not be started: {error}': 'Impossible de démarrer le suivi : {error}',
+        'Delete this saved report? This cannot be undone.': 'Supprimer ce rapport enregistré ? Cette action est irréversible.',
+        'The report could not be deleted: {error}': 'Impossible de supprimer le rapport : {error}',
+        'Start a new report? Unsaved changes to the current form will be lost.': 'Commencer un nouveau rapport ? Les modifications non enregistrées du formulaire actuel seront perdues.',
+        'Saved reports are unavailable: {error}': 'Les rapports enregistrés sont indisponibles : {error}',
+        'Update Saved Report': 'Mettre à jour le rapport enregistré',
+        'No saved reports yet. Fill in the form and click "Save Report".': 'Aucun rapport enregistré pour l\'instant. Remplissez le formulaire et cliquez sur « Enregistrer le rapport ».',
+        'Open': 'Ouvrir',
+        'Follow-Up': 'Suivi',
+        'Client:': 'Client :',
+        'Address:': 'Adresse :',
+        'Inspected:': 'Inspecté le :',
+        'Defects:': 'Défauts :',
+        'Saved {timestamp}': 'Enregistré le {timestamp}',
+        'Duplicate': 'Dupliquer',
+        'Open a copy to record which defects have been fixed': 'Ouvrir une copie pour noter les défauts corrigés',
+        'This is not a DefectPro project file.': 'Ce n\'est pas un fichier de projet DefectPro.',
+        'Unsupported project version "{version}". Please update the app.': 'Version de projet non prise en charge « {version} ». Veuillez mettre à jour l\'application.',
+        'The project has no report fields.': 'Le projet ne contient aucun champ de rapport.',
+        'The project has no defect list.': 'Le projet ne contient aucune liste de défauts.',
+        '{label} is not a valid defect.': '{label} n\'est pas un défaut valide.',
+        '{label} has no defect type.': '{label} n\'a pas de type de défaut.',
+        '{label} has no description.': '{label} n\'a pas de description.',
+        '{label} has an invalid list of after photos.': '{label} a une liste de photos après travaux non valide.',
+        '{label} has an unknown status "{status}".': '{label} a un statut inconnu « {status} ».',
+        '{label} is not an embedded image.': '{label} n\'est pas une image intégrée.',
+        '{label} has invalid annotations.': '{label} a des annotations non valides.',
+        '{label} has an invalid caption.': '{label} a une légende non valide.',
+        '{label} has an invalid cover photo setting.': '{label} a un réglage de photo de couverture non valide.',
+        'The project has invalid follow-up details.': 'Le projet contient des informations de suivi non valides.',
+        'The project has invalid signatures.': 'Le projet contient des signatures non valides.',
+        'The inspector signature is invalid.': 'La signature de l\'inspecteur n\'est pas valide.',
+        'The client signature is invalid.': 'La signature du client n\'est pas valide.',
+        'The file is not valid JSON.': 'Le fichier n\'est pas un JSON valide.',
+        'Could not import "{name}": {error}': 'Impossible d\'importer « {name} » : {error}',
+        'Import this project? The current form will be replaced.': 'Importer ce projet ? Le formulaire actuel sera remplacé.',
+        'Imported "{name}" with {count} defect.': '« {name} » importé avec {count} défaut.',
+        'Imported "{name}" with {count} defects.': '« {name} » importé avec {count} défauts.',
+        'Template name:': 'Nom du modèle :',
+        'Replace the disclaimer and default details of "{name}" with the ones in the form?': 'Remplacer la clause et les détails par défaut de « {name} » par ceux du formulaire ?',
+        'The template could not be saved: {error}': 'Impossible d\'enregistrer le modèle : {error}',
+        'Delete the template "{name}"? This cannot be undone.': 'Supprimer le modèle « {name} » ? Cette action est irréversible.',
+        'The template could not be deleted: {error}': 'Impossible de supprimer le modèle : {error}',
+        'Choose or save a template first.': 'Choisissez ou enregistrez d\'abord un modèle.',
+        'Please enter the custom defect type first.': 'Veuillez d\'abord saisir le type de défaut personnalisé.',
+        'Category for "{type}" (e.g. {examples}):': 'Catégorie de « {type} » (ex. : {examples}) :',
+        'The defect type could not be added: {error}': 'Impossible d\'ajouter le type de défaut : {error}',
+        'Please select a defect type and enter the description to save.': 'Veuillez sélectionner un type de défaut et saisir la description à enregistrer.',
+        'Please select a defect type and enter the recommendation to save.': 'Veuillez sélectionner un type de défaut et saisir la recommandation à enregistrer.',
+        'The snippet could not be saved: {error}': 'Impossible d\'enregistrer l\'extrait : {error}',
+        'The defect type could not be removed: {error}': 'Impossible de retirer le type de défaut : {error}',
+        'The snippet could not be removed: {error}': 'Impossible de retirer l\'extrait : {error}',
+        'Update or Save as New Template': 'Mettre à jour ou enregistrer comme nouveau modèle',
+        'No templates yet. Fill in the disclaimer and inspection details, then click "Save Form as Template".': 'Aucun modèle pour l\'instant. Remplissez la clause et les détails de l\'inspection, puis cliquez sur « Enregistrer le formulaire comme modèle ».',
+        'No template is active.': 'Aucun modèle n\'est actif.',
+        'Remove defect type {type}': 'Retirer le type de défaut {type}',
+        'Remove snippet': 'Retirer l\'extrait',
+        'Defect Types ({count})': 'Types de défaut ({count})',
+        'Add one with "Other (Custom Entry)" and "Add to Template" in the defect form.': 'Ajoutez-en un avec « Autre (saisie libre) » et « Ajouter au modèle » dans le formulaire des défauts.',
+        'Snippets ({count})': 'Extraits ({count})',
+        'Write a description or recommendation in the defect form and click "Save as Snippet".': 'Rédigez une description ou une recommandation dans le formulaire des défauts et cliquez sur « Enregistrer comme extrait ».',
+        'There are no templates to export.': 'Aucun modèle à exporter.',
+        'Template #{number}': 'Modèle n° {number}',
+        '{label} has no name.': '{label} n\'a pas de nom.',
+        '{label} ("{name}") has an invalid defect type list.': '{label} (« {name} ») a une liste de types de défaut non valide.',
+        '{label} ("{name}") has an invalid snippet list.': '{label} (« {name} ») a une liste d\'extraits non valide.',
+        'This is not a DefectPro templates file.': 'Ce n\'est pas un fichier de modèles DefectPro.',
+        'Unsupported templates version "{version}". Please update the app.': 'Version de modèles non prise en charge « {version} ». Veuillez mettre à jour l\'application.',
+        'The templates could not be imported: {error}': 'Impossible d\'importer les modèles : {error}',
+        'Imported {count} template.': '{count} modèle importé.',
+        'Imported {count} templates.': '{count} modèles importés.',
+        'The templates could not be saved: {error}': 'Impossible d\'enregistrer les modèles : {error}',
+        'Drag from the tail to the point of the arrow': 'Faites glisser de la base vers la pointe de la flèche',
+        'Drag to draw a circle or ellipse around the area': 'Faites glisser pour entourer la zone d\'un cercle ou d\'une ellipse',
+        'Drag to draw a rectangle': 'Faites glisser pour tracer un rectangle',
+        'Hold and drag to draw freely': 'Maintenez et faites glisser pour dessiner librement',
+        'Click where the label should go': 'Cliquez à l\'endroit où placer l\'étiquette',
+        'Drag along the distance, then enter the measurement': 'Faites glisser le long de la distance, puis saisissez la mesure',
+        'Owner': 'Propriétaire',
+        'Tenant': 'Locataire',
+        'Agent': 'Agent',
+        'Builder': 'Constructeur',
+        'Description': 'Description',
+        'Recommendation': 'Recommandation',
+        'Insert saved description...': 'Insérer une description enregistrée...',
+        'Insert saved recommendation...': 'Insérer une recommandation enregistrée...',
+        'Other': 'Autres',
+        'Custom Defects': 'Défauts personnalisés'
+    }
+};